@@ -0,0 +1,242 @@
+// application-form.js - Solicitud por pasos: datos personales, empleo, ingresos y referencias
+class ApplicationForm {
+    constructor(dataStore = new DataStore(), curpValidator = new CURPValidator()) {
+        this.dataStore = dataStore;
+        this.curpValidator = curpValidator;
+        this.draftKeyPrefix = 'creditxpress_application_draft_';
+
+        // Cada paso lista los campos del formulario (id del input = nombre del campo)
+        this.steps = [
+            { id: 'loan', title: 'Crédito', fields: ['loanProduct', 'loanAmount', 'loanTerm'] },
+            {
+                id: 'personal',
+                title: 'Datos personales',
+                fields: ['curp', 'birthDate', 'dependents', 'street', 'neighborhood', 'city', 'state', 'zipCode']
+            },
+            {
+                id: 'employment',
+                title: 'Empleo e ingresos',
+                fields: ['employmentType', 'employer', 'position', 'monthsEmployed', 'employerPhone',
+                    'monthlyIncome', 'monthlyExpenses', 'monthlyDebtPayments']
+            },
+            {
+                id: 'references',
+                title: 'Referencias',
+                fields: ['reference1Name', 'reference1Phone', 'reference1Relationship',
+                    'reference2Name', 'reference2Phone', 'reference2Relationship']
+            }
+        ];
+
+        this.employmentTypes = {
+            employee: 'Empleado',
+            self_employed: 'Independiente',
+            business: 'Negocio propio',
+            retired: 'Jubilado o pensionado',
+            other: 'Otro'
+        };
+
+        this.relationships = {
+            family: 'Familiar',
+            friend: 'Amistad',
+            coworker: 'Compañero de trabajo',
+            neighbor: 'Vecino',
+            other: 'Otro'
+        };
+
+        this.minAge = 18;
+        this.maxAge = 75;
+    }
+
+    // =============================================
+    // VALIDACIÓN
+    // =============================================
+
+    // Errores del paso como { campo: mensaje }; applicant = { phone } del usuario registrado
+    validateStep(stepId, values, applicant = {}) {
+        const errors = {};
+        const text = field => (values[field] || '').toString().trim();
+        const number = field => (text(field) === '' ? NaN : Number(values[field]));
+        const digits = field => text(field).replace(/\D/g, '');
+
+        if (stepId === 'personal') {
+            const curp = this.curpValidator.validate(text('curp'));
+            if (!curp.valid) {
+                errors.curp = 'La CURP no es válida.';
+            } else if (text('birthDate') && curp.data.birthDate !== text('birthDate')) {
+                errors.curp = 'La CURP no coincide con tu fecha de nacimiento.';
+            }
+
+            const age = this.getAge(text('birthDate'));
+            if (age === null) {
+                errors.birthDate = 'Indica tu fecha de nacimiento.';
+            } else if (age < this.minAge || age > this.maxAge) {
+                errors.birthDate = `Debes tener entre ${this.minAge} y ${this.maxAge} años.`;
+            }
+
+            if (!Number.isInteger(number('dependents')) || number('dependents') < 0 || number('dependents') > 20) {
+                errors.dependents = 'Indica cuántas personas dependen de ti (0 si ninguna).';
+            }
+            ['street', 'neighborhood', 'city'].forEach(field => {
+                if (text(field).length < 2) errors[field] = 'Campo obligatorio.';
+            });
+            if (!this.curpValidator.stateCodes[text('state')] || text('state') === 'NE') {
+                errors.state = 'Selecciona un estado.';
+            }
+            if (!/^\d{5}$/.test(text('zipCode'))) {
+                errors.zipCode = 'El código postal tiene 5 dígitos.';
+            }
+        }
+
+        if (stepId === 'employment') {
+            const type = text('employmentType');
+            if (!this.employmentTypes[type]) {
+                errors.employmentType = 'Selecciona tu situación laboral.';
+            }
+            // Jubilados y "otro" no tienen empleador
+            if (['employee', 'self_employed', 'business'].includes(type)) {
+                if (text('employer').length < 2) errors.employer = 'Indica la empresa o el negocio.';
+                if (!Number.isInteger(number('monthsEmployed')) || number('monthsEmployed') < 0) {
+                    errors.monthsEmployed = 'Indica la antigüedad en meses.';
+                }
+            }
+            if (text('employerPhone') && digits('employerPhone').length !== 10) {
+                errors.employerPhone = 'El teléfono debe tener 10 dígitos.';
+            }
+            if (!(number('monthlyIncome') > 0)) {
+                errors.monthlyIncome = 'Indica tu ingreso mensual.';
+            }
+            if (!(number('monthlyExpenses') >= 0)) {
+                errors.monthlyExpenses = 'Indica tus gastos mensuales (0 si ninguno).';
+            }
+            if (!(number('monthlyDebtPayments') >= 0)) {
+                errors.monthlyDebtPayments = 'Indica tus pagos de otras deudas (0 si ninguno).';
+            }
+        }
+
+        if (stepId === 'references') {
+            const ownPhone = (applicant.phone || '').replace(/\D/g, '');
+            [1, 2].forEach(n => {
+                if (text(`reference${n}Name`).split(/\s+/).length < 2) {
+                    errors[`reference${n}Name`] = 'Nombre y apellido de la referencia.';
+                }
+                if (digits(`reference${n}Phone`).length !== 10) {
+                    errors[`reference${n}Phone`] = 'El teléfono debe tener 10 dígitos.';
+                } else if (ownPhone && digits(`reference${n}Phone`).slice(-10) === ownPhone.slice(-10)) {
+                    errors[`reference${n}Phone`] = 'No puede ser tu propio teléfono.';
+                }
+                if (!this.relationships[text(`reference${n}Relationship`)]) {
+                    errors[`reference${n}Relationship`] = 'Selecciona la relación.';
+                }
+            });
+            if (!errors.reference2Phone && digits('reference1Phone') === digits('reference2Phone')) {
+                errors.reference2Phone = 'Las referencias deben tener teléfonos distintos.';
+            }
+        }
+
+        return errors;
+    }
+
+    // Primer paso con errores, o null si todo es válido
+    validateAll(values, applicant = {}) {
+        for (const step of this.steps) {
+            const errors = this.validateStep(step.id, values, applicant);
+            if (Object.keys(errors).length > 0) {
+                return { stepId: step.id, errors };
+            }
+        }
+        return null;
+    }
+
+    getAge(birthDate, today = new Date()) {
+        const date = new Date(`${birthDate}T00:00:00`);
+        if (!birthDate || isNaN(date) || date > today) return null;
+        const age = today.getFullYear() - date.getFullYear();
+        const beforeBirthday = today.getMonth() < date.getMonth() ||
+            (today.getMonth() === date.getMonth() && today.getDate() < date.getDate());
+        return beforeBirthday ? age - 1 : age;
+    }
+
+    // =============================================
+    // DATOS DE LA SOLICITUD
+    // =============================================
+
+    // Valores planos del formulario a la estructura que se guarda en la solicitud
+    build(values) {
+        const text = field => (values[field] || '').toString().trim();
+        const amount = field => Math.round(Number(values[field]) * 100) / 100 || 0;
+        return {
+            curp: this.curpValidator.normalizeKey(text('curp')),
+            birthDate: text('birthDate'),
+            dependents: parseInt(values.dependents, 10) || 0,
+            address: {
+                street: text('street'),
+                neighborhood: text('neighborhood'),
+                city: text('city'),
+                state: text('state'),
+                zipCode: text('zipCode')
+            },
+            employment: {
+                type: text('employmentType'),
+                employer: text('employer'),
+                position: text('position'),
+                monthsEmployed: parseInt(values.monthsEmployed, 10) || 0,
+                phone: text('employerPhone').replace(/\D/g, '')
+            },
+            monthlyIncome: amount('monthlyIncome'),
+            monthlyExpenses: amount('monthlyExpenses'),
+            monthlyDebtPayments: amount('monthlyDebtPayments'),
+            references: [1, 2].map(n => ({
+                name: text(`reference${n}Name`),
+                phone: text(`reference${n}Phone`).replace(/\D/g, ''),
+                relationship: text(`reference${n}Relationship`)
+            })),
+            completedAt: new Date().toISOString()
+        };
+    }
+
+    // Domicilio en una línea, como lo compara el OCR de la credencial
+    formatAddress(address) {
+        if (!address) return '';
+        return [address.street, address.neighborhood, `C.P. ${address.zipCode}`, address.city,
+            this.curpValidator.stateCodes[address.state] || address.state].filter(Boolean).join(', ');
+    }
+
+    // Deuda total (otras deudas + pago mensual equivalente del crédito) entre el ingreso
+    debtToIncome(application, monthlyPayment) {
+        const totalDebt = (application.monthlyDebtPayments || 0) + monthlyPayment;
+        return {
+            monthlyPayment,
+            totalDebt,
+            ratio: application.monthlyIncome > 0 ? totalDebt / application.monthlyIncome : null,
+            disposableIncome: application.monthlyIncome - (application.monthlyExpenses || 0) - totalDebt
+        };
+    }
+
+    // =============================================
+    // BORRADORES
+    // =============================================
+
+    // Un borrador por usuario; los archivos no se guardan, se suben al final
+    getDraftKey(email) {
+        return this.draftKeyPrefix + (email || '').trim().toLowerCase();
+    }
+
+    getDraft(email) {
+        return this.dataStore.getPreference(this.getDraftKey(email));
+    }
+
+    saveDraft(email, { stepId, values }) {
+        const draft = { stepId, values, savedAt: new Date().toISOString() };
+        this.dataStore.setPreference(this.getDraftKey(email), draft);
+        return draft;
+    }
+
+    clearDraft(email) {
+        this.dataStore.removePreference(this.getDraftKey(email));
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.ApplicationForm = ApplicationForm;
+}
@@ -0,0 +1,319 @@
+// audit-log.js - Bitácora de solo escritura y encadenada con hash (SHA-256)
+//
+// Cada evento guarda el hash del anterior; cambiar, borrar o reordenar un evento rompe
+// la cadena a partir de ese punto. El último hash también se ancla en localStorage para
+// detectar eventos borrados al final. Todo vive en el navegador, así que la bitácora
+// hace evidente una alteración pero no la impide.
+class AuditLog {
+    constructor(dataStore = new DataStore()) {
+        this.dataStore = dataStore;
+        this.headKey = 'creditxpress_audit_head';
+        this.genesisHash = '0'.repeat(64);
+        this.queue = Promise.resolve();
+
+        this.eventLabels = {
+            'request.submitted': 'Solicitud enviada',
+            'documents.replaced': 'Documentos reemplazados',
+            'ine.validated': 'Validación de INE',
+            'request.approved': 'Solicitud aprobada',
+            'request.rejected': 'Solicitud rechazada',
+            'request.documents_requested': 'Documentos solicitados al cliente',
+            'contract.signed': 'Contrato firmado',
+            'disbursement.account_registered': 'Cuenta CLABE registrada',
+            'disbursement.batch_created': 'Lote de dispersión generado',
+            'disbursement.sent': 'Crédito dispersado',
+            'disbursement.failed': 'Transferencia fallida',
+            'disbursement.retried': 'Transferencia reintentada',
+            'payment.registered': 'Pago registrado',
+            'payment.reversed': 'Pago revertido',
+            'reminder.sent': 'Recordatorio enviado',
+            'promise.created': 'Promesa de pago',
+            'promise.kept': 'Promesa de pago cumplida',
+            'promise.broken': 'Promesa de pago incumplida',
+            'collection.assigned': 'Gestor asignado',
+            'collection.escalated': 'Crédito escalado',
+            'restructure.proposed': 'Reestructura propuesta',
+            'restructure.approved': 'Reestructura autorizada',
+            'restructure.rejected': 'Reestructura no autorizada',
+            'restructure.cancelled': 'Reestructura cancelada',
+            'restructure.accepted': 'Reestructura aceptada',
+            'statement.imported': 'Estado de cuenta importado',
+            'statement.line_ignored': 'Depósito descartado',
+            'bureau.exported': 'Reporte al Buró de Crédito'
+        };
+    }
+
+    // =============================================
+    // HASH
+    // =============================================
+
+    // JSON con llaves ordenadas para que el hash no dependa del orden de las propiedades
+    canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    async hashEntry({ seq, at, type, entityType, entityId, actor, data, prevHash }) {
+        const text = this.canonicalize({ seq, at, type, entityType, entityId, actor, data, prevHash });
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // =============================================
+    // REGISTRO
+    // =============================================
+
+    // Agregar un evento al final de la cadena. Las escrituras de esta página van en fila;
+    // si otra pestaña ocupó el mismo número de secuencia, se recalcula con el nuevo último
+    append({ type, entityType, entityId, actor, data = {} }) {
+        const task = this.queue.then(async () => {
+            for (let attempt = 0; attempt < 5; attempt++) {
+                const last = await this.dataStore.getLastAuditEntry();
+                const entry = {
+                    seq: last ? last.seq + 1 : 1,
+                    at: new Date().toISOString(),
+                    type,
+                    entityType,
+                    entityId,
+                    actor: actor || null,
+                    data,
+                    prevHash: last ? last.hash : this.genesisHash
+                };
+                entry.hash = await this.hashEntry(entry);
+
+                try {
+                    await this.dataStore.addAuditEntry(entry);
+                } catch (error) {
+                    if (error && error.name === 'ConstraintError') continue;
+                    throw error;
+                }
+
+                const head = this.dataStore.getPreference(this.headKey);
+                if (!head || head.seq < entry.seq) {
+                    this.dataStore.setPreference(this.headKey, { seq: entry.seq, hash: entry.hash });
+                }
+                return entry;
+            }
+            throw new Error('No se pudo registrar el evento en la bitácora.');
+        });
+        this.queue = task.catch(() => {});
+        return task;
+    }
+
+    // =============================================
+    // CONSULTA
+    // =============================================
+
+    getEntries(entityType, entityId) {
+        return this.dataStore.getAuditEntries(entityType, entityId);
+    }
+
+    getLabel(type) {
+        return this.eventLabels[type] || type;
+    }
+
+    // Detalle legible de los datos de un evento
+    describe(entry) {
+        const data = entry.data || {};
+        const money = value => `$${Number(value).toLocaleString('es-MX', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        switch (entry.type) {
+            case 'request.submitted':
+                return `${money(data.amount)} a ${data.term} meses · ${Object.keys(data.documents || {}).length} documentos`;
+            case 'documents.replaced':
+                return Object.keys(data.documents || {}).join(', ');
+            case 'ine.validated':
+                return `Puntuación ${data.score}% · ${data.isValid ? 'válida' : 'no válida'}${data.curp ? ` · CURP ${data.curp}` : ''}`;
+            case 'request.approved':
+            case 'request.rejected':
+                return [
+                    data.reasonCode ? `Código ${data.reasonCode}` : null,
+                    data.reason ? `Motivo: ${data.reason}` : null,
+                    data.score !== undefined ? `Puntaje ${data.score} (recomendación: ${data.recommendation})` : null
+                ].filter(Boolean).join(' · ') || 'Sin motivo';
+            case 'request.documents_requested':
+                return `${(data.documents || []).join(', ')}${data.note ? ` · ${data.note}` : ''}`;
+            case 'contract.signed':
+                return `Firmado con código por ${data.otpChannel === 'sms' ? 'SMS' : 'correo'} · huella ${data.documentHash.substr(0, 16)}…`;
+            case 'disbursement.account_registered':
+                return `${data.bankName} · CLABE terminación ${data.clabeEnding} · titular ${data.holder}`;
+            case 'disbursement.batch_created':
+                return `${data.fileName} · ${data.transfers} transferencia(s) por ${money(data.total)}`;
+            case 'disbursement.sent':
+                return `${money(data.amount)} a ${data.bankName} el ${data.date}${data.trackingKey ? ` · clave de rastreo ${data.trackingKey}` : ''}`;
+            case 'disbursement.failed':
+                return `${money(data.amount)} a ${data.bankName} · Motivo: ${data.reason}`;
+            case 'disbursement.retried':
+                return `Misma cuenta ${data.bankName} ${data.clabe} · Rechazo anterior: ${data.previousReason} · Motivo: ${data.reason}`;
+            case 'payment.registered':
+                return `${money(data.amount)} (${data.method})${data.payoff ? ' · liquidación' : ''} con fecha ${data.date}${data.bankLineId ? ' · estado de cuenta' : ''}`;
+            case 'payment.reversed':
+                return `${money(data.amount)} del ${data.date} · Motivo: ${data.reason}`;
+            case 'reminder.sent':
+                return [
+                    data.message || data.channel,
+                    data.templateVersion ? `Plantilla ${data.stage} v${data.templateVersion}` : null,
+                    data.detail || null
+                ].filter(Boolean).join(' · ');
+            case 'promise.created':
+                return `${money(data.amount)} para el ${data.date}`;
+            case 'promise.kept':
+            case 'promise.broken':
+                return `${money(data.amount)} para el ${data.date} · pagado ${money(data.paidAmount)}`;
+            case 'collection.assigned':
+                return `${data.from || 'Sin asignar'} → ${data.to}`;
+            case 'statement.imported':
+                return `${data.fileName} · ${data.added} de ${data.lines} abonos nuevos · ${data.matched} conciliados · ${data.review} por revisar`;
+            case 'statement.line_ignored':
+                return `${money(data.amount)} del ${data.date} · Motivo: ${data.reason}`;
+            case 'collection.escalated':
+                return `${data.overdueDays} días de atraso${data.note ? ` · ${data.note}` : ''}`;
+            case 'restructure.proposed':
+                return `${data.typeLabel} · ${money(data.newPrincipal)}${data.term > 1 ? ` a ${data.term} meses` : ''} · condonado ${money(data.forgiven)}${data.exceeded && data.exceeded.length > 0 ? ` · fuera de política: ${data.exceeded.join(', ')}` : ''}`;
+            case 'restructure.approved':
+                return `${data.typeLabel} propuesta por ${data.proposedBy}`;
+            case 'restructure.rejected':
+            case 'restructure.cancelled':
+                return `${data.typeLabel}${data.reason ? ` · Motivo: ${data.reason}` : ''}`;
+            case 'restructure.accepted':
+                return `${data.typeLabel} · saldo anterior ${money(data.previousBalance)} → crédito ${data.accountNumber} por ${money(data.newPrincipal)}`;
+            case 'bureau.exported':
+                return `Corte al ${data.asOf} · ${data.records} cuenta(s) · saldo ${money(data.balance)} · ${data.rejected} rechazada(s)`;
+            default:
+                return '';
+        }
+    }
+
+    // Lista de eventos para las pestañas de bitácora del CRM y Cobranza
+    renderEntries(entries) {
+        if (entries.length === 0) {
+            return '<p style="text-align: center; color: var(--gray);">Sin eventos registrados</p>';
+        }
+        return entries.map(entry => `
+            <div class="audit-entry">
+                <div class="audit-entry-header">
+                    <strong>#${entry.seq} · ${this.getLabel(entry.type)}</strong>
+                    <span>${new Date(entry.at).toLocaleString()}</span>
+                </div>
+                <div>${this.describe(entry)}</div>
+                <div class="audit-entry-meta">
+                    ${entry.actor ? `${entry.actor.name} (${entry.actor.role})` : 'Sistema'} · hash ${entry.hash.substr(0, 12)}…
+                </div>
+            </div>
+        `).join('');
+    }
+
+    renderVerification(result) {
+        return `
+            <div class="audit-verification ${result.valid ? 'audit-valid' : 'audit-invalid'}">
+                <strong>${result.valid ? '✅ Bitácora íntegra' : '❌ Bitácora alterada'}</strong>
+                · ${result.checked} eventos verificados el ${new Date(result.verifiedAt).toLocaleString()}
+                ${result.problems.length > 0 ? `
+                    <ul>
+                        ${result.problems.map(problem => `
+                            <li>${problem.seq !== null ? `Evento #${problem.seq}: ` : ''}${problem.message}</li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // =============================================
+    // VERIFICACIÓN
+    // =============================================
+
+    // Recorrer toda la cadena: secuencia sin huecos, enlace con el evento anterior, hash
+    // recalculado y ancla final. Con entities ({ requests, collections }) también se revisa
+    // que cada decisión y cada pago registrados por el personal tengan su evento.
+    async verify(entities = null) {
+        const entries = await this.dataStore.getAuditEntries();
+        const problems = [];
+        let previous = null;
+
+        for (const entry of entries) {
+            const expectedSeq = previous ? previous.seq + 1 : 1;
+            if (entry.seq !== expectedSeq) {
+                problems.push({ seq: entry.seq, message: `Faltan los eventos ${expectedSeq} a ${entry.seq - 1}` });
+            }
+            const expectedPrev = previous ? previous.hash : this.genesisHash;
+            if (entry.prevHash !== expectedPrev) {
+                problems.push({ seq: entry.seq, message: 'No enlaza con el evento anterior' });
+            }
+            if (await this.hashEntry(entry) !== entry.hash) {
+                problems.push({ seq: entry.seq, message: 'El contenido fue modificado' });
+            }
+            previous = entry;
+        }
+
+        const head = this.dataStore.getPreference(this.headKey);
+        if (head) {
+            const anchored = entries.find(entry => entry.seq === head.seq);
+            if (!previous || previous.seq < head.seq) {
+                problems.push({ seq: head.seq, message: `Faltan eventos al final (último registrado: ${head.seq})` });
+            } else if (anchored && anchored.hash !== head.hash) {
+                problems.push({ seq: head.seq, message: 'El último evento anclado no coincide' });
+            }
+        }
+
+        if (entities) {
+            problems.push(...this.crossCheck(entries, entities));
+        }
+
+        return {
+            valid: problems.length === 0,
+            checked: entries.length,
+            verifiedAt: new Date().toISOString(),
+            problems
+        };
+    }
+
+    // Acciones guardadas en solicitudes y cobranza que no aparecen en la bitácora.
+    // Solo se revisan las posteriores al primer evento (lo anterior no tenía bitácora).
+    crossCheck(entries, { requests = [], collections = [] }) {
+        const problems = [];
+        if (entries.length === 0) return problems;
+        const since = entries[0].at;
+        const logged = new Set(entries.map(entry => {
+            if (entry.type === 'payment.registered' || entry.type === 'payment.reversed') {
+                return `${entry.type}:${entry.entityId}:${entry.data.paymentId}`;
+            }
+            return `${entry.type}:${entry.entityId}:${entry.data.changedAt}`;
+        }));
+
+        requests.forEach(request => {
+            (request.statusHistory || []).forEach(change => {
+                if (change.at >= since && !logged.has(`request.${change.status}:${request.id}:${change.at}`)) {
+                    problems.push({ seq: null, message: `Solicitud #${request.id}: el cambio a "${change.status}" del ${new Date(change.at).toLocaleString()} no está en la bitácora` });
+                }
+            });
+        });
+
+        collections.forEach(collection => {
+            (collection.payments || []).forEach(payment => {
+                if (payment.recordedAt >= since && !logged.has(`payment.registered:${collection.id}:${payment.id}`)) {
+                    problems.push({ seq: null, message: `Cobranza #${collection.id}: el pago de $${payment.amount} del ${payment.date} no está en la bitácora` });
+                }
+                if (payment.reversedAt >= since && !logged.has(`payment.reversed:${collection.id}:${payment.id}`)) {
+                    problems.push({ seq: null, message: `Cobranza #${collection.id}: la reversa del pago del ${payment.date} no está en la bitácora` });
+                }
+            });
+        });
+
+        return problems;
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.AuditLog = AuditLog;
+}
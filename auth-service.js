@@ -0,0 +1,333 @@
+// auth-service.js - Contraseñas con PBKDF2, sesiones con expiración, bloqueo y restablecimiento por código
+
+// Envío local de códigos: no sale nada del dispositivo, el código queda en consola
+// y en creditxpress_outbox. Cualquier objeto con send({ to, channel, subject, body })
+// que regrese una promesa puede reemplazarlo (SMS, correo, WhatsApp).
+class LocalCodeSender {
+    constructor(dataStore = new DataStore(), storageKey = 'creditxpress_outbox') {
+        this.dataStore = dataStore;
+        this.storageKey = storageKey;
+    }
+
+    async send(message) {
+        const outbox = this.dataStore.getPreference(this.storageKey, []);
+        outbox.push({ ...message, sentAt: new Date().toISOString() });
+        this.dataStore.setPreference(this.storageKey, outbox.slice(-50));
+        console.info(`📨 [${message.channel}] ${message.to}: ${message.body}`);
+        return { delivered: true, channel: message.channel };
+    }
+}
+
+class AuthService {
+    constructor(options = {}) {
+        this.dataStore = options.dataStore || new DataStore();
+        // Clientes por defecto; el personal del CRM usa el almacén 'staff' y su propia sesión
+        this.usersStore = options.usersStore || 'users';
+        this.sessionKey = options.sessionKey || 'creditxpress_session';
+        this.legacySessionKey = 'creditxpress_current_user';
+
+        this.iterations = options.iterations || 310000;
+        this.sessionTtl = options.sessionTtl || 8 * 60 * 60 * 1000;
+        this.idleTimeout = options.idleTimeout || 15 * 60 * 1000;
+        this.maxFailedAttempts = options.maxFailedAttempts || 5;
+        this.lockoutDuration = options.lockoutDuration || 15 * 60 * 1000;
+        this.resetCodeTtl = options.resetCodeTtl || 10 * 60 * 1000;
+        this.maxResetAttempts = options.maxResetAttempts || 5;
+
+        this.codeSender = options.codeSender || new LocalCodeSender(this.dataStore);
+    }
+
+    // =============================================
+    // ALMACENAMIENTO
+    // =============================================
+
+    getUsers() {
+        return this.dataStore.getAll(this.usersStore);
+    }
+
+    saveUser(user) {
+        return this.dataStore.put(this.usersStore, user);
+    }
+
+    normalizeEmail(email) {
+        return (email || '').trim().toLowerCase();
+    }
+
+    findUser(users, email) {
+        const normalized = this.normalizeEmail(email);
+        return users.find(u => this.normalizeEmail(u.email) === normalized);
+    }
+
+    // Datos del usuario sin secretos, para la interfaz
+    publicProfile(user) {
+        const { password, passwordHash, passwordReset, failedAttempts, lockedUntil, ...profile } = user;
+        return profile;
+    }
+
+    // =============================================
+    // CONTRASEÑAS
+    // =============================================
+
+    toHex(buffer) {
+        return Array.from(new Uint8Array(buffer))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    fromHex(hex) {
+        return new Uint8Array(hex.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+    }
+
+    randomHex(bytes) {
+        return this.toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+    }
+
+    async hashPassword(password, salt = this.randomHex(16), iterations = this.iterations) {
+        const key = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: this.fromHex(salt), iterations },
+            key,
+            256
+        );
+        return { algorithm: 'PBKDF2-SHA256', iterations, salt, hash: this.toHex(bits) };
+    }
+
+    // Comparación en tiempo constante para no filtrar cuántos caracteres coinciden
+    safeEqual(a, b) {
+        if (a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+
+    async verifyPassword(password, record) {
+        const candidate = await this.hashPassword(password, record.salt, record.iterations);
+        return this.safeEqual(candidate.hash, record.hash);
+    }
+
+    async sha256(text) {
+        return this.toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+    }
+
+    validatePasswordStrength(password) {
+        if (!password || password.length < 8) {
+            throw new Error('La contraseña debe tener al menos 8 caracteres.');
+        }
+        if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+            throw new Error('La contraseña debe incluir letras y números.');
+        }
+    }
+
+    // =============================================
+    // REGISTRO E INICIO DE SESIÓN
+    // =============================================
+
+    async register({ name, email, phone, password }) {
+        this.validatePasswordStrength(password);
+
+        const users = await this.getUsers();
+        if (this.findUser(users, email)) {
+            throw new Error('Este email ya está registrado.');
+        }
+
+        const user = {
+            id: Date.now(),
+            name,
+            email: email.trim(),
+            phone,
+            passwordHash: await this.hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+
+        await this.saveUser(user);
+        return this.createSession(user);
+    }
+
+    async login(email, password) {
+        const users = await this.getUsers();
+        const user = this.findUser(users, email);
+
+        // Mismo mensaje si el correo no existe, para no revelar cuentas registradas
+        if (!user) {
+            throw new Error('Credenciales incorrectas.');
+        }
+
+        if (user.lockedUntil && Date.parse(user.lockedUntil) > Date.now()) {
+            const minutes = Math.ceil((Date.parse(user.lockedUntil) - Date.now()) / 60000);
+            throw new Error(`Cuenta bloqueada por intentos fallidos. Intenta de nuevo en ${minutes} min.`);
+        }
+
+        let valid = false;
+        if (user.passwordHash) {
+            valid = await this.verifyPassword(password, user.passwordHash);
+        } else if (typeof user.password === 'string') {
+            // Usuarios anteriores con contraseña en texto plano: migrar al primer acceso
+            valid = this.safeEqual(password, user.password);
+            if (valid) {
+                user.passwordHash = await this.hashPassword(password);
+                delete user.password;
+                console.log(`🔐 Contraseña de ${user.email} migrada a PBKDF2`);
+            }
+        }
+
+        if (!valid) {
+            user.failedAttempts = (user.failedAttempts || 0) + 1;
+            if (user.failedAttempts >= this.maxFailedAttempts) {
+                user.lockedUntil = new Date(Date.now() + this.lockoutDuration).toISOString();
+                user.failedAttempts = 0;
+                await this.saveUser(user);
+                throw new Error(`Demasiados intentos fallidos. Cuenta bloqueada ${Math.round(this.lockoutDuration / 60000)} minutos.`);
+            }
+            await this.saveUser(user);
+            throw new Error('Credenciales incorrectas.');
+        }
+
+        user.failedAttempts = 0;
+        delete user.lockedUntil;
+        user.lastLoginAt = new Date().toISOString();
+        await this.saveUser(user);
+        return this.createSession(user);
+    }
+
+    // =============================================
+    // SESIONES
+    // =============================================
+
+    createSession(user) {
+        const now = Date.now();
+        const session = {
+            token: this.randomHex(32),
+            userId: user.id,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.sessionTtl).toISOString(),
+            lastActivity: new Date(now).toISOString()
+        };
+        this.dataStore.setPreference(this.sessionKey, session);
+        this.dataStore.removePreference(this.legacySessionKey);
+        return { session, user: this.publicProfile(user) };
+    }
+
+    // Sesión vigente y su usuario; null si expiró o pasó el tiempo de inactividad
+    async getSession() {
+        this.dataStore.removePreference(this.legacySessionKey);
+
+        const session = this.dataStore.getPreference(this.sessionKey);
+        if (!session) return null;
+
+        const now = Date.now();
+        const expired = Date.parse(session.expiresAt) <= now;
+        const idle = now - Date.parse(session.lastActivity) > this.idleTimeout;
+        const user = expired || idle ? null : (await this.getUsers()).find(u => u.id === session.userId);
+
+        if (expired || idle || !user) {
+            this.logout();
+            return null;
+        }
+
+        return { session, user: this.publicProfile(user) };
+    }
+
+    // Registrar actividad (se guarda como máximo una vez cada 30 segundos)
+    touch() {
+        const session = this.dataStore.getPreference(this.sessionKey);
+        if (!session) return;
+        const now = Date.now();
+        const idleFor = now - Date.parse(session.lastActivity);
+        // Una sesión ya inactiva no se revive; getSession la cerrará
+        if (idleFor < 30000 || idleFor > this.idleTimeout) return;
+        session.lastActivity = new Date(now).toISOString();
+        this.dataStore.setPreference(this.sessionKey, session);
+    }
+
+    logout() {
+        this.dataStore.removePreference(this.sessionKey);
+        this.dataStore.removePreference(this.legacySessionKey);
+    }
+
+    // =============================================
+    // CAMBIO Y RESTABLECIMIENTO
+    // =============================================
+
+    async changePassword(userId, currentPassword, newPassword) {
+        const users = await this.getUsers();
+        const user = users.find(u => u.id === userId);
+        if (!user || !user.passwordHash) {
+            throw new Error('Usuario no encontrado.');
+        }
+        if (!(await this.verifyPassword(currentPassword, user.passwordHash))) {
+            throw new Error('La contraseña actual es incorrecta.');
+        }
+        this.validatePasswordStrength(newPassword);
+
+        user.passwordHash = await this.hashPassword(newPassword);
+        user.passwordChangedAt = new Date().toISOString();
+        await this.saveUser(user);
+        // Nueva sesión para invalidar el token anterior
+        return this.createSession(user);
+    }
+
+    // Generar un código de 6 dígitos y enviarlo; solo se guarda su hash
+    async requestPasswordReset(email) {
+        const users = await this.getUsers();
+        const user = this.findUser(users, email);
+        if (!user) return;
+
+        const code = String(crypto.getRandomValues(new Uint32Array(1))[0] % 1000000).padStart(6, '0');
+        user.passwordReset = {
+            codeHash: await this.sha256(`${user.id}:${code}`),
+            expiresAt: new Date(Date.now() + this.resetCodeTtl).toISOString(),
+            attempts: 0
+        };
+        await this.saveUser(user);
+
+        await this.codeSender.send({
+            to: user.phone || user.email,
+            channel: user.phone ? 'sms' : 'email',
+            subject: 'Código para restablecer tu contraseña',
+            body: `Tu código de CreditXpress es ${code}. Vence en ${Math.round(this.resetCodeTtl / 60000)} minutos.`
+        });
+    }
+
+    async resetPassword(email, code, newPassword) {
+        const users = await this.getUsers();
+        const user = this.findUser(users, email);
+        const reset = user && user.passwordReset;
+
+        if (!reset || Date.parse(reset.expiresAt) <= Date.now()) {
+            throw new Error('El código expiró o no es válido. Solicita uno nuevo.');
+        }
+        if (reset.attempts >= this.maxResetAttempts) {
+            delete user.passwordReset;
+            await this.saveUser(user);
+            throw new Error('Demasiados intentos. Solicita un código nuevo.');
+        }
+
+        const codeHash = await this.sha256(`${user.id}:${(code || '').trim()}`);
+        if (!this.safeEqual(codeHash, reset.codeHash)) {
+            reset.attempts++;
+            await this.saveUser(user);
+            throw new Error('Código incorrecto.');
+        }
+
+        this.validatePasswordStrength(newPassword);
+
+        user.passwordHash = await this.hashPassword(newPassword);
+        user.passwordChangedAt = new Date().toISOString();
+        delete user.password;
+        delete user.passwordReset;
+        delete user.lockedUntil;
+        user.failedAttempts = 0;
+        await this.saveUser(user);
+        return this.createSession(user);
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.AuthService = AuthService;
+    window.LocalCodeSender = LocalCodeSender;
+}
@@ -0,0 +1,283 @@
+// bank-reconciliation.js - Lectura de estados de cuenta (CSV y CAMT.053) y conciliación con los créditos
+//
+// Solo se toman los abonos. Cada línea recibe un id estable (la clave de rastreo o, si no
+// hay, fecha + monto + texto + número de aparición) para que volver a importar el mismo
+// archivo, o uno que se traslapa con otro, no registre dos veces el mismo depósito.
+class BankReconciliation {
+    constructor(loanServicing = new LoanServicing(), paymentReferences = new PaymentReferences()) {
+        this.loanServicing = loanServicing;
+        this.references = paymentReferences;
+        // Días alrededor del vencimiento en que un depósito sin referencia puede ser ese pago
+        this.toleranceDays = 5;
+
+        // Encabezados conocidos (en minúsculas y sin acentos) de cada dato
+        this.columnAliases = {
+            date: ['fecha', 'fecha operacion', 'fecha de operacion', 'fecha valor', 'fecha abono', 'fecha liquidacion', 'date'],
+            amount: ['monto', 'importe', 'abono', 'abonos', 'deposito', 'depositos', 'credito', 'amount'],
+            debit: ['cargo', 'cargos', 'retiro', 'retiros', 'debito'],
+            // Exportaciones con una sola columna de monto y el tipo de movimiento aparte
+            type: ['tipo', 'tipo de movimiento', 'naturaleza'],
+            reference: ['referencia', 'referencia alfanumerica', 'concepto', 'concepto de pago', 'concepto del pago', 'reference'],
+            account: ['cuenta beneficiario', 'clabe beneficiario', 'cuenta destino', 'clabe destino', 'clabe'],
+            payer: ['ordenante', 'nombre ordenante', 'nombre del ordenante', 'pagador'],
+            trackingKey: ['clave de rastreo', 'rastreo', 'folio', 'numero de movimiento', 'id'],
+            // Se reconoce para que no entre al texto de la línea: cambia entre un archivo y otro
+            balance: ['saldo', 'balance']
+        };
+    }
+
+    // =============================================
+    // LECTURA DE ARCHIVOS
+    // =============================================
+
+    // Regresa { format, lines, skipped } con solo los abonos
+    parse(text, fileName = '') {
+        const isCamt = /\.xml$/i.test(fileName) || /<(?:\w+:)?BkToCstmrStmt\b/.test(text);
+        const { lines, skipped } = isCamt ? this.parseCamt(text) : this.parseCsv(text);
+        if (lines.length === 0) {
+            throw new Error('El archivo no tiene abonos que se puedan leer');
+        }
+
+        // Id estable por línea; las repetidas dentro del archivo se numeran
+        const occurrences = new Map();
+        lines.forEach(line => {
+            if (line.trackingKey) {
+                line.id = `rastreo:${this.references.normalize(line.trackingKey)}`;
+                return;
+            }
+            const base = `${line.date}|${line.amount.toFixed(2)}|${this.references.normalize(`${line.reference} ${line.description}`)}`;
+            const count = (occurrences.get(base) || 0) + 1;
+            occurrences.set(base, count);
+            line.id = `${base}|${count}`;
+        });
+
+        return { format: isCamt ? 'camt' : 'csv', lines, skipped };
+    }
+
+    normalizeHeader(header) {
+        return header.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    splitCsvLine(line, delimiter) {
+        const values = [];
+        let current = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"') {
+                if (quoted && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else {
+                    quoted = !quoted;
+                }
+            } else if (char === delimiter && !quoted) {
+                values.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        values.push(current.trim());
+        return values;
+    }
+
+    // Acepta 1,234.56, 1.234,56 y $ o MXN alrededor del número
+    parseAmount(value) {
+        let clean = String(value || '').replace(/[^\d.,-]/g, '');
+        if (!clean) return null;
+        if (/,\d{1,2}$/.test(clean) && !/\.\d{1,2}$/.test(clean)) {
+            clean = clean.replace(/\./g, '').replace(',', '.');
+        } else {
+            clean = clean.replace(/,/g, '');
+        }
+        const amount = Number(clean);
+        return Number.isFinite(amount) ? this.loanServicing.round(amount) : null;
+    }
+
+    // AAAA-MM-DD, DD/MM/AAAA, DD-MM-AAAA, DD/MM/AA y AAAAMMDD; la hora se ignora
+    parseDate(value) {
+        const text = String(value || '').trim().split(/[ T]/)[0];
+        let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/) || text.match(/^(\d{4})(\d{2})(\d{2})$/);
+        if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+        match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2}|\d{4})$/);
+        if (match) {
+            const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+            return `${year}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+        }
+        return null;
+    }
+
+    parseCsv(text) {
+        const rows = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(row => row.trim());
+
+        // Los bancos suelen poner datos de la cuenta antes del encabezado
+        const headerIndex = rows.slice(0, 15).findIndex(row => {
+            const normalized = this.normalizeHeader(row.replace(/[;,\t]/g, ' | '));
+            return this.columnAliases.date.some(alias => normalized.includes(alias)) &&
+                this.columnAliases.amount.some(alias => normalized.includes(alias));
+        });
+        if (headerIndex === -1) {
+            throw new Error('No se encontró el encabezado con fecha y monto');
+        }
+
+        const headerRow = rows[headerIndex];
+        const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+            headerRow.split(candidate).length > headerRow.split(best).length ? candidate : best, ',');
+        const headers = this.splitCsvLine(headerRow, delimiter).map(header => this.normalizeHeader(header));
+
+        const columns = {};
+        Object.entries(this.columnAliases).forEach(([field, aliases]) => {
+            const index = headers.findIndex((header, i) =>
+                aliases.includes(header) && !Object.values(columns).includes(i));
+            if (index !== -1) columns[field] = index;
+        });
+        if (columns.date === undefined || columns.amount === undefined) {
+            throw new Error('No se encontraron las columnas de fecha y monto');
+        }
+
+        const lines = [];
+        let skipped = 0;
+        rows.slice(headerIndex + 1).forEach(row => {
+            const values = this.splitCsvLine(row, delimiter);
+            const read = field => (columns[field] !== undefined ? values[columns[field]] || '' : '');
+            const date = this.parseDate(read('date'));
+            const amount = this.parseAmount(read('amount'));
+
+            // Cargos (abono vacío, negativo o de tipo cargo) y renglones de totales sin fecha no son depósitos
+            if (!amount || amount <= 0 || !date || /cargo|retiro|debito/.test(this.normalizeHeader(read('type')))) {
+                skipped++;
+                return;
+            }
+
+            const used = Object.values(columns);
+            lines.push({
+                date,
+                amount,
+                reference: read('reference'),
+                description: values.filter((value, index) => value && !used.includes(index)).join(' · '),
+                account: read('account'),
+                payer: read('payer'),
+                trackingKey: read('trackingKey')
+            });
+        });
+        return { lines, skipped };
+    }
+
+    // Primer elemento con ese nombre (con o sin prefijo de namespace)
+    xmlValue(xml, ...path) {
+        let current = xml;
+        for (const name of path) {
+            const match = current.match(new RegExp(`<(?:\\w+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${name}>`));
+            if (!match) return '';
+            current = match[1];
+        }
+        return this.decodeXml(current);
+    }
+
+    decodeXml(text) {
+        return text.trim()
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+    }
+
+    // CAMT.053: un <Ntry> por movimiento; el concepto va en RmtInf y la CLABE referenciada en CdtrAcct
+    parseCamt(text) {
+        const entries = text.match(/<(?:\w+:)?Ntry\b[^>]*>[\s\S]*?<\/(?:\w+:)?Ntry>/g) || [];
+        const lines = [];
+        let skipped = 0;
+        entries.forEach(entry => {
+            const amount = this.parseAmount(this.xmlValue(entry, 'Amt'));
+            const date = this.parseDate(this.xmlValue(entry, 'BookgDt', 'Dt') || this.xmlValue(entry, 'BookgDt', 'DtTm') ||
+                this.xmlValue(entry, 'ValDt', 'Dt'));
+            if (this.xmlValue(entry, 'CdtDbtInd') !== 'CRDT' || !amount || !date) {
+                skipped++;
+                return;
+            }
+            const remittance = (entry.match(/<(?:\w+:)?(?:Ustrd|Ref)\b[^>]*>[\s\S]*?<\/(?:\w+:)?(?:Ustrd|Ref)>/g) || [])
+                .map(value => this.decodeXml(value.replace(/<[^>]+>/g, '')));
+            lines.push({
+                date,
+                amount,
+                reference: remittance[0] || '',
+                description: [...remittance.slice(1), this.xmlValue(entry, 'AddtlNtryInf')].filter(Boolean).join(' · '),
+                account: this.xmlValue(entry, 'CdtrAcct', 'Othr', 'Id') || this.xmlValue(entry, 'CdtrAcct', 'IBAN'),
+                payer: this.xmlValue(entry, 'Dbtr', 'Nm'),
+                trackingKey: this.xmlValue(entry, 'AcctSvcrRef') || this.xmlValue(entry, 'Refs', 'TxId') || this.xmlValue(entry, 'NtryRef')
+            });
+        });
+        return { lines, skipped };
+    }
+
+    // Huella del archivo para el historial de importaciones
+    async fingerprint(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // =============================================
+    // CONCILIACIÓN
+    // =============================================
+
+    nameTokens(name) {
+        return this.normalizeHeader(name || '').split(' ').filter(token => token.length > 2);
+    }
+
+    // Con referencia: se registra si el crédito tiene saldo que la cubra. Sin referencia:
+    // solo se registra si un único crédito espera ese monto en esas fechas y el nombre del
+    // ordenante coincide; lo demás queda para revisión con los créditos candidatos.
+    match(line, collections) {
+        const byReference = this.references.findByReference(collections, {
+            text: `${line.reference} ${line.description}`,
+            account: line.account
+        });
+
+        if (byReference.length > 1) {
+            return { status: 'review', collectionId: null, candidates: byReference.map(c => c.id), reason: 'La línea menciona las referencias de varios créditos' };
+        }
+
+        if (byReference.length === 1) {
+            const collection = byReference[0];
+            const summary = this.loanServicing.summarize(collection, line.date);
+            if (summary.status === 'paid') {
+                return { status: 'review', collectionId: null, candidates: [collection.id], reason: 'El crédito ya está liquidado' };
+            }
+            if (line.amount > summary.totalOutstanding + 0.01) {
+                return { status: 'review', collectionId: null, candidates: [collection.id], reason: 'El depósito es mayor que el saldo del crédito' };
+            }
+            const store = this.references.normalize(`${line.reference} ${line.description}`).includes(collection.storeReference);
+            return { status: 'matched', collectionId: collection.id, candidates: [collection.id], method: store ? 'cash' : 'transfer', reason: 'Referencia' };
+        }
+
+        const candidates = collections.filter(collection => {
+            if (!collection.installments || collection.status === 'paid') return false;
+            const summary = this.loanServicing.summarize(collection, line.date);
+            if (summary.status === 'paid') return false;
+            const expected = [summary.nextAmount, summary.overdueAmount, collection.monthlyPayment];
+            if (!expected.some(amount => amount && Math.abs(amount - line.amount) <= 0.01)) return false;
+            return summary.status === 'overdue' ||
+                Math.abs(this.loanServicing.daysBetween(summary.nextInstallment.dueDate, line.date)) <= this.toleranceDays;
+        });
+
+        if (candidates.length === 1 && line.payer) {
+            const payer = this.nameTokens(line.payer);
+            const shared = this.nameTokens(candidates[0].clientName).filter(token => payer.includes(token));
+            if (shared.length >= 2) {
+                return { status: 'matched', collectionId: candidates[0].id, candidates: [candidates[0].id], method: 'transfer', reason: 'Monto, fecha y ordenante' };
+            }
+        }
+
+        return {
+            status: 'review',
+            collectionId: null,
+            candidates: candidates.map(c => c.id),
+            reason: candidates.length > 0 ? 'Sin referencia; coincide por monto y fecha' : 'Sin referencia ni monto esperado'
+        };
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.BankReconciliation = BankReconciliation;
+}
@@ -0,0 +1,103 @@
+// cat-calculator.js - Costo Anual Total (CAT) con la metodología de Banxico
+//
+// El CAT es la tasa anual i que iguala el monto recibido con el valor presente de los pagos:
+//
+//     Σ A_j / (1 + i)^t_j  =  Σ B_k / (1 + i)^s_k
+//
+// A_j son las disposiciones (monto menos comisiones cobradas al inicio), B_k los pagos
+// y t_j, s_k el tiempo en años (pago k / pagos por año). El resultado se expresa en
+// porcentaje con un decimal.
+//
+// Ejemplos de referencia (probados en tests/cat-calculator.test.js):
+//   - $1,000 recibidos y un pago de $1,100 al año                          → CAT 10.0%
+//   - $10,000 recibidos y 12 pagos mensuales de $1,000                     → CAT 41.3%
+//   - $3,000 a 6 meses, tasa fija 120% anual, IVA 16%, sin comisión
+//     (6 pagos mensuales de $848)                                          → CAT 596.6%
+//   - $3,000 a 6 meses quincenal, 96% anual sobre saldos, IVA 16%,
+//     apertura 3% + IVA (recibe $2,895.60, 12 pagos de ~$331.64)          → CAT 242.8%
+class CATCalculator {
+    constructor(options = {}) {
+        this.tolerance = options.tolerance || 1e-10;
+        this.maxIterations = options.maxIterations || 200;
+    }
+
+    // Flujos de la tabla de pagos: disposición neta en t = 0 y cada pago con su IVA
+    buildCashFlows(schedule) {
+        const disbursement = schedule.amount - schedule.openingCommission - schedule.openingCommissionIVA;
+        return {
+            disbursements: [{ time: 0, amount: disbursement }],
+            payments: schedule.installments.map(installment => ({
+                time: installment.number / schedule.periodsPerYear,
+                amount: installment.payment
+            }))
+        };
+    }
+
+    presentValue(flows, rate) {
+        return flows.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, flow.time), 0);
+    }
+
+    // Derivada del valor presente respecto a la tasa (para Newton-Raphson)
+    presentValueDerivative(flows, rate) {
+        return flows.reduce((sum, flow) =>
+            sum - flow.time * flow.amount / Math.pow(1 + rate, flow.time + 1), 0);
+    }
+
+    // Resolver la tasa anual: Newton-Raphson y bisección si no converge
+    solveRate({ disbursements, payments }) {
+        const received = this.presentValue(disbursements, 0);
+        const paid = this.presentValue(payments, 0);
+        if (received <= 0 || paid <= 0) return null;
+
+        const f = rate => this.presentValue(payments, rate) - this.presentValue(disbursements, rate);
+        const df = rate => this.presentValueDerivative(payments, rate) - this.presentValueDerivative(disbursements, rate);
+
+        let rate = 0.5;
+        for (let i = 0; i < this.maxIterations; i++) {
+            const value = f(rate);
+            if (Math.abs(value) < this.tolerance) return rate;
+            const slope = df(rate);
+            if (!isFinite(slope) || slope === 0) break;
+            const next = rate - value / slope;
+            if (!isFinite(next) || next <= -1) break;
+            if (Math.abs(next - rate) < this.tolerance) return next;
+            rate = next;
+        }
+
+        // f es decreciente en la tasa: buscar un intervalo con cambio de signo
+        let low = -0.9999;
+        let high = 1;
+        while (f(high) > 0 && high < 1e6) high *= 2;
+        if (f(low) < 0 || f(high) > 0) return null;
+
+        for (let i = 0; i < this.maxIterations; i++) {
+            const mid = (low + high) / 2;
+            if (f(mid) > 0) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+            if (high - low < this.tolerance) break;
+        }
+        return (low + high) / 2;
+    }
+
+    // CAT en porcentaje con un decimal
+    toPercent(rate) {
+        return rate === null ? null : Math.round(rate * 1000) / 10 || 0;
+    }
+
+    // CAT de una tabla generada por LoanEngine.buildSchedule
+    calculate(schedule) {
+        return this.toPercent(this.solveRate(this.buildCashFlows(schedule)));
+    }
+
+    formatCAT(cat) {
+        return cat === null ? 'N/D' : `${cat.toFixed(1)}%`;
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.CATCalculator = CATCalculator;
+}
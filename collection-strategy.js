@@ -0,0 +1,321 @@
+// collection-strategy.js - Estrategia de cobranza: acciones programadas, prioridad y promesas de pago
+//
+// Las acciones se programan contra la cuota más antigua sin pagar: D-3 es tres días antes
+// de su vencimiento y D+7 siete días después. Cada día solo se pide la acción más avanzada
+// que ya toca; una acción queda hecha cuando contactHistory tiene un contacto por su canal
+// desde la fecha programada. Mientras hay una promesa de pago vigente no se programan
+// acciones, y una promesa incumplida agrega un seguimiento y sube la prioridad.
+class CollectionStrategy {
+    constructor(dataStore = new DataStore(), loanServicing = new LoanServicing()) {
+        this.dataStore = dataStore;
+        this.loanServicing = loanServicing;
+        this.rulesKey = 'creditxpress_collection_strategy';
+
+        // offset: días respecto al vencimiento de la cuota; action 'message' usa channel
+        this.defaultRules = {
+            steps: [
+                { id: 'reminder', label: 'Recordatorio preventivo', offset: -3, action: 'message', channel: 'email' },
+                { id: 'sms', label: 'SMS de atraso', offset: 1, action: 'message', channel: 'sms' },
+                { id: 'call', label: 'Llamada de cobranza', offset: 7, action: 'message', channel: 'call' },
+                { id: 'escalation', label: 'Escalar a cobranza especializada', offset: 30, action: 'escalate' }
+            ],
+            // Días después de la fecha prometida para llamar si no se cumplió
+            promiseFollowUpDays: 1,
+            // Sin un contacto exitoso en estos días, la cuenta sube de prioridad
+            noContactDays: 7,
+            // Saldo con el que el monto en riesgo da el máximo de puntos
+            amountCap: 5000
+        };
+
+        this.levels = [
+            { id: 'high', label: 'Alta', min: 60 },
+            { id: 'medium', label: 'Media', min: 30 },
+            { id: 'low', label: 'Baja', min: 0 }
+        ];
+    }
+
+    // =============================================
+    // REGLAS
+    // =============================================
+
+    getRules() {
+        const saved = this.dataStore.getPreference(this.rulesKey) || {};
+        return {
+            ...this.defaultRules,
+            ...saved,
+            steps: (saved.steps || this.defaultRules.steps).slice().sort((a, b) => a.offset - b.offset)
+        };
+    }
+
+    saveRules(rules) {
+        const ids = new Set();
+        (rules.steps || []).forEach(step => {
+            if (!Number.isInteger(step.offset)) throw new Error(`Día no válido en ${step.label || step.id}`);
+            if (ids.has(step.id)) throw new Error(`Acción repetida: ${step.id}`);
+            if (step.action === 'message' && !step.channel) throw new Error(`Falta el canal de ${step.label || step.id}`);
+            ids.add(step.id);
+        });
+        this.dataStore.setPreference(this.rulesKey, rules);
+    }
+
+    resetRules() {
+        this.dataStore.removePreference(this.rulesKey);
+    }
+
+    addDays(date, days) {
+        const result = new Date(`${date}T00:00:00Z`);
+        result.setUTCDate(result.getUTCDate() + days);
+        return result.toISOString().split('T')[0];
+    }
+
+    // =============================================
+    // PROMESAS DE PAGO
+    // =============================================
+
+    getOpenPromise(collection) {
+        return (collection.promises || []).find(promise => promise.status === 'pending') || null;
+    }
+
+    createPromise(collection, { date, amount }, actor, asOf = this.loanServicing.today()) {
+        if (!date || date < asOf) {
+            throw new Error('La fecha prometida no puede ser anterior a hoy');
+        }
+        if (!amount || amount <= 0) {
+            throw new Error('Indica el monto prometido');
+        }
+        if (this.getOpenPromise(collection)) {
+            throw new Error('El crédito ya tiene una promesa de pago vigente');
+        }
+
+        const promise = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+            date,
+            amount: this.loanServicing.round(amount),
+            paidAmount: 0,
+            status: 'pending',
+            createdAt: new Date().toISOString(),
+            createdBy: actor,
+            resolvedAt: null
+        };
+        collection.promises = [...(collection.promises || []), promise];
+        return promise;
+    }
+
+    // Pagos vigentes con fecha hasta la prometida y registrados después de la promesa
+    // (un pago con fecha anterior cuenta si se registró después de prometerlo). El cierre
+    // por reestructura no es dinero del cliente y no cuenta.
+    getPromisePayments(collection, promise) {
+        return (collection.payments || []).filter(payment =>
+            payment.status !== 'reversed' &&
+            payment.method !== 'restructure' &&
+            payment.date <= promise.date &&
+            (payment.recordedAt || `${payment.date}T23:59:59`) >= promise.createdAt);
+    }
+
+    // Recalcula todas las promesas contra los pagos; regresa las que cambiaron de estado.
+    // Se vuelve a evaluar después de cada pago o reversa, así que una promesa cumplida
+    // puede regresar a vigente (o a incumplida) si se revierte el pago. Las promesas de un
+    // crédito reestructurado se quedan como estaban al cerrarlo.
+    evaluatePromises(collection, asOf = this.loanServicing.today()) {
+        const changes = [];
+        if (collection.restructuredInto) return changes;
+        (collection.promises || []).forEach(promise => {
+            const paid = this.loanServicing.round(this.getPromisePayments(collection, promise)
+                .reduce((sum, payment) => sum + payment.amount, 0));
+            const status = paid >= promise.amount - 0.01
+                ? 'kept'
+                : (asOf > promise.date ? 'broken' : 'pending');
+
+            promise.paidAmount = paid;
+            if (status !== promise.status) {
+                changes.push({ promise, from: promise.status, to: status });
+                promise.status = status;
+                promise.resolvedAt = status === 'pending' ? null : new Date().toISOString();
+            }
+        });
+        return changes;
+    }
+
+    getBrokenPromises(collection) {
+        return (collection.promises || []).filter(promise => promise.status === 'broken');
+    }
+
+    // =============================================
+    // ACCIONES PROGRAMADAS
+    // =============================================
+
+    // Contacto exitoso (o sin estado, de antes de registrar entregas) por el canal desde una fecha
+    hasContact(collection, channel, since) {
+        return (collection.contactHistory || []).some(entry =>
+            entry.type === channel && entry.date >= since && entry.status !== 'failed');
+    }
+
+    getLastContact(collection) {
+        const successful = (collection.contactHistory || []).filter(entry => entry.status !== 'failed');
+        return successful.length > 0 ? successful[successful.length - 1] : null;
+    }
+
+    // Acciones pendientes a la fecha: la regla más avanzada que ya toca y, si hay, el
+    // seguimiento de la última promesa incumplida
+    getActions(collection, asOf = this.loanServicing.today(), summary = this.loanServicing.summarize(collection, asOf)) {
+        if (summary.status === 'paid') return [];
+
+        const rules = this.getRules();
+        const actions = [];
+        const openPromise = this.getOpenPromise(collection);
+        const installment = summary.installments.find(i => i.status !== 'paid');
+        const daysFromDue = this.loanServicing.daysBetween(installment.dueDate, asOf);
+
+        const step = openPromise ? null : rules.steps
+            .filter(s => s.enabled !== false && daysFromDue >= s.offset)
+            .pop();
+        if (step) {
+            const scheduledDate = this.addDays(installment.dueDate, step.offset);
+            const done = step.action === 'escalate'
+                ? Boolean(collection.escalatedAt)
+                : this.hasContact(collection, step.channel, scheduledDate);
+            if (!done) {
+                actions.push({
+                    key: `${collection.id}:${step.id}:${installment.number}`,
+                    ruleId: step.id,
+                    label: step.label,
+                    action: step.action,
+                    channel: step.channel || null,
+                    scheduledDate,
+                    day: step.offset
+                });
+            }
+        }
+
+        const broken = this.getBrokenPromises(collection).pop();
+        if (broken && !openPromise) {
+            const scheduledDate = this.addDays(broken.date, rules.promiseFollowUpDays);
+            if (scheduledDate <= asOf && !this.hasContact(collection, 'call', scheduledDate)) {
+                actions.push({
+                    key: `${collection.id}:promise:${broken.id}`,
+                    ruleId: 'promise',
+                    label: 'Seguimiento de promesa incumplida',
+                    action: 'message',
+                    channel: 'call',
+                    scheduledDate,
+                    day: null
+                });
+            }
+        }
+
+        return actions;
+    }
+
+    // =============================================
+    // PRIORIDAD
+    // =============================================
+
+    // Puntaje de 0 a 100: atraso (40), monto en riesgo (25), falta de contacto (10),
+    // intentos fallidos (10) y promesas incumplidas (30); una promesa vigente resta 20
+    getPriority(collection, asOf = this.loanServicing.today(), summary = this.loanServicing.summarize(collection, asOf)) {
+        const rules = this.getRules();
+        const reasons = [];
+        let score = 0;
+
+        if (summary.status === 'overdue') {
+            score += Math.min(summary.overdueDays, 90) / 90 * 40;
+            reasons.push(`${summary.overdueDays} día(s) de atraso`);
+
+            score += Math.min(summary.totalOutstanding / rules.amountCap, 1) * 25;
+            reasons.push(`${this.money(summary.totalOutstanding)} en riesgo`);
+
+            const last = this.getLastContact(collection);
+            if (!last || this.loanServicing.daysBetween(last.date, asOf) > rules.noContactDays) {
+                score += 10;
+                reasons.push(last ? `Sin contacto desde ${last.date}` : 'Sin contacto');
+            }
+        }
+
+        const history = collection.contactHistory || [];
+        const lastSuccess = history.map(entry => entry.status !== 'failed').lastIndexOf(true);
+        const failed = history.slice(lastSuccess + 1).length;
+        if (failed > 0) {
+            score += Math.min(failed * 5, 10);
+            reasons.push(`${failed} intento(s) fallido(s)`);
+        }
+
+        const broken = this.getBrokenPromises(collection).length;
+        if (broken > 0) {
+            score += Math.min(broken * 15, 30);
+            reasons.push(`${broken} promesa(s) incumplida(s)`);
+        }
+
+        const openPromise = this.getOpenPromise(collection);
+        if (openPromise) {
+            score -= 20;
+            reasons.push(`Promesa vigente al ${openPromise.date}`);
+        }
+
+        score = Math.round(Math.max(0, Math.min(100, score)));
+        return { score, level: this.levels.find(level => score >= level.min), reasons };
+    }
+
+    money(value) {
+        return `$${value.toLocaleString('es-MX', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    // =============================================
+    // COLAS DE TRABAJO
+    // =============================================
+
+    // Cuentas vivas sin gestor (o con uno que ya no está) van al que tiene menos cuentas.
+    // collectors = [{ id, name }]; regresa los créditos que cambiaron de gestor.
+    assign(collections, collectors) {
+        if (collectors.length === 0) return [];
+
+        const load = new Map(collectors.map(collector => [collector.id, 0]));
+        const active = collections.filter(collection => collection.status !== 'paid' && !collection.restructuredInto);
+        active.forEach(collection => {
+            if (collection.assignedTo && load.has(collection.assignedTo.id)) {
+                load.set(collection.assignedTo.id, load.get(collection.assignedTo.id) + 1);
+            }
+        });
+
+        const changed = [];
+        active.forEach(collection => {
+            if (collection.assignedTo && load.has(collection.assignedTo.id)) return;
+            const collector = collectors.reduce((least, candidate) =>
+                load.get(candidate.id) < load.get(least.id) ? candidate : least);
+            collection.assignedTo = { id: collector.id, name: collector.name };
+            load.set(collector.id, load.get(collector.id) + 1);
+            changed.push(collection);
+        });
+        return changed;
+    }
+
+    // Acciones del día de todas las cuentas, de mayor a menor prioridad
+    buildQueue(collections, asOf = this.loanServicing.today()) {
+        const items = [];
+        collections.forEach(collection => {
+            const summary = this.loanServicing.summarize(collection, asOf);
+            const actions = this.getActions(collection, asOf, summary);
+            if (actions.length === 0) return;
+
+            const priority = this.getPriority(collection, asOf, summary);
+            actions.forEach(action => {
+                items.push({
+                    ...action,
+                    collectionId: collection.id,
+                    clientName: collection.clientName,
+                    creditId: collection.creditId,
+                    assignedTo: collection.assignedTo || null,
+                    overdueDays: summary.overdueDays,
+                    priority
+                });
+            });
+        });
+
+        return items.sort((a, b) =>
+            b.priority.score - a.priority.score || a.scheduledDate.localeCompare(b.scheduledDate));
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.CollectionStrategy = CollectionStrategy;
+}
@@ -0,0 +1,283 @@
+// credit-bureau-report.js - Reporte mensual de cartera al Buró de Crédito (formato INTF)
+//
+// Un registro por línea: el encabezado INTF de ancho fijo, por cada crédito sus segmentos
+// PN (nombre), PA (domicilio) y TL (cuenta), y la cola TRLR de ancho fijo con los totales.
+// Dentro de PN, PA y TL cada campo va como etiqueta (2) + longitud (2) + valor, en
+// mayúsculas y sin acentos. Los montos se reportan en pesos enteros y las fechas DDMMAAAA.
+class CreditBureauReport {
+    constructor(dataStore = new DataStore(), loanServicing = new LoanServicing(), curpValidator = new CURPValidator()) {
+        this.dataStore = dataStore;
+        this.loanServicing = loanServicing;
+        this.curpValidator = curpValidator;
+        this.memberKey = 'creditxpress_bureau_member';
+        this.version = '14';
+
+        // Clave y nombre de otorgante asignados por el Buró; domicilio para devoluciones
+        this.defaultMember = {
+            code: 'CX00000001',
+            shortName: 'CREDITXPRESS',
+            returnAddress: 'AV REFORMA 100 CUAUHTEMOC CDMX 06600'
+        };
+
+        // MOP (forma de pago actual) según los días de atraso
+        this.mopLevels = [
+            { code: '01', label: 'Al corriente', max: 0 },
+            { code: '02', label: '1 a 29 días de atraso', max: 29 },
+            { code: '03', label: '30 a 59 días de atraso', max: 59 },
+            { code: '04', label: '60 a 89 días de atraso', max: 89 },
+            { code: '05', label: '90 a 119 días de atraso', max: 119 },
+            { code: '06', label: '120 a 149 días de atraso', max: 149 },
+            { code: '07', label: '150 días a 12 meses de atraso', max: 364 },
+            { code: '96', label: '12 meses o más de atraso', max: Infinity }
+        ];
+        this.recentMop = { code: '00', label: 'Cuenta muy reciente para calificarse' };
+
+        // Entidad de la CURP (como la guarda la solicitud) a la clave de estado del Buró
+        this.stateCodes = {
+            AS: 'AGS', BC: 'BCN', BS: 'BCS', CC: 'CAM', CL: 'COA', CM: 'COL', CS: 'CHS', CH: 'CHI',
+            DF: 'CDMX', DG: 'DGO', GT: 'GTO', GR: 'GRO', HG: 'HGO', JC: 'JAL', MC: 'EM', MN: 'MICH',
+            MS: 'MOR', NT: 'NAY', NL: 'NL', OC: 'OAX', PL: 'PUE', QT: 'QRO', QR: 'QR', SP: 'SLP',
+            SL: 'SIN', SR: 'SON', TC: 'TAB', TS: 'TAM', TL: 'TLAX', VZ: 'VER', YN: 'YUC', ZS: 'ZAC'
+        };
+
+        // Frecuencia de pagos del producto a la clave del Buró
+        this.frequencyCodes = { weekly: 'W', biweekly: 'S', monthly: 'M' };
+    }
+
+    getMember() {
+        return { ...this.defaultMember, ...(this.dataStore.getPreference(this.memberKey) || {}) };
+    }
+
+    // =============================================
+    // MOP
+    // =============================================
+
+    // Sin cuotas vencidas ni pagos todavía, la cuenta es muy reciente para calificarse
+    getMop(collection, summary) {
+        if (summary.status === 'paid') return this.mopLevels[0];
+        const activePayments = (collection.payments || []).filter(payment => payment.status !== 'reversed');
+        const firstDue = summary.installments[0];
+        if (activePayments.length === 0 && summary.overdueDays === 0 && firstDue && firstDue.dueDate >= summary.asOf) {
+            return this.recentMop;
+        }
+        return this.mopLevels.find(level => summary.overdueDays <= level.max);
+    }
+
+    // =============================================
+    // FORMATO
+    // =============================================
+
+    // Mayúsculas sin acentos; la Ñ pasa a N porque el archivo va en ASCII
+    text(value) {
+        return String(value || '')
+            .toUpperCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^A-Z0-9 .,#/-]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    date(isoDate) {
+        if (!isoDate) return '';
+        const [year, month, day] = isoDate.split('T')[0].split('-');
+        return `${day}${month}${year}`;
+    }
+
+    amount(value) {
+        return String(Math.max(0, Math.round(value || 0)));
+    }
+
+    // Campo etiquetado: etiqueta + longitud a dos dígitos + valor; los vacíos no se reportan
+    field(tag, value, maxLength) {
+        const content = String(value).slice(0, maxLength);
+        return content ? `${tag}${String(content.length).padStart(2, '0')}${content}` : '';
+    }
+
+    segment(fields) {
+        return fields.map(([tag, value, maxLength]) => this.field(tag, value, maxLength)).join('');
+    }
+
+    // =============================================
+    // REGISTROS
+    // =============================================
+
+    // Datos del acreditado y de la cuenta; errors lista los campos obligatorios que faltan
+    buildRecord(collection, request, asOf) {
+        if (!request) {
+            return { errors: ['No se encontró la solicitud del crédito'] };
+        }
+
+        const errors = [];
+        const application = request.application || {};
+        const address = application.address || {};
+
+        const name = this.curpValidator.splitFullName(collection.clientName || request.clientName || '');
+        if (!name.paternalSurname) errors.push('Falta el apellido paterno');
+        if (!name.givenNames) errors.push('Falta el nombre');
+
+        const curpCheck = this.curpValidator.validate(application.curp || request.curp || '');
+        if (!curpCheck.valid) errors.push('CURP ausente o no válida');
+
+        const birthDate = application.birthDate || request.birthDate || (curpCheck.data && curpCheck.data.birthDate);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(birthDate || '')) errors.push('Falta la fecha de nacimiento');
+
+        if (!address.street) errors.push('Falta la calle y número del domicilio');
+        if (!address.neighborhood) errors.push('Falta la colonia');
+        if (!address.city) errors.push('Falta el municipio o ciudad');
+        const state = this.stateCodes[address.state];
+        if (!state) errors.push('Falta el estado del domicilio');
+        if (!/^\d{5}$/.test(address.zipCode || '')) errors.push('Código postal no válido');
+
+        if (!collection.installments || !collection.startDate) errors.push('El crédito no tiene calendario de pagos');
+        if (!(collection.creditAmount > 0)) errors.push('Falta el monto del crédito');
+
+        if (errors.length > 0) {
+            return { errors };
+        }
+
+        const summary = { ...this.loanServicing.summarize(collection, asOf), asOf };
+        const mop = this.getMop(collection, summary);
+        const payments = (collection.payments || [])
+            .filter(payment => payment.status !== 'reversed')
+            .sort((a, b) => a.date.localeCompare(b.date));
+        const lastPayment = payments.length > 0 ? payments[payments.length - 1].date : null;
+        const closedOn = summary.status === 'paid' ? lastPayment : null;
+        const overdueInstallments = summary.installments.filter(i => i.status === 'overdue').length;
+        const member = this.getMember();
+
+        // RFC sin homoclave: las primeras diez posiciones de la CURP
+        const rfc = curpCheck.curp.slice(0, 10);
+        const givenNames = name.givenNames.split(' ');
+
+        const pn = this.segment([
+            ['PN', this.text(name.paternalSurname), 26],
+            ['00', this.text(name.maternalSurname) || 'NO PROPORCIONADO', 26],
+            ['02', this.text(givenNames[0]), 26],
+            ['03', this.text(givenNames.slice(1).join(' ')), 26],
+            ['04', this.date(birthDate), 8],
+            ['05', rfc, 13],
+            ['08', 'MX', 2],
+            ['12', curpCheck.data.sex === 'M' ? 'F' : 'M', 1],
+            ['15', curpCheck.curp, 18]
+        ]);
+
+        const pa = this.segment([
+            ['PA', this.text(address.street), 40],
+            ['01', this.text(address.neighborhood), 40],
+            ['02', this.text(address.city), 40],
+            ['03', this.text(address.city), 40],
+            ['04', state, 4],
+            ['05', address.zipCode, 5],
+            ['07', (collection.clientPhone || '').replace(/\D/g, '').slice(-10), 11]
+        ]);
+
+        const tl = this.segment([
+            ['TL', member.code, 10],
+            ['01', this.text(member.shortName), 16],
+            ['04', String(collection.accountNumber || collection.creditId), 25],
+            ['05', 'I', 1],
+            ['06', 'I', 1],
+            ['07', 'PL', 2],
+            ['08', 'MX', 2],
+            ['10', String(collection.installments.length), 4],
+            ['11', this.frequencyCodes[collection.paymentFrequency] || 'M', 1],
+            ['12', this.amount(collection.monthlyPayment), 9],
+            ['13', this.date(collection.startDate), 8],
+            ['14', this.date(lastPayment || collection.startDate), 8],
+            ['16', this.date(closedOn), 8],
+            ['17', this.date(asOf), 8],
+            ['21', this.amount(collection.creditAmount), 9],
+            ['22', this.amount(summary.totalOutstanding), 9],
+            ['24', this.amount(summary.overdueAmount), 9],
+            ['25', String(overdueInstallments), 4],
+            ['26', mop.code, 2]
+        ]);
+
+        return {
+            errors,
+            line: `${pn}${pa}${tl}`,
+            mop,
+            balance: Math.round(summary.totalOutstanding),
+            pastDue: Math.round(summary.overdueAmount),
+            overdueDays: summary.overdueDays,
+            closedOn
+        };
+    }
+
+    // =============================================
+    // ARCHIVO
+    // =============================================
+
+    // Encabezado de 150 posiciones: INTF, versión, otorgante, fecha de reporte y relleno
+    header(member, asOf) {
+        return [
+            'INTF',
+            this.version,
+            member.code.padEnd(10).slice(0, 10),
+            this.text(member.shortName).padEnd(16).slice(0, 16),
+            '  ',
+            this.date(asOf),
+            ''.padEnd(10),
+            ''.padEnd(98)
+        ].join('');
+    }
+
+    // Cola con saldos totales y número de segmentos reportados
+    trailer(member, records) {
+        const sum = key => String(records.reduce((total, record) => total + record[key], 0));
+        return [
+            'TRLR',
+            sum('balance').padStart(14, '0'),
+            sum('pastDue').padStart(14, '0'),
+            '001',
+            String(records.length).padStart(9, '0'),
+            String(records.length).padStart(9, '0'),
+            '0'.padStart(9, '0'),
+            String(records.length).padStart(9, '0'),
+            '0'.padStart(6, '0'),
+            this.text(member.shortName).padEnd(16).slice(0, 16),
+            this.text(member.returnAddress).padEnd(160).slice(0, 160)
+        ].join('');
+    }
+
+    // Créditos vivos más los liquidados dentro del mes que se reporta; los que no pasan
+    // la validación quedan fuera del archivo y se listan en rejected
+    build(collections, requests, asOf = this.loanServicing.today()) {
+        const member = this.getMember();
+        const periodStart = `${asOf.slice(0, 8)}01`;
+        const records = [];
+        const rejected = [];
+
+        collections.forEach(collection => {
+            const request = requests.find(r => r.id === collection.creditId) || null;
+            const record = this.buildRecord(collection, request, asOf);
+            const base = { collectionId: collection.id, clientName: collection.clientName, creditId: collection.creditId };
+
+            if (record.errors.length > 0) {
+                rejected.push({ ...base, errors: record.errors });
+                return;
+            }
+            if (record.closedOn && record.closedOn < periodStart) return;
+            records.push({ ...base, ...record });
+        });
+
+        const lines = [this.header(member, asOf), ...records.map(record => record.line), this.trailer(member, records)];
+        return {
+            asOf,
+            fileName: `INTF_${member.code}_${asOf.replace(/-/g, '')}.txt`,
+            content: lines.join('\r\n') + '\r\n',
+            records,
+            rejected,
+            totals: {
+                balance: records.reduce((sum, record) => sum + record.balance, 0),
+                pastDue: records.reduce((sum, record) => sum + record.pastDue, 0)
+            }
+        };
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.CreditBureauReport = CreditBureauReport;
+}
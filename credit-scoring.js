@@ -0,0 +1,241 @@
+// credit-scoring.js - Puntaje y recomendación de decisión para las solicitudes del CRM
+class CreditScoring {
+    constructor(dataStore = new DataStore(), loanEngine = new LoanEngine(dataStore)) {
+        this.dataStore = dataStore;
+        this.loanEngine = loanEngine;
+        this.storageKey = 'creditxpress_scoring_rules';
+
+        // Motivos de rechazo: el texto para el cliente no revela reglas internas
+        this.reasonCodes = {
+            R01: { label: 'Identidad no verificada', clientMessage: 'No pudimos verificar tu identificación oficial.' },
+            R02: { label: 'Capacidad de pago insuficiente', clientMessage: 'El pago del crédito es alto respecto a tus ingresos declarados.' },
+            R03: { label: 'Documentación incompleta', clientMessage: 'Faltan documentos o no son legibles.' },
+            R04: { label: 'Inconsistencias en la información', clientMessage: 'Encontramos inconsistencias en la información proporcionada.' },
+            R05: { label: 'Historial de pagos', clientMessage: 'Tienes pagos atrasados en un crédito con nosotros.' },
+            R06: { label: 'Fuera de política', clientMessage: 'La solicitud no cumple con nuestras políticas de crédito.' }
+        };
+
+        this.documentTypes = ['identification', 'identificationBack', 'address', 'credit', 'bank'];
+
+        // Pesos en puntos (suman 100) y cortes de decisión
+        this.defaultRules = {
+            weights: { identity: 30, capacity: 30, fraud: 20, history: 10, documents: 10 },
+            approveScore: 70,
+            rejectScore: 40,
+            minIneScore: 60,
+            comfortablePaymentToIncome: 0.15,
+            maxPaymentToIncome: 0.40,
+            maxOverdueDays: 30,
+            rejectOnHighFraud: true,
+            requireAllDocuments: true
+        };
+
+        this.componentLabels = {
+            identity: 'Validación de INE',
+            capacity: 'Deuda vs. ingreso',
+            fraud: 'Alertas de fraude',
+            history: 'Historial de pagos',
+            documents: 'Documentos completos'
+        };
+    }
+
+    // =============================================
+    // REGLAS
+    // =============================================
+
+    getRules() {
+        const saved = this.dataStore.getPreference(this.storageKey);
+        return saved
+            ? { ...this.defaultRules, ...saved, weights: { ...this.defaultRules.weights, ...saved.weights } }
+            : this.defaultRules;
+    }
+
+    saveRules(rules) {
+        this.validateRules(rules);
+        this.dataStore.setPreference(this.storageKey, rules);
+    }
+
+    resetRules() {
+        this.dataStore.removePreference(this.storageKey);
+    }
+
+    validateRules(rules) {
+        const totalWeight = Object.values(rules.weights).reduce((sum, weight) => sum + weight, 0);
+        if (Object.values(rules.weights).some(weight => !(weight >= 0)) || totalWeight !== 100) {
+            throw new Error(`Los pesos deben sumar 100 (suman ${totalWeight})`);
+        }
+        if (!(rules.rejectScore >= 0 && rules.rejectScore < rules.approveScore && rules.approveScore <= 100)) {
+            throw new Error('Los cortes deben cumplir 0 ≤ rechazo < aprobación ≤ 100');
+        }
+        if (!(rules.minIneScore >= 0 && rules.minIneScore <= 100)) {
+            throw new Error('La puntuación mínima de INE debe estar entre 0 y 100');
+        }
+        if (!(rules.comfortablePaymentToIncome > 0 && rules.comfortablePaymentToIncome < rules.maxPaymentToIncome)) {
+            throw new Error('La relación deuda/ingreso cómoda debe ser menor que la máxima');
+        }
+        if (!(rules.maxOverdueDays >= 0)) {
+            throw new Error('Los días de atraso permitidos no pueden ser negativos');
+        }
+    }
+
+    // =============================================
+    // COMPONENTES DEL PUNTAJE (0 a 100 cada uno)
+    // =============================================
+
+    scoreIdentity(request, rules) {
+        const validation = request.ineValidation;
+        if (!validation) {
+            return { score: 0, detail: 'INE sin validar', pending: true };
+        }
+        return {
+            score: validation.score,
+            detail: `Puntuación ${validation.score}% (${validation.isValid ? 'válida' : 'no válida'})`,
+            knockout: validation.score < rules.minIneScore ? 'R01' : null
+        };
+    }
+
+    // Deuda mensual (pago equivalente del crédito + otras deudas declaradas) entre el ingreso
+    scoreCapacity(request, rules) {
+        if (!(request.monthlyIncome > 0)) {
+            return { score: 0, detail: 'Sin ingreso declarado', pending: true };
+        }
+        const schedule = this.loanEngine.buildSchedule({
+            amount: request.amount,
+            term: request.term,
+            product: this.loanEngine.getRequestProduct(request)
+        });
+        const otherDebt = request.application ? request.application.monthlyDebtPayments || 0 : 0;
+        const monthlyDebt = this.loanEngine.monthlyEquivalent(schedule) + otherDebt;
+        const ratio = monthlyDebt / request.monthlyIncome;
+
+        const span = rules.maxPaymentToIncome - rules.comfortablePaymentToIncome;
+        const score = Math.round(100 * Math.min(1, Math.max(0, (rules.maxPaymentToIncome - ratio) / span)));
+        return {
+            score,
+            ratio,
+            detail: `${this.loanEngine.formatMoney(monthlyDebt)} al mes = ${(ratio * 100).toFixed(1)}% del ingreso`,
+            knockout: ratio > rules.maxPaymentToIncome ? 'R02' : null
+        };
+    }
+
+    scoreFraud(flags, rules) {
+        const points = { none: 100, low: 80, medium: 40, high: 0 };
+        const order = ['none', 'low', 'medium', 'high'];
+        const level = flags.reduce((current, flag) =>
+            order.indexOf(flag.severity) > order.indexOf(current) ? flag.severity : current, 'none');
+        return {
+            score: points[level],
+            detail: flags.length === 0 ? 'Sin alertas' : `${flags.length} alerta(s), nivel ${level}`,
+            knockout: level === 'high' && rules.rejectOnHighFraud ? 'R04' : null
+        };
+    }
+
+    // Créditos anteriores del mismo cliente en cobranza
+    scoreHistory(request, collections, rules) {
+        const previous = collections.filter(c => c.clientEmail === request.clientEmail && c.creditId !== request.id);
+        if (previous.length === 0) {
+            return { score: 60, detail: 'Sin créditos anteriores' };
+        }
+
+        const worstOverdue = Math.max(...previous.map(c => c.status === 'overdue' ? (c.overdueDays || 0) : 0));
+        // Un crédito cerrado por reestructura no cuenta como liquidado
+        const paid = previous.filter(c => c.status === 'paid' && !c.restructuredInto).length;
+        const restructured = previous.filter(c => c.restructuredInto).length;
+        if (worstOverdue > 0) {
+            return {
+                score: worstOverdue > rules.maxOverdueDays ? 0 : 30,
+                detail: `Crédito vigente con ${worstOverdue} días de atraso`,
+                knockout: worstOverdue > rules.maxOverdueDays ? 'R05' : null
+            };
+        }
+        return {
+            score: paid > 0 && restructured === 0 ? 100 : 80,
+            detail: `${previous.length} crédito(s) anteriores, ${paid} liquidado(s)${restructured > 0 ? `, ${restructured} reestructurado(s)` : ''}, sin atrasos`
+        };
+    }
+
+    scoreDocuments(request, rules) {
+        const documents = request.documents || {};
+        const present = this.documentTypes.filter(type => documents[type] && documents[type].documentId);
+        const missing = this.documentTypes.length - present.length;
+        return {
+            score: Math.round(present.length / this.documentTypes.length * 100),
+            detail: missing === 0 ? 'Todos los documentos' : `Faltan ${missing} documento(s)`,
+            knockout: missing > 0 && rules.requireAllDocuments ? 'R03' : null
+        };
+    }
+
+    // =============================================
+    // DECISIÓN
+    // =============================================
+
+    // Puntaje ponderado y recomendación: 'approve', 'review' o 'reject' con sus motivos
+    evaluate(request, { flags = [], collections = [] } = {}) {
+        const rules = this.getRules();
+        const results = {
+            identity: this.scoreIdentity(request, rules),
+            capacity: this.scoreCapacity(request, rules),
+            fraud: this.scoreFraud(flags, rules),
+            history: this.scoreHistory(request, collections, rules),
+            documents: this.scoreDocuments(request, rules)
+        };
+
+        const components = Object.entries(results).map(([id, result]) => ({
+            id,
+            label: this.componentLabels[id],
+            weight: rules.weights[id],
+            ...result
+        }));
+        const score = Math.round(components.reduce((sum, c) => sum + c.score * c.weight / 100, 0));
+
+        const knockouts = [...new Set(components.map(c => c.knockout).filter(Boolean))];
+        const pending = components.filter(c => c.pending);
+        const reasons = [
+            ...knockouts.map(code => ({ code, severity: 'reject', message: this.reasonCodes[code].label })),
+            ...pending.map(c => ({ code: null, severity: 'review', message: c.detail }))
+        ];
+
+        // Con datos pendientes el puntaje es provisional: solo un rechazo directo decide
+        let decision;
+        if (knockouts.length > 0) {
+            decision = 'reject';
+        } else if (pending.length > 0) {
+            decision = 'review';
+        } else if (score < rules.rejectScore) {
+            decision = 'reject';
+        } else if (score >= rules.approveScore) {
+            decision = 'approve';
+        } else {
+            decision = 'review';
+        }
+
+        if (decision === 'reject' && knockouts.length === 0) {
+            reasons.push({ code: 'R06', severity: 'reject', message: `Puntaje ${score} menor al corte de rechazo (${rules.rejectScore})` });
+        } else if (decision === 'review' && pending.length === 0) {
+            reasons.push({ code: null, severity: 'review', message: `Puntaje ${score} entre los cortes (${rules.rejectScore}-${rules.approveScore})` });
+        }
+
+        return {
+            score,
+            decision,
+            components,
+            reasons,
+            // Motivo sugerido al rechazar
+            reasonCode: reasons.find(r => r.code) ? reasons.find(r => r.code).code : null,
+            evaluatedAt: new Date().toISOString()
+        };
+    }
+
+    getReasonLabel(code) {
+        return this.reasonCodes[code] ? `${code} · ${this.reasonCodes[code].label}` : code;
+    }
+
+    getClientMessage(code) {
+        return this.reasonCodes[code] ? this.reasonCodes[code].clientMessage : 'La solicitud no fue aprobada.';
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.CreditScoring = CreditScoring;
+}
@@ -0,0 +1,366 @@
+// curp-validator.js - Validación de CURP y clave de elector según reglas de RENAPO / INE
+class CURPValidator {
+    constructor() {
+        // Estructura: 4 letras + AAMMDD + sexo + entidad + 3 consonantes + diferenciador + dígito
+        this.curpPattern = /^[A-Z][AEIOUX][A-Z]{2}\d{6}[HMX][A-Z]{2}[B-DF-HJ-NP-TV-Z]{3}[A-Z0-9]\d$/;
+        // Estructura: 6 letras + AAMMDD + entidad (01-32) + sexo + 3 dígitos
+        this.electorKeyPattern = /^[A-Z]{6}\d{6}\d{2}[HMX]\d{3}$/;
+
+        // Diccionario oficial para el cálculo del dígito verificador (incluye Ñ)
+        this.checkDigitDictionary = '0123456789ABCDEFGHIJKLMNÑOPQRSTUVWXYZ';
+
+        // Catálogo de entidades federativas (Anexo 2 del Instructivo Normativo de la CURP)
+        this.stateCodes = {
+            AS: 'Aguascalientes', BC: 'Baja California', BS: 'Baja California Sur',
+            CC: 'Campeche', CL: 'Coahuila', CM: 'Colima', CS: 'Chiapas', CH: 'Chihuahua',
+            DF: 'Ciudad de México', DG: 'Durango', GT: 'Guanajuato', GR: 'Guerrero',
+            HG: 'Hidalgo', JC: 'Jalisco', MC: 'Estado de México', MN: 'Michoacán',
+            MS: 'Morelos', NT: 'Nayarit', NL: 'Nuevo León', OC: 'Oaxaca', PL: 'Puebla',
+            QT: 'Querétaro', QR: 'Quintana Roo', SP: 'San Luis Potosí', SL: 'Sinaloa',
+            SR: 'Sonora', TC: 'Tabasco', TS: 'Tamaulipas', TL: 'Tlaxcala', VZ: 'Veracruz',
+            YN: 'Yucatán', ZS: 'Zacatecas', NE: 'Nacido en el extranjero'
+        };
+
+        // Palabras inconvenientes (Anexo 2): la segunda letra se sustituye por X
+        this.inconvenientWords = [
+            'BACA', 'BAKA', 'BUEI', 'BUEY', 'CACA', 'CACO', 'CAGA', 'CAGO', 'CAKA', 'CAKO',
+            'COGE', 'COGI', 'COJA', 'COJE', 'COJI', 'COJO', 'COLA', 'CULO', 'FALO', 'FETO',
+            'GETA', 'GUEI', 'GUEY', 'JETA', 'JOTO', 'KACA', 'KACO', 'KAGA', 'KAGO', 'KAKA',
+            'KAKO', 'KOGE', 'KOGI', 'KOJA', 'KOJE', 'KOJI', 'KOJO', 'KOLA', 'KULO', 'LILO',
+            'LOCA', 'LOCO', 'LOKA', 'LOKO', 'MAME', 'MAMO', 'MEAR', 'MEAS', 'MEON', 'MIAR',
+            'MION', 'MOCO', 'MOKO', 'MULA', 'MULO', 'NACA', 'NACO', 'PEDA', 'PEDO', 'PENE',
+            'PIPI', 'PITO', 'POPO', 'PUTA', 'PUTO', 'QULO', 'RATA', 'ROBA', 'ROBE', 'ROBO',
+            'RUIN', 'SENO', 'TETA', 'VACA', 'VAGA', 'VAGO', 'VAKA', 'VUEI', 'VUEY', 'WUEI',
+            'WUEY'
+        ];
+
+        // Preposiciones, conjunciones y contracciones que se omiten en nombres compuestos
+        this.particles = ['DA', 'DAS', 'DE', 'DEL', 'DER', 'DI', 'DIE', 'DD', 'EL', 'LA',
+            'LOS', 'LAS', 'LE', 'LES', 'MAC', 'MC', 'VAN', 'VON', 'Y'];
+
+        // Nombres que se omiten cuando el nombre de pila es compuesto
+        this.commonGivenNames = ['MARIA', 'MA', 'MA.', 'JOSE', 'J', 'J.'];
+
+        this.vowels = 'AEIOU';
+    }
+
+    // =============================================
+    // NORMALIZACIÓN Y NOMBRES
+    // =============================================
+
+    // Mayúsculas sin acentos; la Ñ se conserva para aplicar la regla de sustitución
+    normalize(text) {
+        if (!text) return '';
+        return text
+            .toString()
+            .toUpperCase()
+            .replace(/Ñ/g, '\u0000')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/\u0000/g, 'Ñ')
+            .replace(/[^A-ZÑ. ]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Normalizar una clave (CURP, clave de elector): sin espacios y con dígitos
+    normalizeKey(text) {
+        return (text || '').toString().toUpperCase().replace(/[^A-Z0-9Ñ]/g, '');
+    }
+
+    // Separar "Nombre(s) ApellidoPaterno ApellidoMaterno" tal como se captura en el registro
+    splitFullName(fullName) {
+        const tokens = this.normalize(fullName).split(' ').filter(Boolean);
+
+        // Agrupar partículas con la palabra que les sigue ("DE LA TORRE" es un solo apellido)
+        const groups = [];
+        let pending = [];
+        tokens.forEach(token => {
+            pending.push(token);
+            if (!this.particles.includes(token)) {
+                groups.push(pending.join(' '));
+                pending = [];
+            }
+        });
+        if (pending.length > 0) groups.push(pending.join(' '));
+
+        if (groups.length >= 3) {
+            return {
+                givenNames: groups.slice(0, -2).join(' '),
+                paternalSurname: groups[groups.length - 2],
+                maternalSurname: groups[groups.length - 1]
+            };
+        }
+
+        return {
+            givenNames: groups[0] || '',
+            paternalSurname: groups[1] || '',
+            maternalSurname: ''
+        };
+    }
+
+    // Quitar partículas de un apellido o nombre compuesto
+    stripParticles(value) {
+        return this.normalize(value)
+            .split(' ')
+            .filter(word => word && !this.particles.includes(word))
+            .join(' ');
+    }
+
+    // Nombre de pila que cuenta para la CURP (se omite MARIA/JOSE si es compuesto)
+    getSignificantGivenName(givenNames) {
+        const words = this.stripParticles(givenNames).split(' ').filter(Boolean);
+        if (words.length > 1 && this.commonGivenNames.includes(words[0])) {
+            return words[1];
+        }
+        return words[0] || '';
+    }
+
+    // Primera letra de una palabra (Ñ y caracteres especiales se sustituyen por X)
+    firstLetter(word) {
+        const letter = (word || '').replace(/[^A-ZÑ]/g, '').charAt(0);
+        return !letter || letter === 'Ñ' ? 'X' : letter;
+    }
+
+    // Primera vocal interna (a partir de la segunda letra)
+    firstInternalVowel(word) {
+        const clean = (word || '').split(' ')[0].replace(/[^A-ZÑ]/g, '');
+        for (let i = 1; i < clean.length; i++) {
+            if (this.vowels.includes(clean[i])) return clean[i];
+        }
+        return 'X';
+    }
+
+    // Primera consonante interna (a partir de la segunda letra)
+    firstInternalConsonant(word) {
+        const clean = (word || '').split(' ')[0].replace(/[^A-ZÑ]/g, '');
+        for (let i = 1; i < clean.length; i++) {
+            if (!this.vowels.includes(clean[i])) {
+                return clean[i] === 'Ñ' ? 'X' : clean[i];
+            }
+        }
+        return 'X';
+    }
+
+    // Calcular las letras esperadas de la CURP a partir del nombre del solicitante
+    buildNameKey(applicant) {
+        const parts = applicant.paternalSurname !== undefined
+            ? applicant
+            : this.splitFullName(applicant.name);
+
+        const paternal = this.stripParticles(parts.paternalSurname);
+        const maternal = this.stripParticles(parts.maternalSurname);
+        const given = this.getSignificantGivenName(parts.givenNames);
+
+        let initials = this.firstLetter(paternal) +
+            this.firstInternalVowel(paternal) +
+            (maternal ? this.firstLetter(maternal) : 'X') +
+            this.firstLetter(given);
+
+        const inconvenient = this.inconvenientWords.includes(initials);
+        if (inconvenient) {
+            initials = initials[0] + 'X' + initials.slice(2);
+        }
+
+        const consonants = this.firstInternalConsonant(paternal) +
+            (maternal ? this.firstInternalConsonant(maternal) : 'X') +
+            this.firstInternalConsonant(given);
+
+        return { initials, consonants, inconvenient };
+    }
+
+    // =============================================
+    // REGLAS DE LA CURP
+    // =============================================
+
+    // Dígito verificador (posición 18) sobre los primeros 17 caracteres
+    computeCheckDigit(curp17) {
+        let sum = 0;
+        for (let i = 0; i < 17; i++) {
+            const value = this.checkDigitDictionary.indexOf(curp17.charAt(i));
+            if (value < 0) return null;
+            sum += value * (18 - i);
+        }
+        return String((10 - (sum % 10)) % 10);
+    }
+
+    // Fecha de nacimiento embebida; el diferenciador (posición 17) indica el siglo
+    parseBirthDate(curp) {
+        const yy = parseInt(curp.substr(4, 2), 10);
+        const month = parseInt(curp.substr(6, 2), 10);
+        const day = parseInt(curp.substr(8, 2), 10);
+        const century = /\d/.test(curp.charAt(16)) ? 1900 : 2000;
+        const year = century + yy;
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        const valid = !isNaN(yy) &&
+            date.getUTCFullYear() === year &&
+            date.getUTCMonth() === month - 1 &&
+            date.getUTCDate() === day &&
+            date <= new Date();
+
+        return {
+            valid,
+            date: valid ? date.toISOString().split('T')[0] : null,
+            raw: curp.substr(4, 6)
+        };
+    }
+
+    // Validar una CURP y devolver cada regla por separado
+    validate(curp) {
+        const value = this.normalizeKey(curp);
+        const rules = [];
+
+        const formatOk = value.length === 18 && this.curpPattern.test(value);
+        rules.push({
+            id: 'curp_format',
+            name: 'Formato CURP',
+            passed: formatOk,
+            value: value || 'No detectado',
+            expected: '4 letras + AAMMDD + H/M + entidad + 3 consonantes + diferenciador + dígito'
+        });
+
+        if (value.length !== 18) {
+            return { valid: false, curp: value, rules, data: null };
+        }
+
+        const birth = this.parseBirthDate(value);
+        rules.push({
+            id: 'curp_birth_date',
+            name: 'Fecha de nacimiento CURP',
+            passed: birth.valid,
+            value: birth.valid ? birth.date : `${birth.raw} (fecha inexistente)`,
+            expected: 'Fecha de calendario válida y no futura'
+        });
+
+        const stateCode = value.substr(11, 2);
+        const stateOk = Object.prototype.hasOwnProperty.call(this.stateCodes, stateCode);
+        rules.push({
+            id: 'curp_state',
+            name: 'Entidad de nacimiento',
+            passed: stateOk,
+            value: stateOk ? `${stateCode} - ${this.stateCodes[stateCode]}` : stateCode,
+            expected: 'Clave del catálogo de entidades federativas'
+        });
+
+        const initials = value.substr(0, 4);
+        const isInconvenient = this.inconvenientWords.includes(initials);
+        rules.push({
+            id: 'curp_inconvenient_word',
+            name: 'Palabras inconvenientes',
+            passed: !isInconvenient,
+            value: isInconvenient ? `${initials} debió emitirse como ${initials[0]}X${initials.slice(2)}` : initials,
+            expected: 'Sustitución de la segunda letra por X'
+        });
+
+        const expectedDigit = this.computeCheckDigit(value.substr(0, 17));
+        const checkOk = expectedDigit !== null && expectedDigit === value.charAt(17);
+        rules.push({
+            id: 'curp_check_digit',
+            name: 'Dígito verificador CURP',
+            passed: checkOk,
+            value: `${value.charAt(17)}${checkOk ? '' : ` (calculado: ${expectedDigit === null ? 'N/A' : expectedDigit})`}`,
+            expected: 'Dígito verificador RENAPO'
+        });
+
+        return {
+            valid: rules.every(rule => rule.passed),
+            curp: value,
+            rules,
+            data: {
+                birthDate: birth.date,
+                sex: value.charAt(10),
+                state: stateCode
+            }
+        };
+    }
+
+    // Comparar la CURP contra el nombre y la fecha de nacimiento del solicitante
+    crossCheck(curp, applicant = {}) {
+        const value = this.normalizeKey(curp);
+        const rules = [];
+        if (value.length !== 18) return rules;
+
+        if (applicant.name || applicant.paternalSurname) {
+            const key = this.buildNameKey(applicant);
+            const actual = value.substr(0, 4) + value.substr(13, 3);
+            const expected = key.initials + key.consonants;
+            rules.push({
+                id: 'curp_name_match',
+                name: 'CURP vs nombre del solicitante',
+                passed: actual === expected,
+                value: `${value.substr(0, 4)}…${value.substr(13, 3)}`,
+                expected: `${key.initials}…${key.consonants}${key.inconvenient ? ' (palabra inconveniente sustituida)' : ''}`
+            });
+        }
+
+        // Sin fecha capturada la regla queda como no evaluada: ni suma ni resta a la validación
+        if (!applicant.birthDate) {
+            rules.push({
+                id: 'curp_birth_match',
+                name: 'CURP vs fecha de nacimiento',
+                passed: false,
+                evaluated: false,
+                value: 'No evaluado',
+                expected: 'Fecha de nacimiento capturada en la solicitud'
+            });
+        } else {
+            const birth = this.parseBirthDate(value);
+            const declaredDate = new Date(applicant.birthDate);
+            const declared = isNaN(declaredDate) ? String(applicant.birthDate) : declaredDate.toISOString().split('T')[0];
+            rules.push({
+                id: 'curp_birth_match',
+                name: 'CURP vs fecha de nacimiento',
+                passed: birth.valid && birth.date === declared,
+                value: birth.date || birth.raw,
+                expected: declared
+            });
+        }
+
+        return rules;
+    }
+
+    // =============================================
+    // CLAVE DE ELECTOR
+    // =============================================
+
+    validateElectorKey(key, curp = null) {
+        const value = this.normalizeKey(key);
+        const rules = [];
+
+        const formatOk = this.electorKeyPattern.test(value);
+        const stateNumber = parseInt(value.substr(12, 2), 10);
+        rules.push({
+            id: 'elector_format',
+            name: 'Clave de elector',
+            passed: formatOk && stateNumber >= 1 && stateNumber <= 32,
+            value: value || 'No detectado',
+            expected: '6 letras + AAMMDD + entidad (01-32) + H/M + 3 dígitos'
+        });
+
+        // La clave de elector comparte fecha de nacimiento y sexo con la CURP
+        const curpValue = this.normalizeKey(curp);
+        if (formatOk && curpValue.length === 18) {
+            const sameDate = value.substr(6, 6) === curpValue.substr(4, 6);
+            const sameSex = value.charAt(14) === curpValue.charAt(10);
+            rules.push({
+                id: 'elector_curp_match',
+                name: 'Clave de elector vs CURP',
+                passed: sameDate && sameSex,
+                value: `${value.substr(6, 6)} / ${value.charAt(14)}`,
+                expected: `${curpValue.substr(4, 6)} / ${curpValue.charAt(10)}`
+            });
+        }
+
+        return {
+            valid: rules.every(rule => rule.passed),
+            key: value,
+            rules
+        };
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.CURPValidator = CURPValidator;
+}
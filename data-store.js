@@ -0,0 +1,503 @@
+// data-store.js - Acceso a datos compartido por App, CRM y Cobranza (IndexedDB)
+class DataStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'creditxpress';
+        this.version = 7;
+        this.dbPromise = null;
+        this.objectURLs = new Map();
+        this.listeners = [];
+
+        // Claves de localStorage que se migran una sola vez a IndexedDB
+        this.legacyKeys = {
+            users: 'creditxpress_users',
+            requests: 'creditxpress_requests',
+            collections: 'creditxpress_collections'
+        };
+
+        // Cada versión del esquema agrega sus cambios; onupgradeneeded aplica las pendientes
+        this.migrations = {
+            1: (db) => {
+                const users = db.createObjectStore('users', { keyPath: 'id' });
+                users.createIndex('email', 'email', { unique: false });
+
+                const requests = db.createObjectStore('requests', { keyPath: 'id' });
+                requests.createIndex('clientEmail', 'clientEmail', { unique: false });
+                requests.createIndex('status', 'status', { unique: false });
+
+                const documents = db.createObjectStore('documents', { keyPath: 'id' });
+                documents.createIndex('requestId', 'requestId', { unique: false });
+
+                const collections = db.createObjectStore('collections', { keyPath: 'id' });
+                collections.createIndex('creditId', 'creditId', { unique: false });
+
+                const payments = db.createObjectStore('payments', { keyPath: ['collectionId', 'id'] });
+                payments.createIndex('collectionId', 'collectionId', { unique: false });
+
+                db.createObjectStore('meta', { keyPath: 'key' });
+            },
+            2: (db) => {
+                // Cuentas del personal de CRM y Cobranza, separadas de los clientes
+                const staff = db.createObjectStore('staff', { keyPath: 'id' });
+                staff.createIndex('email', 'email', { unique: false });
+            },
+            3: (db) => {
+                // Bitácora encadenada: la secuencia es la llave para detectar huecos
+                const audit = db.createObjectStore('audit', { keyPath: 'seq' });
+                audit.createIndex('entity', ['entityType', 'entityId'], { unique: false });
+            },
+            4: (db) => {
+                // Operaciones pendientes de enviar al servidor, en el orden en que ocurrieron
+                const outbox = db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+                outbox.createIndex('status', 'status', { unique: false });
+            },
+            5: (db) => {
+                // Bandeja de avisos de cada cliente (la llave evita repetir el mismo aviso)
+                const notifications = db.createObjectStore('notifications', { keyPath: 'id' });
+                notifications.createIndex('recipient', 'recipient', { unique: false });
+            },
+            6: (db) => {
+                // Estados de cuenta importados y sus líneas (el id de la línea evita duplicarla)
+                db.createObjectStore('statementImports', { keyPath: 'id' });
+                const lines = db.createObjectStore('statementLines', { keyPath: 'id' });
+                lines.createIndex('status', 'status', { unique: false });
+            },
+            7: (db) => {
+                // Lotes de transferencias para dispersar los créditos aprobados
+                db.createObjectStore('disbursementBatches', { keyPath: 'id' });
+            }
+        };
+
+        // Avisar a las otras páginas abiertas (App, CRM, Cobranza) cuando cambian los datos
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('creditxpress-data') : null;
+        if (this.channel) {
+            this.channel.onmessage = (event) => this.emit(event.data.store, false);
+        }
+    }
+
+    // =============================================
+    // CONEXIÓN Y ESQUEMA
+    // =============================================
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.version);
+
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    for (let version = event.oldVersion + 1; version <= event.newVersion; version++) {
+                        if (this.migrations[version]) {
+                            this.migrations[version](db, request.transaction);
+                            console.log(`🗄️ Esquema de datos actualizado a v${version}`);
+                        }
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => console.warn('⚠️ Cierra las otras pestañas de CreditXpress para actualizar la base de datos');
+            }).then(async db => {
+                db.onversionchange = () => db.close();
+                await this.migrateFromLocalStorage(db);
+                return db;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Ejecutar una operación dentro de una transacción y esperar a que se confirme
+    async transaction(storeNames, mode, operation) {
+        const db = await this.open();
+        return this.runTransaction(db, storeNames, mode, operation);
+    }
+
+    runTransaction(db, storeNames, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+            Promise.resolve(operation(tx)).then(value => {
+                result = value;
+            }, reject);
+        });
+    }
+
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    getAll(storeName) {
+        return this.transaction(storeName, 'readonly', tx => this.promisify(tx.objectStore(storeName).getAll()));
+    }
+
+    get(storeName, key) {
+        return this.transaction(storeName, 'readonly', tx => this.promisify(tx.objectStore(storeName).get(key)));
+    }
+
+    getAllByIndex(storeName, indexName, value) {
+        return this.transaction(storeName, 'readonly', tx =>
+            this.promisify(tx.objectStore(storeName).index(indexName).getAll(value)));
+    }
+
+    async putMany(storeName, values) {
+        await this.transaction(storeName, 'readwrite', tx => {
+            const store = tx.objectStore(storeName);
+            values.forEach(value => store.put(value));
+        });
+        this.emit(storeName);
+    }
+
+    put(storeName, value) {
+        return this.putMany(storeName, [value]);
+    }
+
+    // =============================================
+    // MIGRACIÓN DESDE LOCALSTORAGE
+    // =============================================
+
+    async migrateFromLocalStorage(db) {
+        const migrated = await this.runTransaction(db, 'meta', 'readonly', tx =>
+            this.promisify(tx.objectStore('meta').get('localStorageMigration')));
+        if (migrated) return;
+
+        const read = key => JSON.parse(localStorage.getItem(key) || '[]');
+        const users = read(this.legacyKeys.users);
+        const requests = read(this.legacyKeys.requests);
+        const collections = read(this.legacyKeys.collections);
+
+        // Los documentos base64 se convierten a Blob antes de abrir la transacción
+        const documents = [];
+        for (const request of requests) {
+            for (const [type, doc] of Object.entries(request.documents || {})) {
+                if (doc && typeof doc.data === 'string' && doc.data.startsWith('data:')) {
+                    const blob = await (await fetch(doc.data)).blob();
+                    const { data, ...metadata } = doc;
+                    const id = `${request.id}:${type}`;
+                    documents.push({ id, requestId: request.id, type, blob });
+                    request.documents[type] = { ...metadata, mimeType: blob.type, documentId: id };
+                }
+            }
+        }
+
+        const payments = [];
+        collections.forEach(collection => {
+            (collection.payments || []).forEach((payment, index) => {
+                payments.push({ ...payment, id: payment.id ? `${payment.id}-${index}` : `legacy-${index}`, collectionId: collection.id });
+            });
+            delete collection.payments;
+        });
+
+        await this.runTransaction(db, ['users', 'requests', 'documents', 'collections', 'payments', 'meta'], 'readwrite', tx => {
+            users.forEach(user => tx.objectStore('users').put(user));
+            requests.forEach(request => tx.objectStore('requests').put(request));
+            documents.forEach(doc => tx.objectStore('documents').put(doc));
+            collections.forEach(collection => tx.objectStore('collections').put(collection));
+            payments.forEach(payment => tx.objectStore('payments').put(payment));
+            tx.objectStore('meta').put({
+                key: 'localStorageMigration',
+                migratedAt: new Date().toISOString(),
+                counts: { users: users.length, requests: requests.length, documents: documents.length, collections: collections.length, payments: payments.length }
+            });
+        });
+
+        Object.values(this.legacyKeys).forEach(key => localStorage.removeItem(key));
+        if (users.length + requests.length + collections.length > 0) {
+            console.log(`🗄️ Migrados a IndexedDB: ${users.length} usuarios, ${requests.length} solicitudes, ${documents.length} documentos, ${collections.length} créditos en cobranza`);
+        }
+    }
+
+    // =============================================
+    // USUARIOS
+    // =============================================
+
+    getUsers() {
+        return this.getAll('users');
+    }
+
+    saveUser(user) {
+        return this.put('users', user);
+    }
+
+    getStaff() {
+        return this.getAll('staff');
+    }
+
+    saveStaffMember(member) {
+        return this.put('staff', member);
+    }
+
+    // =============================================
+    // SOLICITUDES Y DOCUMENTOS
+    // =============================================
+
+    async getRequests() {
+        return this.getAll('requests');
+    }
+
+    getRequest(id) {
+        return this.get('requests', id);
+    }
+
+    getRequestsByEmail(email) {
+        return this.getAllByIndex('requests', 'clientEmail', email);
+    }
+
+    saveRequest(request) {
+        return this.put('requests', request);
+    }
+
+    saveRequests(requests) {
+        return this.putMany('requests', requests);
+    }
+
+    // Guardar el archivo como Blob y regresar los metadatos que van en la solicitud
+    async saveDocument(requestId, type, file, metadata = {}) {
+        const id = `${requestId}:${type}`;
+        await this.put('documents', { id, requestId, type, blob: file });
+        return {
+            ...metadata,
+            name: file.name,
+            size: file.size,
+            mimeType: file.type,
+            documentId: id,
+            uploadedAt: new Date().toISOString()
+        };
+    }
+
+    async getDocumentBlob(documentId) {
+        const record = await this.get('documents', documentId);
+        return record ? record.blob : null;
+    }
+
+    // URL temporal para mostrar o descargar el documento sin convertirlo a base64
+    async getDocumentURL(documentId) {
+        if (this.objectURLs.has(documentId)) {
+            return this.objectURLs.get(documentId);
+        }
+        const blob = await this.getDocumentBlob(documentId);
+        if (!blob) return null;
+        const url = URL.createObjectURL(blob);
+        this.objectURLs.set(documentId, url);
+        return url;
+    }
+
+    // Data URL solo en memoria, para los análisis que leen el formato y el tamaño del archivo
+    async getDocumentDataURL(documentId) {
+        const blob = await this.getDocumentBlob(documentId);
+        if (!blob) return null;
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // =============================================
+    // COBRANZA Y PAGOS
+    // =============================================
+
+    // Créditos en cobranza con sus pagos (guardados en su propio almacén)
+    async getCollections() {
+        const [collections, payments] = await Promise.all([this.getAll('collections'), this.getAll('payments')]);
+        const byCollection = new Map();
+        payments.forEach(({ collectionId, ...payment }) => {
+            if (!byCollection.has(collectionId)) byCollection.set(collectionId, []);
+            byCollection.get(collectionId).push(payment);
+        });
+        collections.forEach(collection => {
+            collection.payments = (byCollection.get(collection.id) || []).sort((a, b) => a.date.localeCompare(b.date));
+        });
+        return collections;
+    }
+
+    async saveCollections(collections) {
+        await this.transaction(['collections', 'payments'], 'readwrite', tx => {
+            collections.forEach(collection => {
+                const { payments = [], ...record } = collection;
+                tx.objectStore('collections').put(record);
+                // Reemplazar los pagos del crédito: [id] ≤ [id, pago] ≤ [id, []] cubre todas sus llaves
+                tx.objectStore('payments').delete(IDBKeyRange.bound([collection.id], [collection.id, []]));
+                payments.forEach(payment => {
+                    tx.objectStore('payments').put({ ...payment, collectionId: collection.id });
+                });
+            });
+        });
+        this.emit('collections');
+    }
+
+    saveCollection(collection) {
+        return this.saveCollections([collection]);
+    }
+
+    // =============================================
+    // BITÁCORA
+    // =============================================
+
+    // Solo se agregan eventos: add falla si la secuencia ya existe y no hay métodos para editar o borrar
+    async addAuditEntry(entry) {
+        await this.transaction('audit', 'readwrite', tx => this.promisify(tx.objectStore('audit').add(entry)));
+        this.emit('audit');
+    }
+
+    getLastAuditEntry() {
+        return this.transaction('audit', 'readonly', tx => new Promise((resolve, reject) => {
+            const request = tx.objectStore('audit').openCursor(null, 'prev');
+            request.onsuccess = () => resolve(request.result ? request.result.value : null);
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    // Todos los eventos en orden, o solo los de una solicitud o crédito
+    getAuditEntries(entityType = null, entityId = null) {
+        if (entityType === null) return this.getAll('audit');
+        return this.getAllByIndex('audit', 'entity', [entityType, entityId]);
+    }
+
+    // =============================================
+    // COLA DE SINCRONIZACIÓN
+    // =============================================
+
+    // Regresa el id asignado por la base
+    async addOutboxEntry(entry) {
+        const id = await this.transaction('outbox', 'readwrite', tx => this.promisify(tx.objectStore('outbox').add(entry)));
+        this.emit('outbox');
+        return id;
+    }
+
+    getOutboxEntries(status = null) {
+        if (status === null) return this.getAll('outbox');
+        return this.getAllByIndex('outbox', 'status', status);
+    }
+
+    saveOutboxEntry(entry) {
+        return this.put('outbox', entry);
+    }
+
+    // =============================================
+    // NOTIFICACIONES
+    // =============================================
+
+    // Regresa false si ya existía un aviso con el mismo id (no se sobrescribe su estado de lectura)
+    async addNotification(notification) {
+        const added = await this.transaction('notifications', 'readwrite', async tx => {
+            const store = tx.objectStore('notifications');
+            if (await this.promisify(store.get(notification.id))) return false;
+            store.add(notification);
+            return true;
+        });
+        if (added) this.emit('notifications');
+        return added;
+    }
+
+    getNotifications(recipient) {
+        return this.getAllByIndex('notifications', 'recipient', recipient);
+    }
+
+    saveNotifications(notifications) {
+        return this.putMany('notifications', notifications);
+    }
+
+    // =============================================
+    // ESTADOS DE CUENTA
+    // =============================================
+
+    // Guarda la importación y solo las líneas que no existían; regresa esas líneas nuevas
+    async addStatementImport(statementImport, lines) {
+        const added = await this.transaction(['statementImports', 'statementLines'], 'readwrite', async tx => {
+            const store = tx.objectStore('statementLines');
+            const existing = await this.promisify(tx.objectStore('statementImports').get(statementImport.id));
+            tx.objectStore('statementImports').put(existing
+                ? { ...existing, importedAgainAt: statementImport.importedAt }
+                : statementImport);
+
+            const newLines = [];
+            for (const line of lines) {
+                if (await this.promisify(store.count(line.id))) continue;
+                store.add(line);
+                newLines.push(line);
+            }
+            return newLines;
+        });
+        this.emit('statementLines');
+        return added;
+    }
+
+    getStatementImports() {
+        return this.getAll('statementImports');
+    }
+
+    getStatementLines(status = null) {
+        if (status === null) return this.getAll('statementLines');
+        return this.getAllByIndex('statementLines', 'status', status);
+    }
+
+    saveStatementLines(lines) {
+        return this.putMany('statementLines', lines);
+    }
+
+    // =============================================
+    // DISPERSIONES
+    // =============================================
+
+    getDisbursementBatches() {
+        return this.getAll('disbursementBatches');
+    }
+
+    // El lote y las solicitudes que cambian con él se guardan juntos
+    async saveDisbursementBatch(batch, requests = []) {
+        await this.transaction(['disbursementBatches', 'requests'], 'readwrite', tx => {
+            tx.objectStore('disbursementBatches').put(batch);
+            requests.forEach(request => tx.objectStore('requests').put(request));
+        });
+        this.emit('disbursementBatches');
+        if (requests.length > 0) this.emit('requests');
+    }
+
+    // =============================================
+    // PREFERENCIAS (valores pequeños y síncronos)
+    // =============================================
+
+    // Sesión, catálogo de productos y avisos: se leen al arrancar la página antes de abrir IndexedDB
+    getPreference(key, fallback = null) {
+        const value = localStorage.getItem(key);
+        if (value === null) return fallback;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    setPreference(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    removePreference(key) {
+        localStorage.removeItem(key);
+    }
+
+    // =============================================
+    // CAMBIOS
+    // =============================================
+
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    emit(storeName, broadcast = true) {
+        this.listeners.forEach(listener => listener(storeName));
+        if (broadcast && this.channel) {
+            this.channel.postMessage({ store: storeName });
+        }
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.DataStore = DataStore;
+}
@@ -0,0 +1,366 @@
+// disbursements.js - Dispersión de créditos aprobados: cuenta CLABE del cliente, lotes de
+// transferencias SPEI y resultado de cada transferencia
+//
+// Un crédito aprobado pasa a Cobranza solo cuando su transferencia se marca como enviada;
+// el calendario de pagos se cuenta desde la fecha del depósito.
+class Disbursements {
+    constructor(dataStore = new DataStore(), loanEngine = new LoanEngine(), paymentReferences = new PaymentReferences()) {
+        this.dataStore = dataStore;
+        this.loanEngine = loanEngine;
+        this.paymentReferences = paymentReferences;
+
+        // Claves de banco de la CLABE (primeros tres dígitos) de los participantes de SPEI
+        this.bankCodes = {
+            '002': 'BANAMEX',
+            '006': 'BANCOMEXT',
+            '009': 'BANOBRAS',
+            '012': 'BBVA MEXICO',
+            '014': 'SANTANDER',
+            '019': 'BANJERCITO',
+            '021': 'HSBC',
+            '030': 'BAJIO',
+            '036': 'INBURSA',
+            '042': 'MIFEL',
+            '044': 'SCOTIABANK',
+            '058': 'BANREGIO',
+            '059': 'INVEX',
+            '060': 'BANSI',
+            '062': 'AFIRME',
+            '072': 'BANORTE',
+            '106': 'BANK OF AMERICA',
+            '112': 'BMONEX',
+            '113': 'VE POR MAS',
+            '127': 'AZTECA',
+            '128': 'AUTOFIN',
+            '130': 'COMPARTAMOS',
+            '132': 'MULTIVA BANCO',
+            '133': 'ACTINVER',
+            '136': 'INTERCAM BANCO',
+            '137': 'BANCOPPEL',
+            '138': 'ABC CAPITAL',
+            '140': 'CONSUBANCO',
+            '141': 'VOLKSWAGEN',
+            '143': 'CIBANCO',
+            '145': 'BBASE',
+            '147': 'BANKAOOL',
+            '148': 'PAGATODO',
+            '150': 'INMOBILIARIO',
+            '151': 'DONDE',
+            '152': 'BANCREA',
+            '155': 'ICBC',
+            '156': 'SABADELL',
+            '166': 'BANCO DEL BIENESTAR',
+            '168': 'HIPOTECARIA FEDERAL',
+            '600': 'MONEXCB',
+            '601': 'GBM',
+            '616': 'FINAMEX',
+            '634': 'FINCOMUN',
+            '638': 'NU MEXICO',
+            '646': 'STP',
+            '652': 'CREDICAPITAL',
+            '653': 'KUSPIT',
+            '659': 'ASP INTEGRA OPC',
+            '661': 'ALTERNATIVOS',
+            '670': 'LIBERTAD',
+            '677': 'CAJA POP MEXICA',
+            '680': 'CRISTOBAL COLON',
+            '684': 'TRANSFER',
+            '699': 'FONDEADORA',
+            '703': 'TESORED',
+            '706': 'ARCUS',
+            '710': 'NVIO',
+            '722': 'MERCADO PAGO W',
+            '723': 'CUENCA',
+            '728': 'SPIN BY OXXO',
+            '846': 'STP'
+        };
+
+        // Etapa del crédito aprobado entre la firma del contrato y su ingreso a Cobranza
+        this.stageLabels = {
+            contract: 'Contrato por firmar',
+            account: 'Sin cuenta CLABE',
+            ready: 'Por dispersar',
+            batched: 'En lote',
+            failed: 'Transferencia fallida',
+            disbursed: 'Dispersado'
+        };
+    }
+
+    // =============================================
+    // CUENTA DEL CLIENTE
+    // =============================================
+
+    // La CLABE debe ser de un banco del catálogo y con el dígito de control correcto
+    validateClabe(clabe) {
+        const digits = String(clabe || '').replace(/[\s-]/g, '');
+        if (!/^\d{18}$/.test(digits)) {
+            return { valid: false, clabe: digits, error: 'La CLABE debe tener 18 dígitos' };
+        }
+        const bankCode = digits.slice(0, 3);
+        const bankName = this.bankCodes[bankCode];
+        if (!bankName) {
+            return { valid: false, clabe: digits, bankCode, error: `La clave de banco ${bankCode} no corresponde a ningún banco` };
+        }
+        if (!this.paymentReferences.isValidClabe(digits)) {
+            return { valid: false, clabe: digits, bankCode, bankName, error: 'El dígito verificador de la CLABE no es correcto' };
+        }
+        return { valid: true, clabe: digits, bankCode, bankName, error: null };
+    }
+
+    // Registrar o corregir la cuenta; después de una transferencia fallida vuelve a quedar por dispersar
+    registerAccount(request, { clabe, holder }) {
+        const stage = this.getStage(request);
+        if (stage === 'batched' || stage === 'disbursed') {
+            throw new Error('La cuenta ya no se puede cambiar: la transferencia de este crédito está en proceso o enviada.');
+        }
+        const check = this.validateClabe(clabe);
+        if (!check.valid) {
+            throw new Error(check.error);
+        }
+        const holderName = String(holder || '').trim();
+        if (holderName.length < 3) {
+            throw new Error('Escribe el nombre del titular de la cuenta.');
+        }
+
+        request.disbursementAccount = {
+            clabe: check.clabe,
+            bankCode: check.bankCode,
+            bankName: check.bankName,
+            holder: holderName,
+            registeredAt: new Date().toISOString()
+        };
+        if (stage === 'failed') {
+            request.disbursement = { ...request.disbursement, status: 'pending' };
+        }
+        return request.disbursementAccount;
+    }
+
+    // Reintentar a la misma cuenta cuando el rechazo no fue por la cuenta (p. ej. caída del banco)
+    retryTransfer(request, reason, actor) {
+        if (this.getStage(request) !== 'failed') {
+            throw new Error('Solo se puede reintentar una transferencia fallida.');
+        }
+        if (!String(reason || '').trim()) {
+            throw new Error('Indica por qué se reintenta la transferencia a la misma cuenta.');
+        }
+        const previousReason = request.disbursement.reason;
+        request.disbursement = {
+            ...request.disbursement,
+            status: 'pending',
+            retriedAt: new Date().toISOString(),
+            retriedBy: actor,
+            retryReason: reason.trim()
+        };
+        return { previousReason, reason: request.disbursement.retryReason };
+    }
+
+    // =============================================
+    // ETAPAS
+    // =============================================
+
+    getStage(request) {
+        if (!request || request.status !== 'approved') return null;
+        const disbursement = request.disbursement || {};
+        if (disbursement.status === 'sent') return 'disbursed';
+        if (request.contract && request.contract.status !== 'signed') return 'contract';
+        if (!request.disbursementAccount) return 'account';
+        if (disbursement.status === 'batched') return 'batched';
+        if (disbursement.status === 'failed') return 'failed';
+        return 'ready';
+    }
+
+    getStageLabel(stage) {
+        return this.stageLabels[stage] || stage;
+    }
+
+    isDisbursed(request) {
+        return this.getStage(request) === 'disbursed';
+    }
+
+    // Falta que el cliente registre o corrija su cuenta en la App
+    needsAccount(request) {
+        const stage = this.getStage(request);
+        return stage === 'account' || stage === 'failed';
+    }
+
+    // Monto que recibe el cliente: el crédito menos la comisión por apertura con IVA
+    getNetAmount(request) {
+        return this.loanEngine.buildSchedule({
+            amount: request.amount,
+            term: request.term,
+            product: this.loanEngine.getRequestProduct(request)
+        }).netDisbursement;
+    }
+
+    // =============================================
+    // LOTES
+    // =============================================
+
+    // Más recientes primero
+    async getBatches() {
+        const batches = await this.dataStore.getDisbursementBatches();
+        return batches.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Cuenta de origen: la concentradora de STP con número de crédito cero
+    getOriginAccount() {
+        const account = this.paymentReferences.getAccount();
+        return {
+            bankName: account.bankName,
+            clabe: this.paymentReferences.build(0).clabe,
+            beneficiary: account.beneficiary
+        };
+    }
+
+    // Mayúsculas sin acentos ni comas para que el archivo no rompa sus columnas
+    text(value, maxLength) {
+        return String(value || '')
+            .toUpperCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^A-Z0-9 .-]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, maxLength);
+    }
+
+    // Un lote con una transferencia por crédito; las solicitudes quedan marcadas en el lote
+    createBatch(requests, actor) {
+        const notReady = requests.filter(request => this.getStage(request) !== 'ready');
+        if (requests.length === 0) {
+            throw new Error('Selecciona al menos un crédito para dispersar.');
+        }
+        if (notReady.length > 0) {
+            throw new Error(`Los créditos ${notReady.map(request => `#${request.id}`).join(', ')} no están listos para dispersarse.`);
+        }
+
+        const createdAt = new Date().toISOString();
+        const id = Date.now();
+        const items = requests.map((request, index) => {
+            const account = request.disbursementAccount;
+            return {
+                sequence: index + 1,
+                requestId: request.id,
+                clientName: request.clientName,
+                clientEmail: request.clientEmail,
+                clabe: account.clabe,
+                bankCode: account.bankCode,
+                bankName: account.bankName,
+                holder: account.holder,
+                amount: this.getNetAmount(request),
+                // Referencia numérica SPEI de siete dígitos y concepto con el número de crédito
+                reference: String(request.id).slice(-7).padStart(7, '0'),
+                concept: `CREDITO ${request.id}`,
+                status: 'pending'
+            };
+        });
+
+        const batch = {
+            id,
+            fileName: `dispersion_${createdAt.split('T')[0].replace(/-/g, '')}_${id}.csv`,
+            createdAt,
+            createdBy: actor,
+            origin: this.getOriginAccount(),
+            items,
+            total: this.loanEngine.round(items.reduce((sum, item) => sum + item.amount, 0)),
+            status: 'open'
+        };
+
+        requests.forEach(request => {
+            request.disbursement = {
+                status: 'batched',
+                batchId: batch.id,
+                amount: items.find(item => item.requestId === request.id).amount,
+                batchedAt: createdAt
+            };
+        });
+        return batch;
+    }
+
+    // Layout de dispersión: encabezado con la cuenta de origen, un renglón por transferencia
+    // y un total de control
+    buildFile(batch) {
+        const amount = value => value.toFixed(2);
+        const lines = [
+            ['H', batch.origin.clabe, this.text(batch.origin.beneficiary, 40), batch.createdAt.split('T')[0].replace(/-/g, ''), batch.items.length, amount(batch.total)].join(','),
+            ...batch.items.map(item => [
+                'D',
+                item.sequence,
+                item.clabe,
+                this.text(item.holder, 40),
+                amount(item.amount),
+                item.reference,
+                this.text(item.concept, 40)
+            ].join(',')),
+            ['T', batch.items.length, amount(batch.total)].join(',')
+        ];
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    // =============================================
+    // RESULTADO DE LAS TRANSFERENCIAS
+    // =============================================
+
+    findItem(batch, requestId) {
+        const item = batch.items.find(i => i.requestId === requestId);
+        if (!item) {
+            throw new Error(`El crédito #${requestId} no está en el lote.`);
+        }
+        if (item.status !== 'pending') {
+            throw new Error(`La transferencia del crédito #${requestId} ya se marcó como ${item.status === 'sent' ? 'enviada' : 'fallida'}.`);
+        }
+        return item;
+    }
+
+    // El lote se cierra cuando ya no le quedan transferencias pendientes
+    closeIfDone(batch) {
+        if (batch.items.every(item => item.status !== 'pending')) {
+            batch.status = 'closed';
+        }
+    }
+
+    // date: día del depósito (AAAA-MM-DD), desde el que corre el calendario de pagos
+    markSent(batch, request, { date, trackingKey = '' }, actor) {
+        const item = this.findItem(batch, request.id);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+            throw new Error('Indica la fecha del depósito (AAAA-MM-DD).');
+        }
+        const resolvedAt = new Date().toISOString();
+
+        Object.assign(item, { status: 'sent', disbursedAt: date, trackingKey: trackingKey.trim(), resolvedAt, resolvedBy: actor });
+        request.disbursement = {
+            ...request.disbursement,
+            status: 'sent',
+            disbursedAt: date,
+            trackingKey: item.trackingKey,
+            sentBy: actor,
+            sentAt: resolvedAt
+        };
+        this.closeIfDone(batch);
+        return item;
+    }
+
+    markFailed(batch, request, reason, actor) {
+        const item = this.findItem(batch, request.id);
+        if (!String(reason || '').trim()) {
+            throw new Error('Indica el motivo del rechazo de la transferencia.');
+        }
+        const resolvedAt = new Date().toISOString();
+
+        Object.assign(item, { status: 'failed', reason: reason.trim(), resolvedAt, resolvedBy: actor });
+        request.disbursement = {
+            ...request.disbursement,
+            status: 'failed',
+            reason: item.reason,
+            failedAt: resolvedAt,
+            failedBy: actor
+        };
+        this.closeIfDone(batch);
+        return item;
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.Disbursements = Disbursements;
+}
@@ -0,0 +1,262 @@
+// document-fingerprint.js - Huellas de documentos (hash exacto y perceptual) y señales de edición
+class DocumentFingerprint {
+    constructor() {
+        // Programas de edición que dejan su firma en EXIF, XMP o bloques de texto PNG
+        this.editingSoftwarePattern = /Adobe Photoshop|Photoshop|GIMP|Lightroom|Snapseed|PicsArt|Pixelmator|Affinity Photo|Canva|Paint\.NET|Facetune|Fotor|PhotoScape/i;
+
+        this.exifTags = {
+            0x010F: 'make',
+            0x0110: 'model',
+            0x0131: 'software',
+            0x0132: 'dateTime',
+            0x9003: 'dateTimeOriginal'
+        };
+    }
+
+    // =============================================
+    // HUELLAS
+    // =============================================
+
+    // Calcular la huella completa de un archivo al momento de enviarlo
+    async fingerprintFile(file) {
+        const buffer = await file.arrayBuffer();
+        const fingerprint = {
+            sha256: await this.sha256(buffer),
+            perceptualHash: null,
+            exif: null,
+            editingSoftware: this.findEditingSoftware(buffer),
+            computedAt: new Date().toISOString()
+        };
+
+        if (file.type.startsWith('image/')) {
+            const url = URL.createObjectURL(file);
+            try {
+                fingerprint.perceptualHash = await this.perceptualHash(url);
+            } catch (error) {
+                console.error('Error al calcular hash perceptual:', error);
+            } finally {
+                URL.revokeObjectURL(url);
+            }
+        }
+
+        if (file.type === 'image/jpeg') {
+            fingerprint.exif = this.parseExif(buffer);
+            if (!fingerprint.editingSoftware && fingerprint.exif && fingerprint.exif.software &&
+                this.editingSoftwarePattern.test(fingerprint.exif.software)) {
+                fingerprint.editingSoftware = fingerprint.exif.software;
+            }
+        }
+
+        return fingerprint;
+    }
+
+    async sha256(buffer) {
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = reject;
+            img.src = src;
+        });
+    }
+
+    // dHash de 64 bits: compara cada píxel con su vecino derecho en una miniatura de 9x8
+    async perceptualHash(dataUrl) {
+        const img = await this.loadImage(dataUrl);
+        const canvas = document.createElement('canvas');
+        canvas.width = 9;
+        canvas.height = 8;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, 9, 8);
+        const data = ctx.getImageData(0, 0, 9, 8).data;
+
+        const gray = [];
+        for (let i = 0; i < data.length; i += 4) {
+            gray.push(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
+        }
+
+        let hash = '';
+        for (let y = 0; y < 8; y++) {
+            let nibble = 0;
+            for (let x = 0; x < 8; x++) {
+                const bit = gray[y * 9 + x] < gray[y * 9 + x + 1] ? 1 : 0;
+                nibble = (nibble << 1) | bit;
+                if (x % 4 === 3) {
+                    hash += nibble.toString(16);
+                    nibble = 0;
+                }
+            }
+        }
+        return hash;
+    }
+
+    // Una imagen en blanco, lisa o muy borrosa da un dHash casi todo en 0 (o en 1):
+    // dos fotos así coinciden sin ser la misma, así que su hash no sirve para comparar
+    isInformativeHash(hash, minBits = 8) {
+        if (!hash) return false;
+        let setBits = 0;
+        for (let i = 0; i < hash.length; i++) {
+            let nibble = parseInt(hash[i], 16);
+            while (nibble) {
+                setBits += nibble & 1;
+                nibble >>= 1;
+            }
+        }
+        return setBits >= minBits && hash.length * 4 - setBits >= minBits;
+    }
+
+    // Bits distintos entre dos hashes hexadecimales
+    hammingDistance(hashA, hashB) {
+        if (!hashA || !hashB || hashA.length !== hashB.length) return Infinity;
+        let distance = 0;
+        for (let i = 0; i < hashA.length; i++) {
+            let diff = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+            while (diff) {
+                distance += diff & 1;
+                diff >>= 1;
+            }
+        }
+        return distance;
+    }
+
+    // =============================================
+    // METADATOS
+    // =============================================
+
+    // Buscar firmas de editores en los primeros 128 KB (EXIF, XMP, tEXt de PNG)
+    findEditingSoftware(buffer) {
+        const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 128 * 1024));
+        let text = '';
+        for (let i = 0; i < bytes.length; i++) {
+            text += String.fromCharCode(bytes[i]);
+        }
+        const match = text.match(this.editingSoftwarePattern);
+        return match ? match[0] : null;
+    }
+
+    // Lectura mínima de EXIF (IFD0 e IFD de Exif) de un JPEG
+    parseExif(buffer) {
+        const view = new DataView(buffer);
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+            const length = view.getUint16(offset + 2);
+
+            if (marker === 0xFFE1 && this.readAscii(view, offset + 4, 4) === 'Exif') {
+                return this.parseTiff(view, offset + 10);
+            }
+            offset += 2 + length;
+        }
+        return null;
+    }
+
+    parseTiff(view, tiffStart) {
+        const littleEndian = view.getUint16(tiffStart) === 0x4949;
+        const result = {};
+
+        const readIFD = (ifdOffset) => {
+            const start = tiffStart + ifdOffset;
+            if (start + 2 > view.byteLength) return;
+            const entries = view.getUint16(start, littleEndian);
+
+            for (let i = 0; i < entries; i++) {
+                const entry = start + 2 + i * 12;
+                if (entry + 12 > view.byteLength) return;
+                const tag = view.getUint16(entry, littleEndian);
+                const type = view.getUint16(entry + 2, littleEndian);
+                const count = view.getUint32(entry + 4, littleEndian);
+
+                if (tag === 0x8769) {
+                    readIFD(view.getUint32(entry + 8, littleEndian));
+                } else if (this.exifTags[tag] && type === 2) {
+                    const valueOffset = count <= 4 ? entry + 8 : tiffStart + view.getUint32(entry + 8, littleEndian);
+                    result[this.exifTags[tag]] = this.readAscii(view, valueOffset, count).replace(/\0+$/, '').trim();
+                }
+            }
+        };
+
+        readIFD(view.getUint32(tiffStart + 4, littleEndian));
+        return result;
+    }
+
+    readAscii(view, offset, length) {
+        let text = '';
+        for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+            text += String.fromCharCode(view.getUint8(offset + i));
+        }
+        return text;
+    }
+
+    // =============================================
+    // ANÁLISIS DE NIVEL DE ERROR (ELA)
+    // =============================================
+
+    // Recomprimir el JPEG y medir el error por celda: las zonas pegadas o retocadas
+    // se recomprimen distinto al resto de la imagen
+    async errorLevelAnalysis(dataUrl, quality = 0.9) {
+        if (!dataUrl || !dataUrl.startsWith('data:image/jpeg')) {
+            return { applicable: false };
+        }
+
+        const original = await this.loadImage(dataUrl);
+        const width = original.naturalWidth;
+        const height = original.naturalHeight;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(original, 0, 0);
+        const originalData = ctx.getImageData(0, 0, width, height).data;
+
+        const recompressed = await this.loadImage(canvas.toDataURL('image/jpeg', quality));
+        ctx.drawImage(recompressed, 0, 0);
+        const recompressedData = ctx.getImageData(0, 0, width, height).data;
+
+        const grid = 8;
+        const cellSums = new Array(grid * grid).fill(0);
+        const cellCounts = new Array(grid * grid).fill(0);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const error = Math.max(
+                    Math.abs(originalData[i] - recompressedData[i]),
+                    Math.abs(originalData[i + 1] - recompressedData[i + 1]),
+                    Math.abs(originalData[i + 2] - recompressedData[i + 2])
+                );
+                const cell = Math.min(grid - 1, Math.floor(y / height * grid)) * grid +
+                    Math.min(grid - 1, Math.floor(x / width * grid));
+                cellSums[cell] += error;
+                cellCounts[cell]++;
+            }
+        }
+
+        const cellMeans = cellSums.map((sum, i) => (cellCounts[i] > 0 ? sum / cellCounts[i] : 0));
+        const sorted = [...cellMeans].sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        const maxError = sorted[sorted.length - 1];
+        const ratio = median > 0 ? maxError / median : 0;
+
+        return {
+            applicable: true,
+            medianError: median,
+            maxError,
+            ratio,
+            suspicious: ratio > 3 && maxError > 6
+        };
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.DocumentFingerprint = DocumentFingerprint;
+}
@@ -0,0 +1,169 @@
+// fraud-detector.js - Alertas de duplicidad y alteración entre solicitudes de crédito
+class FraudDetector {
+    constructor(options = {}) {
+        this.fingerprint = new DocumentFingerprint();
+        // Distancia máxima (bits de 64) para considerar dos imágenes como la misma foto
+        this.perceptualThreshold = options.perceptualThreshold || 6;
+
+        this.documentLabels = {
+            identification: 'INE frente',
+            identificationBack: 'INE reverso',
+            address: 'comprobante de domicilio',
+            credit: 'reporte de buró',
+            bank: 'estado de cuenta'
+        };
+    }
+
+    normalizePhone(phone) {
+        const digits = (phone || '').replace(/\D/g, '');
+        return digits.length >= 10 ? digits.slice(-10) : null;
+    }
+
+    // CURP capturada por el solicitante o leída de la INE en la última validación
+    getCurp(request) {
+        if (request.curp) return request.curp.toUpperCase();
+        if (request.ineValidation && request.ineValidation.curp) return request.ineValidation.curp;
+        return null;
+    }
+
+    documentLabel(type) {
+        return this.documentLabels[type] || type;
+    }
+
+    // Comparar una solicitud contra las de otros solicitantes y revisar señales de edición
+    findFlags(request, allRequests) {
+        const flags = [];
+        const others = allRequests.filter(other =>
+            other.id !== request.id && other.clientEmail !== request.clientEmail
+        );
+        const documents = request.documents || {};
+
+        // Documentos reutilizados (hash exacto o misma imagen recomprimida/recortada)
+        Object.entries(documents).forEach(([type, doc]) => {
+            const fp = doc && doc.fingerprint;
+            if (!fp) return;
+
+            others.forEach(other => {
+                Object.entries(other.documents || {}).forEach(([otherType, otherDoc]) => {
+                    const otherFp = otherDoc && otherDoc.fingerprint;
+                    if (!otherFp) return;
+
+                    if (fp.sha256 && fp.sha256 === otherFp.sha256) {
+                        flags.push({
+                            type: 'duplicate_document',
+                            severity: 'high',
+                            otherRequestId: other.id,
+                            message: `${this.documentLabel(type)} idéntico al ${this.documentLabel(otherType)} de la solicitud #${other.id} (${other.clientEmail})`
+                        });
+                        return;
+                    }
+
+                    // Sin detalle suficiente en alguna de las dos imágenes la distancia no dice nada
+                    if (!this.fingerprint.isInformativeHash(fp.perceptualHash) ||
+                        !this.fingerprint.isInformativeHash(otherFp.perceptualHash)) {
+                        return;
+                    }
+
+                    const distance = this.fingerprint.hammingDistance(fp.perceptualHash, otherFp.perceptualHash);
+                    if (distance <= this.perceptualThreshold) {
+                        flags.push({
+                            type: 'similar_document',
+                            severity: 'high',
+                            otherRequestId: other.id,
+                            message: `${this.documentLabel(type)} visualmente igual al ${this.documentLabel(otherType)} de la solicitud #${other.id} (distancia ${distance})`
+                        });
+                    }
+                });
+            });
+
+            if (fp.editingSoftware) {
+                flags.push({
+                    type: 'edited_image',
+                    severity: 'medium',
+                    message: `${this.documentLabel(type)} con firma de editor: ${fp.editingSoftware}`
+                });
+            }
+
+            if (fp.exif && fp.exif.dateTime && fp.exif.dateTimeOriginal &&
+                fp.exif.dateTime !== fp.exif.dateTimeOriginal) {
+                flags.push({
+                    type: 'edited_image',
+                    severity: 'low',
+                    message: `${this.documentLabel(type)} modificado después de tomarse (${fp.exif.dateTimeOriginal} → ${fp.exif.dateTime})`
+                });
+            }
+        });
+
+        // Resultado del análisis de nivel de error hecho en el CRM
+        if (request.tamperCheck && request.tamperCheck.documents) {
+            Object.entries(request.tamperCheck.documents).forEach(([type, ela]) => {
+                if (ela && ela.suspicious) {
+                    flags.push({
+                        type: 'ela_suspicious',
+                        severity: 'medium',
+                        message: `${this.documentLabel(type)} con zonas de recompresión anómalas (ELA ${ela.ratio.toFixed(1)}x)`
+                    });
+                }
+            });
+        }
+
+        // Misma CURP con otro correo
+        const curp = this.getCurp(request);
+        if (curp) {
+            others.filter(other => this.getCurp(other) === curp).forEach(other => {
+                flags.push({
+                    type: 'duplicate_curp',
+                    severity: 'high',
+                    otherRequestId: other.id,
+                    message: `CURP ${curp} también usada en la solicitud #${other.id} (${other.clientEmail})`
+                });
+            });
+        }
+
+        // Mismo teléfono con otro correo
+        const phone = this.normalizePhone(request.clientPhone);
+        if (phone) {
+            others.filter(other => this.normalizePhone(other.clientPhone) === phone).forEach(other => {
+                flags.push({
+                    type: 'duplicate_phone',
+                    severity: 'medium',
+                    otherRequestId: other.id,
+                    message: `Teléfono ${request.clientPhone} también registrado en la solicitud #${other.id} (${other.clientEmail})`
+                });
+            });
+        }
+
+        return flags;
+    }
+
+    // Nivel más alto entre las alertas, para la columna de la tabla
+    summarize(flags) {
+        const order = { none: 0, low: 1, medium: 2, high: 3 };
+        const level = flags.reduce((current, flag) =>
+            order[flag.severity] > order[current] ? flag.severity : current, 'none');
+        return { level, count: flags.length };
+    }
+
+    // Análisis de nivel de error de las imágenes JPEG de una solicitud.
+    // loadDataURL obtiene el contenido de cada documento (guardado como Blob en DataStore)
+    async runTamperCheck(request, loadDataURL = doc => doc.data) {
+        const documents = {};
+        for (const [type, doc] of Object.entries(request.documents || {})) {
+            if (doc) {
+                try {
+                    const dataUrl = await loadDataURL(doc);
+                    if (!dataUrl) continue;
+                    documents[type] = await this.fingerprint.errorLevelAnalysis(dataUrl);
+                } catch (error) {
+                    console.error(`Error en ELA de ${type}:`, error);
+                }
+            }
+        }
+        return { checkedAt: new Date().toISOString(), documents };
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.FraudDetector = FraudDetector;
+}
@@ -0,0 +1,410 @@
+// image-forensics.js - Análisis de imagen (nitidez, reflejos, color, distribución y recaptura)
+// Las funciones de análisis trabajan sobre { data, width, height } (formato de ImageData)
+class ImageForensics {
+    constructor(options = {}) {
+        // Ancho al que se normaliza la credencial para las métricas globales
+        this.analysisWidth = options.analysisWidth || 800;
+
+        // Perfil de color de referencia del anverso INE (modelos G/H): 1 cubeta acromática + 12 de matiz.
+        // Puede recalibrarse con una plantilla real mediante buildReferenceProfile()
+        this.referenceHistogram = options.referenceHistogram || [
+            0.45, 0.06, 0.04, 0.03, 0.02, 0.02, 0.02, 0.04, 0.08, 0.07, 0.06, 0.06, 0.05
+        ];
+
+        // Regiones del anverso en coordenadas relativas
+        this.layoutRegions = {
+            photo: { left: 0.03, top: 0.24, width: 0.24, height: 0.58 },
+            text: { left: 0.30, top: 0.22, width: 0.45, height: 0.70 },
+            logo: { left: 0.00, top: 0.00, width: 1.00, height: 0.18 },
+            pattern: { left: 0.76, top: 0.20, width: 0.22, height: 0.40 },
+            relief: { left: 0.80, top: 0.60, width: 0.18, height: 0.35 }
+        };
+
+        this.thresholds = {
+            sharpness: 80,          // varianza del Laplaciano mínima
+            overexposed: 0.05,      // proporción máxima de píxeles saturados
+            glareCell: 0.25,        // proporción de saturación que marca una celda con reflejo
+            underexposed: 50,       // luminancia media mínima
+            histogramSimilarity: 0.85,
+            edgeMagnitude: 60,
+            moire: 0.35,
+            chromaRatio: 0.6,
+            fineDetail: 4,
+            reliefAsymmetry: 0.1
+        };
+    }
+
+    // =============================================
+    // CAPTURA DE PÍXELES
+    // =============================================
+
+    // Dibujar la imagen en un canvas (escalada o recortada a resolución nativa)
+    getPixels(img, options = {}) {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        const naturalWidth = img.naturalWidth || img.width;
+        const naturalHeight = img.naturalHeight || img.height;
+
+        if (options.crop) {
+            const size = Math.min(options.crop, naturalWidth, naturalHeight);
+            const sx = Math.floor((naturalWidth - size) / 2);
+            const sy = Math.floor((naturalHeight - size) / 2);
+            canvas.width = size;
+            canvas.height = size;
+            ctx.drawImage(img, sx, sy, size, size, 0, 0, size, size);
+        } else {
+            const scale = Math.min(1, this.analysisWidth / naturalWidth);
+            canvas.width = Math.max(1, Math.round(naturalWidth * scale));
+            canvas.height = Math.max(1, Math.round(naturalHeight * scale));
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        }
+
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    toGrayscale(pixels) {
+        const { data, width, height } = pixels;
+        const gray = new Float32Array(width * height);
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            gray[p] = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+        }
+        return gray;
+    }
+
+    // Recortar una región relativa de un arreglo en escala de grises
+    cropGray(gray, width, height, region) {
+        const x0 = Math.floor(region.left * width);
+        const y0 = Math.floor(region.top * height);
+        const w = Math.max(3, Math.floor(region.width * width));
+        const h = Math.max(3, Math.floor(region.height * height));
+        const out = new Float32Array(w * h);
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const sy = Math.min(height - 1, y0 + y);
+                const sx = Math.min(width - 1, x0 + x);
+                out[y * w + x] = gray[sy * width + sx];
+            }
+        }
+        return { gray: out, width: w, height: h };
+    }
+
+    // =============================================
+    // NITIDEZ Y EXPOSICIÓN
+    // =============================================
+
+    // Varianza del Laplaciano: valores bajos indican imagen borrosa
+    laplacianVariance(gray, width, height) {
+        let sum = 0;
+        let sumSq = 0;
+        let count = 0;
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const lap = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+                sum += lap;
+                sumSq += lap * lap;
+                count++;
+            }
+        }
+        if (count === 0) return 0;
+        const mean = sum / count;
+        return sumSq / count - mean * mean;
+    }
+
+    // Reflejos y sobreexposición por celdas de una cuadrícula 8x5
+    analyzeExposure(gray, width, height) {
+        const cols = 8;
+        const rows = 5;
+        const cellCounts = new Array(cols * rows).fill(0);
+        const cellSaturated = new Array(cols * rows).fill(0);
+        let saturated = 0;
+        let dark = 0;
+        let total = 0;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const value = gray[y * width + x];
+                const cell = Math.min(rows - 1, Math.floor(y / height * rows)) * cols +
+                    Math.min(cols - 1, Math.floor(x / width * cols));
+                cellCounts[cell]++;
+                if (value >= 245) {
+                    saturated++;
+                    cellSaturated[cell]++;
+                }
+                if (value <= 10) dark++;
+                total += value;
+            }
+        }
+
+        const pixels = width * height;
+        const glareCells = cellCounts.filter((count, i) =>
+            count > 0 && cellSaturated[i] / count > this.thresholds.glareCell
+        ).length;
+
+        return {
+            overexposedRatio: saturated / pixels,
+            underexposedRatio: dark / pixels,
+            meanLuminance: total / pixels,
+            glareCells
+        };
+    }
+
+    // =============================================
+    // COLOR
+    // =============================================
+
+    // Histograma de matiz (12 cubetas de 30°) más una cubeta acromática, normalizado
+    colorHistogram(pixels) {
+        const { data } = pixels;
+        const bins = new Array(13).fill(0);
+        let count = 0;
+
+        for (let i = 0; i < data.length; i += 4) {
+            const r = data[i] / 255;
+            const g = data[i + 1] / 255;
+            const b = data[i + 2] / 255;
+            const max = Math.max(r, g, b);
+            const min = Math.min(r, g, b);
+            const delta = max - min;
+            const saturation = max === 0 ? 0 : delta / max;
+
+            if (saturation < 0.15 || max < 0.15) {
+                bins[0]++;
+            } else {
+                let hue;
+                if (max === r) hue = ((g - b) / delta) % 6;
+                else if (max === g) hue = (b - r) / delta + 2;
+                else hue = (r - g) / delta + 4;
+                hue = (hue * 60 + 360) % 360;
+                bins[1 + Math.min(11, Math.floor(hue / 30))]++;
+            }
+            count++;
+        }
+
+        return bins.map(bin => (count > 0 ? bin / count : 0));
+    }
+
+    // Coeficiente de Bhattacharyya (1 = distribuciones idénticas)
+    histogramSimilarity(histogram, reference = this.referenceHistogram) {
+        return histogram.reduce((sum, value, i) => sum + Math.sqrt(value * (reference[i] || 0)), 0);
+    }
+
+    // Tonos dominantes como etiquetas legibles para el reporte
+    describeHistogram(histogram) {
+        const names = ['neutro', 'rojo', 'naranja', 'amarillo', 'lima', 'verde', 'verde-azul',
+            'cian', 'azul claro', 'azul', 'violeta', 'magenta', 'rosa'];
+        return histogram
+            .map((value, i) => ({ name: names[i], value }))
+            .sort((a, b) => b.value - a.value)
+            .slice(0, 3)
+            .map(entry => `${entry.name} ${Math.round(entry.value * 100)}%`);
+    }
+
+    // Recalibrar el perfil de referencia a partir de una plantilla INE auténtica
+    buildReferenceProfile(img) {
+        this.referenceHistogram = this.colorHistogram(this.getPixels(img));
+        return this.referenceHistogram;
+    }
+
+    // =============================================
+    // DISTRIBUCIÓN ESPACIAL
+    // =============================================
+
+    // Magnitud de gradiente (Sobel): densidad de bordes y proporción de tinta oscura
+    regionStats(region) {
+        const { gray, width, height } = region;
+        let edges = 0;
+        let dark = 0;
+        let sum = 0;
+        let sumSq = 0;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const value = gray[y * width + x];
+                sum += value;
+                sumSq += value * value;
+                if (value < 80) dark++;
+
+                if (x > 0 && y > 0 && x < width - 1 && y < height - 1) {
+                    const i = y * width + x;
+                    const gx = gray[i - width + 1] + 2 * gray[i + 1] + gray[i + width + 1] -
+                        gray[i - width - 1] - 2 * gray[i - 1] - gray[i + width - 1];
+                    const gy = gray[i + width - 1] + 2 * gray[i + width] + gray[i + width + 1] -
+                        gray[i - width - 1] - 2 * gray[i - width] - gray[i - width + 1];
+                    if (Math.sqrt(gx * gx + gy * gy) > this.thresholds.edgeMagnitude) edges++;
+                }
+            }
+        }
+
+        const pixels = width * height;
+        const mean = sum / pixels;
+        return {
+            edgeDensity: edges / pixels,
+            inkRatio: dark / pixels,
+            mean,
+            stdDev: Math.sqrt(Math.max(0, sumSq / pixels - mean * mean))
+        };
+    }
+
+    // Comparar cada zona contra lo que se espera en la credencial
+    analyzeLayout(gray, width, height) {
+        const stats = {};
+        for (const [name, region] of Object.entries(this.layoutRegions)) {
+            stats[name] = this.regionStats(this.cropGray(gray, width, height, region));
+        }
+
+        const checks = {
+            // La fotografía tiene mucho contraste tonal pero no el patrón de renglones del texto
+            photo: stats.photo.stdDev > 35 && stats.photo.edgeDensity < stats.text.edgeDensity * 1.5,
+            // Los datos impresos: bordes y tinta en proporciones de texto
+            text: stats.text.edgeDensity >= 0.04 && stats.text.edgeDensity <= 0.40 &&
+                stats.text.inkRatio >= 0.03 && stats.text.inkRatio <= 0.35,
+            // Encabezado con logotipo y leyendas institucionales
+            logo: stats.logo.edgeDensity >= 0.02 && stats.logo.stdDev > 20
+        };
+
+        return { stats, checks, matched: Object.values(checks).filter(Boolean).length };
+    }
+
+    // =============================================
+    // SEGURIDAD Y RECAPTURA
+    // =============================================
+
+    // Energía de alta frecuencia promedio (fondos de seguridad y microtexto)
+    fineDetail(region) {
+        const { gray, width, height } = region;
+        let total = 0;
+        let count = 0;
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                total += Math.abs(gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i]);
+                count++;
+            }
+        }
+        return count > 0 ? total / count : 0;
+    }
+
+    // Asimetría de sombreado direccional: el relieve táctil proyecta sombras hacia un lado
+    directionalAsymmetry(region) {
+        const { gray, width, height } = region;
+        let positive = 0;
+        let negative = 0;
+        for (let y = 0; y < height - 1; y++) {
+            for (let x = 0; x < width - 1; x++) {
+                const i = y * width + x;
+                const diagonal = gray[i + width + 1] - gray[i];
+                if (diagonal > 0) positive += diagonal;
+                else negative -= diagonal;
+            }
+        }
+        const total = positive + negative;
+        return total > 0 ? Math.abs(positive - negative) / total : 0;
+    }
+
+    // Detección de pantalla recapturada: rejilla de píxeles (moiré) y franjas de subpíxel
+    analyzeRecapture(pixels) {
+        const { data, width, height } = pixels;
+        const gray = this.toGrayscale(pixels);
+
+        // Paso alto: restar el promedio 3x3 para conservar sólo la textura fina
+        const highPass = new Float32Array(width * height);
+        const chroma = new Float32Array(width * height);
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                let blur = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        blur += gray[i + dy * width + dx];
+                    }
+                }
+                highPass[i] = gray[i] - blur / 9;
+                chroma[i] = data[i * 4] - data[i * 4 + 1];
+            }
+        }
+
+        // Autocorrelación normalizada por desplazamiento (2 a 10 px) en filas y columnas
+        let variance = 0;
+        for (let i = 0; i < highPass.length; i++) variance += highPass[i] * highPass[i];
+        variance /= highPass.length;
+
+        let bestLag = null;
+        let bestCorrelation = 0;
+        if (variance > 0) {
+            for (let lag = 2; lag <= 10; lag++) {
+                let sum = 0;
+                let count = 0;
+                for (let y = 1; y < height - 1; y += 2) {
+                    for (let x = 1; x < width - 1 - lag; x++) {
+                        const i = y * width + x;
+                        sum += highPass[i] * highPass[i + lag];
+                        count++;
+                    }
+                }
+                for (let x = 1; x < width - 1; x += 2) {
+                    for (let y = 1; y < height - 1 - lag; y++) {
+                        const i = y * width + x;
+                        sum += highPass[i] * highPass[i + lag * width];
+                        count++;
+                    }
+                }
+                const correlation = count > 0 ? (sum / count) / variance : 0;
+                if (correlation > bestCorrelation) {
+                    bestCorrelation = correlation;
+                    bestLag = lag;
+                }
+            }
+        }
+
+        // Energía cromática de alta frecuencia relativa a la de luminancia
+        let chromaEnergy = 0;
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 2; x < width - 1; x++) {
+                const i = y * width + x;
+                const diff = chroma[i] - chroma[i - 1];
+                chromaEnergy += diff * diff;
+            }
+        }
+        chromaEnergy /= highPass.length;
+        const chromaRatio = variance > 0 ? chromaEnergy / (variance * 4) : 0;
+
+        return {
+            moireScore: bestCorrelation,
+            gridPeriod: bestLag,
+            chromaRatio,
+            isScreen: bestCorrelation > this.thresholds.moire || chromaRatio > this.thresholds.chromaRatio
+        };
+    }
+
+    // =============================================
+    // ANÁLISIS COMPLETO
+    // =============================================
+
+    analyze(img) {
+        const pixels = this.getPixels(img);
+        const gray = this.toGrayscale(pixels);
+        const { width, height } = pixels;
+        const histogram = this.colorHistogram(pixels);
+
+        return {
+            width,
+            height,
+            sharpness: this.laplacianVariance(gray, width, height),
+            exposure: this.analyzeExposure(gray, width, height),
+            histogram,
+            colorSimilarity: this.histogramSimilarity(histogram),
+            dominantColors: this.describeHistogram(histogram),
+            layout: this.analyzeLayout(gray, width, height),
+            fineDetail: this.fineDetail(this.cropGray(gray, width, height, this.layoutRegions.pattern)),
+            reliefAsymmetry: this.directionalAsymmetry(this.cropGray(gray, width, height, this.layoutRegions.relief)),
+            // La rejilla de pantalla sólo es visible a resolución nativa
+            recapture: this.analyzeRecapture(this.getPixels(img, { crop: 384 }))
+        };
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.ImageForensics = ImageForensics;
+}
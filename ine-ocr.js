@@ -0,0 +1,309 @@
+// ine-ocr.js - Lectura OCR local (sin red) de la credencial para votar
+// Usa el motor Tesseract (WASM) y el idioma español incluidos en vendor/tesseract/
+class INEOCR {
+    constructor(options = {}) {
+        this.basePath = options.basePath || 'vendor/tesseract/';
+        this.language = options.language || 'spa';
+        this.worker = null;
+        this.loading = null;
+        this.cache = new Map();
+        // { available, reason } después de la primera comprobación
+        this.status = null;
+        this.requiredFiles = ['tesseract.min.js', 'worker.min.js', `lang/${this.language}.traineddata.gz`];
+
+        // Tamaño normalizado de la credencial antes de leer regiones
+        this.cardWidth = 1280;
+        this.cardHeight = 806;
+
+        // Regiones del anverso (modelos E-H) en coordenadas relativas a la credencial
+        this.regions = {
+            header: { left: 0.00, top: 0.00, width: 1.00, height: 0.20, psm: '6' },
+            name: { left: 0.29, top: 0.20, width: 0.45, height: 0.22, psm: '6' },
+            address: { left: 0.29, top: 0.42, width: 0.50, height: 0.21, psm: '6' },
+            electorKey: { left: 0.29, top: 0.62, width: 0.48, height: 0.08, psm: '7', whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 ' },
+            curp: { left: 0.29, top: 0.69, width: 0.40, height: 0.08, psm: '7', whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 ' },
+            dates: { left: 0.29, top: 0.76, width: 0.70, height: 0.16, psm: '6' }
+        };
+
+        // Zona de lectura mecánica (MRZ) en el reverso de los modelos E-H
+        this.mrzRegion = { left: 0.03, top: 0.60, width: 0.94, height: 0.38, psm: '6', whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789<' };
+
+        // Correcciones típicas del OCR según el tipo de carácter esperado
+        this.toDigit = { O: '0', Q: '0', D: '0', I: '1', L: '1', Z: '2', S: '5', G: '6', B: '8', T: '7' };
+        this.toLetter = { '0': 'O', '1': 'I', '2': 'Z', '5': 'S', '6': 'G', '8': 'B', '7': 'T' };
+    }
+
+    // =============================================
+    // MOTOR OCR
+    // =============================================
+
+    // Cargar el script del motor desde la copia local (nunca desde un CDN)
+    loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`No se pudo cargar ${src}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    async getWorker() {
+        if (this.worker) return this.worker;
+        if (this.loading) return this.loading;
+
+        this.loading = (async () => {
+            if (typeof Tesseract === 'undefined') {
+                await this.loadScript(`${this.basePath}tesseract.min.js`);
+            }
+
+            const worker = await Tesseract.createWorker(this.language, 1, {
+                workerPath: `${this.basePath}worker.min.js`,
+                corePath: `${this.basePath}core/`,
+                langPath: `${this.basePath}lang/`,
+                gzip: true
+            });
+
+            this.worker = worker;
+            return worker;
+        })();
+
+        try {
+            return await this.loading;
+        } finally {
+            this.loading = null;
+        }
+    }
+
+    // Los archivos del motor se instalan con tools/fetch-tesseract.js; si faltan no se intenta leer
+    async checkAvailability() {
+        if (this.status) return this.status;
+
+        const missing = [];
+        for (const file of this.requiredFiles) {
+            try {
+                const response = await fetch(`${this.basePath}${file}`);
+                if (response.body) response.body.cancel();
+                if (!response.ok) missing.push(file);
+            } catch (error) {
+                missing.push(file);
+            }
+        }
+        if (missing.length > 0) {
+            return { available: false, reason: `Faltan en ${this.basePath}: ${missing.join(', ')}` };
+        }
+
+        try {
+            await this.getWorker();
+            this.status = { available: true, reason: null };
+        } catch (error) {
+            console.error('Error al iniciar el motor OCR:', error);
+            this.status = { available: false, reason: `No se pudo iniciar el motor: ${error.message || error}` };
+        }
+        return this.status;
+    }
+
+    async terminate() {
+        if (this.worker) {
+            await this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    // =============================================
+    // PREPROCESAMIENTO
+    // =============================================
+
+    // Escalar a tamaño estándar, escala de grises y estiramiento de contraste
+    preprocess(img) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.cardWidth;
+        canvas.height = this.cardHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const data = imageData.data;
+
+        let min = 255;
+        let max = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            const gray = Math.round(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
+            data[i] = gray;
+            if (gray < min) min = gray;
+            if (gray > max) max = gray;
+        }
+
+        const range = Math.max(1, max - min);
+        for (let i = 0; i < data.length; i += 4) {
+            const stretched = Math.round(((data[i] - min) / range) * 255);
+            data[i] = data[i + 1] = data[i + 2] = stretched;
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
+    }
+
+    toRectangle(region) {
+        return {
+            left: Math.round(region.left * this.cardWidth),
+            top: Math.round(region.top * this.cardHeight),
+            width: Math.round(region.width * this.cardWidth),
+            height: Math.round(region.height * this.cardHeight)
+        };
+    }
+
+    async recognizeRegion(worker, canvas, region) {
+        await worker.setParameters({
+            tessedit_pageseg_mode: region.psm || '6',
+            tessedit_char_whitelist: region.whitelist || ''
+        });
+
+        const { data } = await worker.recognize(canvas, { rectangle: this.toRectangle(region) });
+        return {
+            text: (data.text || '').toUpperCase().trim(),
+            confidence: Math.round(data.confidence || 0) / 100
+        };
+    }
+
+    // =============================================
+    // EXTRACCIÓN DE CAMPOS
+    // =============================================
+
+    // Leer la credencial completa; el resultado se reutiliza entre pasos de validación
+    async extract(imageData, img) {
+        if (this.cache.has(imageData)) {
+            return this.cache.get(imageData);
+        }
+
+        const worker = await this.getWorker();
+        const canvas = this.preprocess(img);
+
+        const regionsText = {};
+        for (const [key, region] of Object.entries(this.regions)) {
+            regionsText[key] = await this.recognizeRegion(worker, canvas, region);
+        }
+
+        const result = this.parseFields(regionsText);
+        this.cache.set(imageData, result);
+        return result;
+    }
+
+    // Leer las tres líneas MRZ del reverso; el análisis se hace en mrz-parser.js
+    async extractMRZ(imageData, img) {
+        const cacheKey = `mrz:${imageData}`;
+        if (this.cache.has(cacheKey)) {
+            return this.cache.get(cacheKey);
+        }
+
+        const worker = await this.getWorker();
+        const canvas = this.preprocess(img);
+        const result = await this.recognizeRegion(worker, canvas, this.mrzRegion);
+
+        this.cache.set(cacheKey, result);
+        return result;
+    }
+
+    parseFields(regionsText) {
+        const fields = {};
+        const confidence = {};
+        const allText = Object.values(regionsText).map(r => r.text).join('\n');
+
+        // CURP: se busca primero en su región y luego en todo el texto
+        const curp = this.findKey(regionsText.curp.text, 'curp') || this.findKey(allText, 'curp');
+        fields.curp = curp;
+        confidence.curp = curp ? regionsText.curp.confidence : 0;
+
+        const electorKey = this.findKey(regionsText.electorKey.text, 'elector') || this.findKey(allText, 'elector');
+        fields.electorKey = electorKey;
+        confidence.electorKey = electorKey ? regionsText.electorKey.confidence : 0;
+
+        fields.name = this.readBlock(regionsText.name.text, /NOMBRE/);
+        confidence.name = fields.name ? regionsText.name.confidence : 0;
+
+        fields.address = this.readBlock(regionsText.address.text, /DOMICILIO/);
+        confidence.address = fields.address ? regionsText.address.confidence : 0;
+
+        // Años de emisión y vigencia ("EMISIÓN 2019", "VIGENCIA 2019 - 2029" o "VIGENCIA 2029")
+        const datesText = regionsText.dates.text;
+        const issueMatch = datesText.match(/EMISI[OÓ0]N\s*(\d{4})/);
+        const validityMatch = datesText.match(/VIGENCIA\s*(\d{4})(?:\s*[-–]\s*(\d{4}))?/);
+
+        fields.issueYear = issueMatch ? parseInt(issueMatch[1], 10) : null;
+        fields.expiryYear = validityMatch ? parseInt(validityMatch[2] || validityMatch[1], 10) : null;
+        confidence.issueYear = fields.issueYear ? regionsText.dates.confidence : 0;
+        confidence.expiryYear = fields.expiryYear ? regionsText.dates.confidence : 0;
+
+        fields.model = this.inferModel(regionsText.header.text, fields.issueYear);
+        confidence.model = fields.model ? Math.min(regionsText.header.confidence, 0.7) : 0;
+
+        return {
+            ...fields,
+            // Las credenciales sólo muestran el año; la vigencia termina el 31 de diciembre
+            issueDate: fields.issueYear ? `${fields.issueYear}-01-01` : null,
+            expiryDate: fields.expiryYear ? `${fields.expiryYear}-12-31` : null,
+            rawText: allText,
+            confidence,
+            engine: 'tesseract'
+        };
+    }
+
+    // Buscar una CURP o clave de elector corrigiendo confusiones letra/dígito por posición
+    findKey(text, type, compactSearch = true) {
+        const layout = type === 'curp'
+            ? 'LLLLDDDDDDLLLLLLAD'
+            : 'LLLLLLDDDDDDDDLDDD';
+        const candidates = (text || '').replace(/[^A-Z0-9\n ]/g, '').split(/[\s\n]+/);
+
+        for (const candidate of candidates) {
+            if (candidate.length !== 18) continue;
+
+            const corrected = candidate.split('').map((char, i) => {
+                if (layout[i] === 'D') return this.toDigit[char] || char;
+                if (layout[i] === 'L') return this.toLetter[char] || char;
+                return char;
+            }).join('');
+
+            const pattern = type === 'curp'
+                ? /^[A-Z]{4}\d{6}[HMX][A-Z]{5}[A-Z0-9]\d$/
+                : /^[A-Z]{6}\d{8}[HMX]\d{3}$/;
+            if (pattern.test(corrected)) return corrected;
+        }
+
+        if (!compactSearch) return null;
+
+        // El OCR a veces separa la clave con espacios: probar ventanas sobre el texto compacto
+        const compact = (text || '').replace(/[^A-Z0-9]/g, '');
+        for (let i = 0; i + 18 <= compact.length; i++) {
+            const found = this.findKey(compact.substr(i, 18), type, false);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    // Texto que sigue a una etiqueta ("NOMBRE", "DOMICILIO") hasta el final del bloque
+    readBlock(text, label) {
+        const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+        const index = lines.findIndex(line => label.test(line));
+        const content = (index >= 0 ? lines.slice(index + 1) : lines)
+            .map(line => line.replace(/[^A-ZÁÉÍÓÚÑÜ0-9#.,\- ]/g, '').trim())
+            .filter(line => line.length > 1);
+        return content.length > 0 ? content.join(' ') : null;
+    }
+
+    // El modelo no viene impreso en el anverso; se estima por institución y año de emisión
+    inferModel(headerText, issueYear) {
+        if (/INSTITUTO FEDERAL ELECTORAL/.test(headerText)) return 'D';
+        if (!/INSTITUTO NACIONAL ELECTORAL|CREDENCIAL PARA VOTAR/.test(headerText)) return null;
+        if (!issueYear) return null;
+        if (issueYear >= 2020) return 'H';
+        if (issueYear >= 2019) return 'G';
+        if (issueYear >= 2016) return 'F';
+        return 'E';
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.INEOCR = INEOCR;
+}
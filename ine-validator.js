@@ -1,17 +1,24 @@
 // ine-validator.js - Módulo de validación de INE MEJORADO
 class INEValidator {
-    constructor() {
+    constructor(options = {}) {
         this.validationSteps = [
             { id: 'format', name: 'Formato de documento', description: 'Verificación de dimensiones y formato' },
             { id: 'structure', name: 'Estructura de datos', description: 'Validación de CURP y clave de elector' },
             { id: 'design', name: 'Diseño oficial', description: 'Elementos visuales del INE' },
             { id: 'security', name: 'Elementos de seguridad', description: 'Microtexto, OVD, relieve táctil' },
-            { id: 'validity', name: 'Vigencia', description: 'Verificación de vigencia de la credencial' }
+            { id: 'validity', name: 'Vigencia', description: 'Verificación de vigencia de la credencial' },
+            { id: 'back', name: 'Reverso (MRZ)', description: 'Zona IDMEX, dígitos verificadores y cruce con el anverso' }
         ];
         
-        // Patrones de validación
-        this.curpPattern = /^[A-Z]{4}\d{6}[HM][A-Z]{5}[A-Z0-9]{2}$/;
-        this.electorKeyPattern = /^[A-Z]{4}\d{10}[A-Z0-9]{2}$/;
+        // Reglas de CURP y clave de elector (curp-validator.js)
+        this.curpValidator = new CURPValidator();
+        // Lectura OCR local de la credencial (ine-ocr.js)
+        this.ocr = new INEOCR(options.ocr);
+        // Zona MRZ del reverso (mrz-parser.js)
+        this.mrzParser = new MRZParser();
+        // Análisis de píxeles para diseño y seguridad (image-forensics.js)
+        this.forensics = new ImageForensics(options.forensics);
+        this.forensicsCache = new Map();
         this.ineTextPatterns = [
             'INSTITUTO NACIONAL ELECTORAL',
             'CREDENCIAL PARA VOTAR',
@@ -48,8 +55,21 @@ class INEValidator {
                 return results;
             }
 
-            // 1. Análisis de estructura de datos
-            const structureResult = await this.validateStructure(imageData);
+            // Sin motor OCR no hay CURP, clave ni vigencia que revisar: no se califica la credencial
+            const ocrStatus = await this.ocr.checkAvailability();
+            if (!ocrStatus.available) {
+                results.ocrUnavailable = ocrStatus.reason;
+                results.score = null;
+                results.isValid = false;
+                results.recommendations = ['OCR no disponible: instala el motor con node tools/fetch-tesseract.js y vuelve a validar'];
+                return results;
+            }
+
+            // Datos leídos por OCR, para compararlos con lo capturado por el solicitante
+            results.extractedData = await this.extractTextFromImage(imageData);
+
+            // 1. Análisis de estructura de datos (contra los datos capturados por el solicitante)
+            const structureResult = await this.validateStructure(imageData, options.applicant);
             results.details.structure = structureResult;
             
             // 2. Verificación de diseño oficial
@@ -64,6 +84,11 @@ class INEValidator {
             const validityResult = await this.validateValidity(imageData);
             results.details.validity = validityResult;
 
+            // 5. Reverso: MRZ y consistencia con el anverso
+            const backResult = await this.validateBackSide(options.backImageData, results.extractedData, options.applicant);
+            results.details.back = backResult;
+            results.mrzData = backResult.mrz || null;
+
             // Calcular puntuación general
             results.score = this.calculateScore(results.details);
             results.isValid = results.score >= 70; // 70% mínimo para considerar válida
@@ -150,7 +175,7 @@ class INEValidator {
     }
 
     // Validación de estructura de datos (CURP, clave de elector)
-    async validateStructure(imageData) {
+    async validateStructure(imageData, applicant = {}) {
         console.log('📊 Validando estructura de datos...');
         
         const results = {
@@ -159,20 +184,22 @@ class INEValidator {
         };
 
         try {
-            // Extraer texto de la imagen (simulación)
+            // Extraer texto de la imagen con OCR
             const extractedData = await this.extractTextFromImage(imageData);
             
-            // Validar formato de CURP
+            // Reglas de la CURP: formato, fecha, entidad, palabras inconvenientes y dígito verificador
+            let curpResult = null;
             if (extractedData.curp) {
-                const curpValid = this.validateCURPFormat(extractedData.curp);
-                results.elements.push({
-                    name: 'Formato CURP',
-                    passed: curpValid,
-                    value: extractedData.curp,
-                    expected: '4 letras + 6 números + H/M + 5 letras + 2 caracteres'
-                });
+                curpResult = this.curpValidator.validate(extractedData.curp);
+                results.elements.push(...curpResult.rules);
+
+                // Consistencia con el nombre y la fecha de nacimiento de la solicitud
+                if (curpResult.curp.length === 18) {
+                    results.elements.push(...this.curpValidator.crossCheck(curpResult.curp, applicant || {}));
+                }
             } else {
                 results.elements.push({
+                    id: 'curp_format',
                     name: 'Formato CURP',
                     passed: false,
                     value: 'No detectado',
@@ -180,17 +207,16 @@ class INEValidator {
                 });
             }
 
-            // Validar formato de clave de elector
+            // Validar clave de elector y su consistencia con la CURP
             if (extractedData.electorKey) {
-                const keyValid = this.validateElectorKeyFormat(extractedData.electorKey);
-                results.elements.push({
-                    name: 'Clave de elector',
-                    passed: keyValid,
-                    value: extractedData.electorKey,
-                    expected: '18 caracteres alfanuméricos'
-                });
+                const keyResult = this.curpValidator.validateElectorKey(
+                    extractedData.electorKey,
+                    curpResult ? curpResult.curp : null
+                );
+                results.elements.push(...keyResult.rules);
             } else {
                 results.elements.push({
+                    id: 'elector_format',
                     name: 'Clave de elector',
                     passed: false,
                     value: 'No detectado',
@@ -201,13 +227,21 @@ class INEValidator {
             // Verificar texto característico del INE
             const hasINEText = await this.detectINEText(imageData);
             results.elements.push({
+                id: 'ine_text',
                 name: 'Texto oficial INE',
                 passed: hasINEText,
                 value: hasINEText ? 'Detectado' : 'No detectado',
                 expected: 'Texto oficial del INE'
             });
 
-            results.passed = results.elements.filter(e => e.passed).length >= 2;
+            // Las reglas propias de la CURP son obligatorias; el resto suma a la mayoría
+            const requiredRules = ['curp_format', 'curp_birth_date', 'curp_state', 'curp_check_digit'];
+            const requiredPassed = results.elements
+                .filter(e => requiredRules.includes(e.id))
+                .every(e => e.passed);
+            const evaluated = results.elements.filter(e => e.evaluated !== false);
+            const passedCount = evaluated.filter(e => e.passed).length;
+            results.passed = requiredPassed && passedCount >= Math.ceil(evaluated.length * 0.6);
 
         } catch (error) {
             console.error('Error en validación de estructura:', error);
@@ -234,31 +268,31 @@ class INEValidator {
         try {
             const img = await this.createImage(imageData);
             
-            // Análisis de colores (INE tiene colores característicos)
+            // Histograma de color de toda la credencial contra la plantilla INE
             const colorAnalysis = await this.analyzeColors(img);
             results.elements.push({
                 name: 'Espectro de colores',
                 passed: colorAnalysis.hasOfficialColors,
-                value: colorAnalysis.dominantColors.join(', '),
-                expected: 'Colores oficiales del INE'
+                value: `Similitud ${colorAnalysis.similarity.toFixed(2)} (${colorAnalysis.dominantColors.join(', ')})`,
+                expected: `Similitud ≥ ${this.forensics.thresholds.histogramSimilarity} con la plantilla INE`
             });
 
-            // Detección de elementos gráficos característicos
-            const hasOfficialElements = await this.detectOfficialElements(img);
+            // Encabezado con logotipo y leyendas institucionales
+            const officialElements = await this.detectOfficialElements(img);
             results.elements.push({
                 name: 'Elementos gráficos oficiales',
-                passed: hasOfficialElements,
-                value: hasOfficialElements ? 'Detectados' : 'No detectados',
-                expected: 'Logotipos y elementos oficiales'
+                passed: officialElements.passed,
+                value: officialElements.value,
+                expected: 'Bordes ≥ 2% y contraste σ > 20 en el encabezado'
             });
 
-            // Verificar distribución espacial típica
-            const layoutValid = await this.validateLayout(img);
+            // Zonas de fotografía y datos en su posición esperada
+            const layout = await this.validateLayout(img);
             results.elements.push({
                 name: 'Distribución espacial',
-                passed: layoutValid,
-                value: layoutValid ? 'Correcta' : 'Inusual',
-                expected: 'Distribución estándar del INE'
+                passed: layout.passed,
+                value: layout.value,
+                expected: 'Foto, datos y encabezado en posición estándar (2 de 3)'
             });
 
             results.passed = results.elements.filter(e => e.passed).length >= 2;
@@ -288,13 +322,40 @@ class INEValidator {
         try {
             const img = await this.createImage(imageData);
             
-            // Detección de patrones de seguridad (simulado)
-            const hasSecurityPatterns = await this.detectSecurityPatterns(img);
+            // Nitidez: una foto borrosa impide ver microtexto y fondos
+            const blur = await this.detectBlur(img);
+            results.elements.push({
+                name: 'Nitidez',
+                passed: blur.passed,
+                value: blur.value,
+                expected: `Varianza del Laplaciano ≥ ${this.forensics.thresholds.sharpness}`
+            });
+
+            // Reflejos y sobreexposición ocultan elementos de seguridad
+            const glare = await this.detectGlare(img);
+            results.elements.push({
+                name: 'Reflejos y exposición',
+                passed: glare.passed,
+                value: glare.value,
+                expected: `Saturados < ${this.forensics.thresholds.overexposed * 100}% y sin zonas de reflejo`
+            });
+
+            // Foto tomada a una pantalla en lugar del plástico
+            const recapture = await this.detectScreenRecapture(img);
+            results.elements.push({
+                name: 'Captura de pantalla',
+                passed: recapture.passed,
+                value: recapture.value,
+                expected: 'Sin rejilla de píxeles ni moiré'
+            });
+
+            // Fondos de seguridad: textura fina en la zona de patrones
+            const securityPatterns = await this.detectSecurityPatterns(img);
             results.elements.push({
                 name: 'Patrones de seguridad',
-                passed: hasSecurityPatterns,
-                value: hasSecurityPatterns ? 'Detectados' : 'No detectados',
-                expected: 'Patrones antifalsificación'
+                passed: securityPatterns.passed,
+                value: securityPatterns.value,
+                expected: `Detalle fino ≥ ${this.forensics.thresholds.fineDetail}`
             });
 
             // Verificación de calidad de imagen (una INE real tiene cierta textura)
@@ -306,16 +367,18 @@ class INEValidator {
                 expected: 'Alta calidad de impresión'
             });
 
-            // Detección de elementos de relieve (simulado)
-            const hasReliefElements = await this.detectReliefElements(img);
+            // Relieve táctil: sombreado direccional en la zona inferior derecha
+            const relief = await this.detectReliefElements(img);
             results.elements.push({
                 name: 'Elementos en relieve',
-                passed: hasReliefElements,
-                value: hasReliefElements ? 'Detectados' : 'No detectados',
-                expected: 'Elementos táctiles'
+                passed: relief.passed,
+                value: relief.value,
+                expected: `Asimetría de sombreado ≥ ${this.forensics.thresholds.reliefAsymmetry}`
             });
 
-            results.passed = results.elements.filter(e => e.passed).length >= 2;
+            // Una recaptura de pantalla invalida la sección aunque el resto pase
+            results.passed = recapture.passed &&
+                results.elements.filter(e => e.passed).length >= Math.ceil(results.elements.length * 0.6);
 
         } catch (error) {
             console.error('Error en validación de seguridad:', error);
@@ -342,22 +405,23 @@ class INEValidator {
         try {
             const extractedData = await this.extractTextFromImage(imageData);
             
-            if (extractedData.issueDate && extractedData.expiryDate) {
+            if (extractedData.issueYear && extractedData.expiryYear) {
                 const currentDate = new Date();
                 const expiryDate = new Date(extractedData.expiryDate);
-                const issueDate = new Date(extractedData.issueDate);
+                // El período se mide entre años impresos (emisión 2019, vigencia 2029 = 10 años)
+                const issueDate = new Date(extractedData.issueYear, 0, 1);
                 
                 // Verificar que no esté expirada
                 const notExpired = expiryDate > currentDate;
                 results.elements.push({
                     name: 'No expirada',
                     passed: notExpired,
-                    value: `Expira: ${extractedData.expiryDate}`,
-                    expected: 'Fecha futura'
+                    value: `Vigencia hasta ${extractedData.expiryYear}`,
+                    expected: 'Año de vigencia actual o futuro'
                 });
                 
                 // Verificar período de validez (máximo 10 años)
-                const validityPeriod = this.checkValidityPeriod(issueDate, expiryDate);
+                const validityPeriod = this.checkValidityPeriod(issueDate, new Date(extractedData.expiryYear, 0, 1));
                 results.elements.push({
                     name: 'Período de validez',
                     passed: validityPeriod.valid,
@@ -397,6 +461,128 @@ class INEValidator {
         return results;
     }
 
+    // Validación del reverso (zona MRZ "IDMEX" de los modelos E-H)
+    async validateBackSide(backImageData, frontData = {}, applicant = {}) {
+        console.log('🔁 Validando reverso de la credencial...');
+        
+        const results = {
+            passed: false,
+            elements: [],
+            mrz: null
+        };
+
+        if (!backImageData) {
+            results.elements.push({
+                id: 'back_present',
+                name: 'Reverso de la credencial',
+                passed: false,
+                value: 'No proporcionado',
+                expected: 'Imagen del reverso con zona MRZ'
+            });
+            return results;
+        }
+
+        try {
+            const img = await this.createImage(backImageData);
+            const ocrResult = await this.ocr.extractMRZ(backImageData, img);
+            const mrz = this.mrzParser.parse(ocrResult.text);
+
+            if (!mrz) {
+                results.elements.push({
+                    id: 'mrz_present',
+                    name: 'Zona MRZ',
+                    passed: false,
+                    value: 'No detectada',
+                    expected: '3 líneas de 30 caracteres que inician con IDMEX'
+                });
+                return results;
+            }
+
+            results.mrz = mrz;
+
+            const isINE = mrz.documentCode === 'ID' && mrz.issuingCountry === 'MEX';
+            results.elements.push({
+                id: 'mrz_present',
+                name: 'Zona MRZ',
+                passed: isINE,
+                value: mrz.lines[0],
+                expected: 'Documento ID emitido por MEX'
+            });
+
+            // Dígitos verificadores ISO 7501
+            mrz.checks.forEach(check => {
+                results.elements.push({
+                    id: check.id,
+                    name: check.name,
+                    passed: check.passed,
+                    value: `${check.digit}${check.passed ? '' : ` (calculado: ${check.expected === null ? 'N/A' : check.expected})`}`,
+                    expected: 'Dígito ISO 7501 (pesos 7-3-1)'
+                });
+            });
+
+            // Cruce con los datos del anverso
+            const curpData = frontData.curp ? this.curpValidator.validate(frontData.curp).data : null;
+            if (curpData) {
+                results.elements.push({
+                    id: 'mrz_front_birth',
+                    name: 'MRZ vs fecha de nacimiento (CURP)',
+                    passed: Boolean(mrz.birthDate) && mrz.birthDate === curpData.birthDate,
+                    value: mrz.birthDate || 'No legible',
+                    expected: curpData.birthDate || 'Fecha de la CURP'
+                });
+
+                // La CURP usa H/M y la MRZ usa M (masculino) / F (femenino)
+                const expectedSex = { H: 'M', M: 'F' }[curpData.sex] || null;
+                results.elements.push({
+                    id: 'mrz_front_sex',
+                    name: 'MRZ vs sexo (CURP)',
+                    passed: Boolean(expectedSex) && mrz.sex === expectedSex,
+                    value: mrz.sex || 'No legible',
+                    expected: expectedSex || 'Sexo de la CURP'
+                });
+            }
+
+            if (frontData.expiryYear) {
+                const mrzExpiryYear = mrz.expiryDate ? parseInt(mrz.expiryDate.substr(0, 4), 10) : null;
+                results.elements.push({
+                    id: 'mrz_front_expiry',
+                    name: 'MRZ vs vigencia del anverso',
+                    passed: mrzExpiryYear === frontData.expiryYear,
+                    value: mrz.expiryDate || 'No legible',
+                    expected: `Año ${frontData.expiryYear}`
+                });
+            }
+
+            const frontName = frontData.name || (applicant && applicant.name);
+            if (frontName) {
+                const words = value => this.curpValidator.normalize(value).split(' ').filter(Boolean).sort().join(' ');
+                const mrzName = `${mrz.surnames} ${mrz.givenNames}`;
+                results.elements.push({
+                    id: 'mrz_front_name',
+                    name: 'MRZ vs nombre',
+                    passed: words(mrzName) === words(frontName),
+                    value: mrzName,
+                    expected: frontName
+                });
+            }
+
+            const checksPassed = mrz.checks.every(check => check.passed);
+            const passedCount = results.elements.filter(e => e.passed).length;
+            results.passed = isINE && checksPassed && passedCount >= Math.ceil(results.elements.length * 0.7);
+
+        } catch (error) {
+            console.error('Error en validación del reverso:', error);
+            results.elements.push({
+                name: 'Reverso de la credencial',
+                passed: false,
+                value: 'Error en análisis',
+                expected: 'Zona MRZ legible'
+            });
+        }
+
+        return results;
+    }
+
     // =============================================
     // MÉTODOS AUXILIARES MEJORADOS
     // =============================================
@@ -424,20 +610,21 @@ class INEValidator {
         return sizeInBytes;
     }
 
-    // Validar formato CURP
+    // Validar CURP completa (formato, fecha, entidad, palabras inconvenientes y dígito verificador)
     validateCURPFormat(curp) {
-        return this.curpPattern.test(curp);
+        return this.curpValidator.validate(curp).valid;
     }
 
     // Validar formato clave de elector
     validateElectorKeyFormat(key) {
-        return this.electorKeyPattern.test(key);
+        return this.curpValidator.validateElectorKey(key).valid;
     }
 
     // Verificar período de validez
     checkValidityPeriod(issueDate, expiryDate) {
         const diffTime = expiryDate - issueDate;
-        const diffYears = diffTime / (1000 * 60 * 60 * 24 * 365);
+        // Redondeo a un decimal para que los años bisiestos no excedan el límite de 10 años
+        const diffYears = Math.round(diffTime / (1000 * 60 * 60 * 24 * 365.25) * 10) / 10;
         
         if (diffYears > 10) {
             return { valid: false, message: 'Período de validez excede 10 años' };
@@ -459,101 +646,113 @@ class INEValidator {
     // =============================================
 
     async extractTextFromImage(imageData) {
-        // En implementación real, integrar con Tesseract.js
-        // Por ahora simulamos detección basada en análisis de imagen
-        
-        const img = await this.createImage(imageData);
-        const analysis = await this.analyzeImageContent(img);
-        
-        // Simular detección basada en características de la imagen
+        try {
+            const img = await this.createImage(imageData);
+            return await this.ocr.extract(imageData, img);
+        } catch (error) {
+            // Imagen que el motor no pudo leer: no se inventan datos, los campos quedan sin detectar
+            console.error('Error en OCR de la credencial:', error);
+            return {
+                curp: null,
+                electorKey: null,
+                name: null,
+                address: null,
+                issueYear: null,
+                expiryYear: null,
+                issueDate: null,
+                expiryDate: null,
+                model: null,
+                rawText: '',
+                confidence: {},
+                engine: null,
+                error: error.message
+            };
+        }
+    }
+
+    async detectINEText(imageData) {
+        // Al menos dos de los textos característicos deben aparecer en la lectura OCR
+        const extractedData = await this.extractTextFromImage(imageData);
+        const rawText = extractedData.rawText || '';
+        const matches = this.ineTextPatterns.filter(pattern => rawText.includes(pattern));
+        return matches.length >= 2;
+    }
+
+    // Métricas de imagen calculadas una sola vez por documento
+    async getForensics(img) {
+        if (!this.forensicsCache.has(img.src)) {
+            this.forensicsCache.set(img.src, this.forensics.analyze(img));
+        }
+        return this.forensicsCache.get(img.src);
+    }
+
+    async analyzeColors(img) {
+        const analysis = await this.getForensics(img);
         return {
-            curp: analysis.looksLikeINE ? 'GOME800705HDFMLR09' : null,
-            electorKey: analysis.looksLikeINE ? 'GOME800705HDFMLR09' : null,
-            name: analysis.looksLikeINE ? 'GOMEZ MARGARITA' : null,
-            issueDate: analysis.looksLikeINE ? '2019-01-15' : null,
-            expiryDate: analysis.looksLikeINE ? '2029-01-15' : null,
-            model: analysis.looksLikeINE ? 'G' : null
+            dominantColors: analysis.dominantColors,
+            histogram: analysis.histogram,
+            similarity: analysis.colorSimilarity,
+            hasOfficialColors: analysis.colorSimilarity >= this.forensics.thresholds.histogramSimilarity
         };
     }
 
-    async analyzeImageContent(img) {
-        // Análisis básico para determinar si parece una INE
-        const width = img.naturalWidth;
-        const height = img.naturalHeight;
-        const aspectRatio = width / height;
-        
-        // Una INE típica tiene relación de aspecto ~1.6
-        const hasCorrectAspect = aspectRatio >= 1.5 && aspectRatio <= 1.7;
-        const hasGoodResolution = width >= 600 && height >= 400;
-        
+    async detectOfficialElements(img) {
+        const { layout } = await this.getForensics(img);
+        const logo = layout.stats.logo;
         return {
-            looksLikeINE: hasCorrectAspect && hasGoodResolution,
-            confidence: hasCorrectAspect && hasGoodResolution ? 0.8 : 0.2
+            passed: layout.checks.logo,
+            value: `Bordes ${(logo.edgeDensity * 100).toFixed(1)}%, σ ${logo.stdDev.toFixed(0)}`
         };
     }
 
-    async detectINEText(imageData) {
-        // Simular detección de texto característico del INE
-        const analysis = await this.analyzeImageContent(await this.createImage(imageData));
-        return analysis.looksLikeINE;
+    async validateLayout(img) {
+        const { layout } = await this.getForensics(img);
+        const mark = passed => (passed ? '✓' : '✗');
+        return {
+            passed: layout.matched >= 2,
+            value: `Foto ${mark(layout.checks.photo)} (σ ${layout.stats.photo.stdDev.toFixed(0)}), ` +
+                `datos ${mark(layout.checks.text)} (bordes ${(layout.stats.text.edgeDensity * 100).toFixed(1)}%, ` +
+                `tinta ${(layout.stats.text.inkRatio * 100).toFixed(1)}%), ` +
+                `encabezado ${mark(layout.checks.logo)}`
+        };
     }
 
-    async analyzeColors(img) {
-        // Análisis simplificado de colores
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = img.width;
-        canvas.height = img.height;
-        ctx.drawImage(img, 0, 0);
-        
-        // Muestra simplificada para análisis
-        const imageData = ctx.getImageData(0, 0, 50, 50).data;
-        
-        // Contar colores predominantes (simplificado)
-        const colorCount = {};
-        for (let i = 0; i < imageData.length; i += 4) {
-            const r = imageData[i];
-            const g = imageData[i + 1];
-            const b = imageData[i + 2];
-            const color = `${r},${g},${b}`;
-            colorCount[color] = (colorCount[color] || 0) + 1;
-        }
-        
-        const dominantColors = Object.entries(colorCount)
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 3)
-            .map(([color]) => color);
-        
-        // INE típica tiene azules, grises, elementos en color
-        const hasBlueTones = dominantColors.some(color => {
-            const [r, g, b] = color.split(',').map(Number);
-            return b > r && b > g; // Más azul que rojo o verde
-        });
-        
+    async detectBlur(img) {
+        const { sharpness } = await this.getForensics(img);
         return {
-            dominantColors,
-            hasOfficialColors: hasBlueTones,
-            colorVariety: dominantColors.length
+            passed: sharpness >= this.forensics.thresholds.sharpness,
+            value: `Varianza ${sharpness.toFixed(1)}`
         };
     }
 
-    async detectOfficialElements(img) {
-        // Simular detección de elementos gráficos oficiales
-        const analysis = await this.analyzeImageContent(img);
-        return analysis.looksLikeINE;
+    async detectGlare(img) {
+        const { exposure } = await this.getForensics(img);
+        const thresholds = this.forensics.thresholds;
+        return {
+            passed: exposure.overexposedRatio < thresholds.overexposed &&
+                exposure.glareCells === 0 &&
+                exposure.meanLuminance >= thresholds.underexposed,
+            value: `Saturados ${(exposure.overexposedRatio * 100).toFixed(1)}%, ` +
+                `zonas con reflejo ${exposure.glareCells}, luminancia media ${exposure.meanLuminance.toFixed(0)}`
+        };
     }
 
-    async validateLayout(img) {
-        // Validar distribución espacial típica de una INE
-        const analysis = await this.analyzeImageContent(img);
-        return analysis.looksLikeINE;
+    async detectScreenRecapture(img) {
+        const { recapture } = await this.getForensics(img);
+        return {
+            passed: !recapture.isScreen,
+            value: `Moiré ${recapture.moireScore.toFixed(2)}` +
+                `${recapture.gridPeriod ? ` (periodo ${recapture.gridPeriod}px)` : ''}, ` +
+                `franjas de color ${recapture.chromaRatio.toFixed(2)}`
+        };
     }
 
     async detectSecurityPatterns(img) {
-        // Simular detección de patrones de seguridad
-        const analysis = await this.analyzeImageContent(img);
-        // Solo devolver true si realmente parece una INE
-        return analysis.confidence > 0.7;
+        const { fineDetail } = await this.getForensics(img);
+        return {
+            passed: fineDetail >= this.forensics.thresholds.fineDetail,
+            value: `Detalle fino ${fineDetail.toFixed(1)}`
+        };
     }
 
     async analyzeImageQuality(img) {
@@ -580,10 +779,11 @@ class INEValidator {
     }
 
     async detectReliefElements(img) {
-        // Simular detección de elementos en relieve
-        const analysis = await this.analyzeImageContent(img);
-        // Solo detectar relieve si es muy probable que sea INE
-        return analysis.confidence > 0.8;
+        const { reliefAsymmetry } = await this.getForensics(img);
+        return {
+            passed: reliefAsymmetry >= this.forensics.thresholds.reliefAsymmetry,
+            value: `Asimetría ${reliefAsymmetry.toFixed(2)}`
+        };
     }
 
     // =============================================
@@ -595,16 +795,19 @@ class INEValidator {
         let maxScore = 0;
 
         const weights = {
-            format: 20,
+            format: 15,
             structure: 25,
-            design: 20,
-            security: 25,
-            validity: 10
+            design: 15,
+            security: 20,
+            validity: 10,
+            back: 15
         };
 
         for (const [category, result] of Object.entries(details)) {
-            if (result.elements && result.elements.length > 0) {
-                const categoryScore = result.elements.filter(e => e.passed).length / result.elements.length * 100;
+            // Las reglas no evaluadas (falta el dato del solicitante) no cuentan en la puntuación
+            const evaluated = (result.elements || []).filter(e => e.evaluated !== false);
+            if (evaluated.length > 0) {
+                const categoryScore = evaluated.filter(e => e.passed).length / evaluated.length * 100;
                 totalScore += categoryScore * (weights[category] / 100);
             }
             maxScore += weights[category];
@@ -637,6 +840,10 @@ class INEValidator {
             recommendations.push('Verificar la vigencia de la credencial');
         }
 
+        if (details.back && !details.back.passed) {
+            recommendations.push('Solicitar una foto legible del reverso y revisar la zona MRZ');
+        }
+
         if (recommendations.length === 0) {
             recommendations.push('La credencial pasó todas las validaciones principales');
         }
@@ -671,9 +878,10 @@ class INEValidator {
                 `;
 
                 result.elements.forEach(element => {
+                    const status = element.evaluated === false ? 'skipped' : (element.passed ? 'passed' : 'failed');
                     html += `
-                        <li class="validation-element ${element.passed ? 'passed' : 'failed'}">
-                            <span class="element-status">${element.passed ? '✓' : '✗'}</span>
+                        <li class="validation-element ${status}">
+                            <span class="element-status">${{ passed: '✓', failed: '✗', skipped: '–' }[status]}</span>
                             <span class="element-name">${element.name}</span>
                             <span class="element-value">${element.value}</span>
                             ${element.expected ? `<span class="element-expected">Esperado: ${element.expected}</span>` : ''}
@@ -711,7 +919,8 @@ class INEValidator {
             structure: 'Estructura de Datos',
             design: 'Diseño Oficial',
             security: 'Elementos de Seguridad',
-            validity: 'Vigencia'
+            validity: 'Vigencia',
+            back: 'Reverso (MRZ)'
         };
         return names[category] || category;
     }
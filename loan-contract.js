@@ -0,0 +1,472 @@
+// loan-contract.js - Contrato de crédito, tabla de amortización, CAT y pagaré con firma en la App
+//
+// Al aprobar, el CRM prepara el contrato (queda 'pending'); el cliente lo revisa en la App,
+// traza su firma y la confirma con un código de un solo uso enviado a su teléfono. El PDF
+// firmado lleva la firma, la fecha y hora y la huella SHA-256 del texto que el cliente
+// revisó, y se guarda con la solicitud como documento 'contract'.
+class LoanContract {
+    constructor(options = {}) {
+        this.dataStore = options.dataStore || new DataStore();
+        this.loanEngine = options.loanEngine || new LoanEngine(this.dataStore);
+        this.catCalculator = options.catCalculator || new CATCalculator();
+        this.codeSender = options.codeSender || new LocalCodeSender(this.dataStore);
+        this.storageKey = 'creditxpress_contract_templates';
+
+        this.codeTtl = options.codeTtl || 10 * 60 * 1000;
+        this.maxCodeAttempts = options.maxCodeAttempts || 5;
+
+        this.lender = {
+            name: 'CreditXpress SA de CV',
+            address: 'Av. Reforma 100, Col. Cuauhtémoc, C.P. 06600, Ciudad de México',
+            city: 'Ciudad de México'
+        };
+
+        this.variables = {
+            acreedor: 'Razón social del acreditante',
+            domicilioAcreedor: 'Domicilio del acreditante',
+            lugar: 'Ciudad de firma',
+            fecha: 'Fecha del contrato',
+            nombre: 'Nombre completo del cliente',
+            curp: 'CURP del cliente',
+            domicilio: 'Domicilio del cliente',
+            credito: 'Número de crédito',
+            producto: 'Producto de crédito',
+            monto: 'Monto del crédito',
+            montoLetra: 'Monto del crédito con letra',
+            comision: 'Comisión por apertura con IVA',
+            montoNeto: 'Monto que recibe el cliente',
+            pagos: 'Número de pagos',
+            frecuencia: 'Periodicidad de pago',
+            pago: 'Monto de cada pago',
+            primerPago: 'Fecha del primer pago',
+            ultimoPago: 'Fecha del último pago',
+            tasa: 'Tasa de interés anual',
+            tipoTasa: 'Tipo de tasa (fija o sobre saldos)',
+            tasaMoratoria: 'Tasa moratoria anual',
+            cat: 'Costo Anual Total',
+            total: 'Monto total a pagar',
+            totalLetra: 'Monto total a pagar con letra'
+        };
+
+        // Secciones de texto; la tabla de amortización se arma con el calendario
+        this.defaultTemplates = {
+            contract: {
+                // v2: las fechas de pago corren desde el depósito del crédito
+                version: 2,
+                title: 'Contrato de Crédito Simple',
+                body: 'Contrato de crédito simple que celebran por una parte {{acreedor}}, con domicilio en {{domicilioAcreedor}} ("el Acreditante"), y por la otra {{nombre}}, con CURP {{curp}} y domicilio en {{domicilio}} ("el Acreditado"), al tenor de las siguientes cláusulas.\n\n' +
+                    'PRIMERA. Monto. El Acreditante otorga al Acreditado un crédito simple número {{credito}} por {{monto}} ({{montoLetra}}) del producto {{producto}}. Del monto se descuenta la comisión por apertura de {{comision}}, IVA incluido, y el Acreditado recibe {{montoNeto}}.\n\n' +
+                    'SEGUNDA. Plazo y pagos. El Acreditado pagará el crédito en {{pagos}} pagos de periodicidad {{frecuencia}} de {{pago}} cada uno, del {{primerPago}} al {{ultimoPago}}, conforme a la tabla de amortización anexa, que forma parte de este contrato. Las fechas de pago se cuentan a partir del día en que el Acreditante deposite el crédito en la cuenta CLABE del Acreditado; si el depósito se hace después de la fecha de este contrato, cada fecha se recorre en la misma medida.\n\n' +
+                    'TERCERA. Intereses. El crédito causa intereses ordinarios a una tasa anual {{tipoTasa}} de {{tasa}} más IVA. El monto total a pagar es de {{total}}.\n\n' +
+                    'CUARTA. Intereses moratorios. Sobre los pagos vencidos se causarán intereses moratorios a una tasa anual de {{tasaMoratoria}} más IVA, desde el día siguiente al vencimiento y hasta su pago.\n\n' +
+                    'QUINTA. Costo Anual Total. Para fines informativos y de comparación, el CAT del crédito es de {{cat}} con IVA.\n\n' +
+                    'SEXTA. Aplicación de pagos y pagos anticipados. Los pagos se aplican primero a intereses moratorios, después a intereses ordinarios, IVA y capital. El Acreditado puede liquidar anticipadamente el crédito en cualquier momento sin penalización, pagando el capital insoluto y los intereses devengados a la fecha.\n\n' +
+                    'SÉPTIMA. Medios de pago. Los pagos se hacen con la referencia, la CLABE o la referencia de tienda que la App muestra en Mis Pagos.\n\n' +
+                    'OCTAVA. Pagaré. Para documentar el crédito el Acreditado suscribe un pagaré por el monto total a pagar.\n\n' +
+                    'NOVENA. Firma electrónica. Las partes reconocen plena validez a la firma trazada por el Acreditado en la App y confirmada con el código de un solo uso enviado a su teléfono, en los términos de los artículos 89 y siguientes del Código de Comercio.\n\n' +
+                    'DÉCIMA. Jurisdicción. Para la interpretación y cumplimiento de este contrato las partes se someten a los tribunales de {{lugar}}.\n\n' +
+                    'Firmado en {{lugar}} el {{fecha}}.'
+            },
+            disclosure: {
+                title: 'Costo Anual Total y resumen del crédito',
+                body: 'CAT: {{cat}} con IVA. Para fines informativos y de comparación.\n\n' +
+                    'Tasa de interés anual {{tipoTasa}}: {{tasa}} sin IVA. Tasa moratoria anual: {{tasaMoratoria}} sin IVA.\n\n' +
+                    'Monto del crédito: {{monto}}. Comisión por apertura: {{comision}}. Monto que recibes: {{montoNeto}}.\n\n' +
+                    'Monto total a pagar: {{total}} en {{pagos}} pagos de {{pago}}.'
+            },
+            pagare: {
+                title: 'Pagaré',
+                body: 'Bueno por {{total}}\n\n' +
+                    'Debo y pagaré incondicionalmente por este pagaré a la orden de {{acreedor}}, en {{lugar}}, la cantidad de {{total}} ({{totalLetra}}) en {{pagos}} pagos sucesivos de periodicidad {{frecuencia}} conforme a la tabla de amortización del crédito número {{credito}}, el primero el {{primerPago}} y el último el {{ultimoPago}}.\n\n' +
+                    'Valor recibido a mi entera satisfacción. Si no pago puntualmente cualquiera de los pagos, el tenedor podrá dar por vencidos anticipadamente los pagos restantes y causaré intereses moratorios a razón de {{tasaMoratoria}} anual desde la fecha de vencimiento hasta su pago total.\n\n' +
+                    'Suscriptor: {{nombre}}, CURP {{curp}}, con domicilio en {{domicilio}}.\n\n' +
+                    '{{lugar}}, a {{fecha}}.'
+            }
+        };
+    }
+
+    // =============================================
+    // PLANTILLAS
+    // =============================================
+
+    // Las guardadas reemplazan a las predeterminadas sección por sección
+    getTemplates() {
+        const saved = this.dataStore.getPreference(this.storageKey) || {};
+        const templates = {};
+        Object.keys(this.defaultTemplates).forEach(id => {
+            templates[id] = saved[id] || { version: 1, ...this.defaultTemplates[id] };
+        });
+        return templates;
+    }
+
+    render(text, variables) {
+        return (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+            variables[name] !== undefined ? variables[name] : match);
+    }
+
+    money(value) {
+        return `$${(value || 0).toLocaleString('es-MX', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    formatDate(date) {
+        return new Date(`${date.split('T')[0]}T00:00:00`).toLocaleDateString('es-MX', { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    percent(rate) {
+        return `${(rate * 100).toFixed(2)}%`;
+    }
+
+    // =============================================
+    // CANTIDAD CON LETRA
+    // =============================================
+
+    wordsBelowThousand(n) {
+        const units = ['', 'UN', 'DOS', 'TRES', 'CUATRO', 'CINCO', 'SEIS', 'SIETE', 'OCHO', 'NUEVE',
+            'DIEZ', 'ONCE', 'DOCE', 'TRECE', 'CATORCE', 'QUINCE', 'DIECISÉIS', 'DIECISIETE', 'DIECIOCHO', 'DIECINUEVE',
+            'VEINTE', 'VEINTIÚN', 'VEINTIDÓS', 'VEINTITRÉS', 'VEINTICUATRO', 'VEINTICINCO', 'VEINTISÉIS', 'VEINTISIETE', 'VEINTIOCHO', 'VEINTINUEVE'];
+        const tens = ['', '', '', 'TREINTA', 'CUARENTA', 'CINCUENTA', 'SESENTA', 'SETENTA', 'OCHENTA', 'NOVENTA'];
+        const hundreds = ['', 'CIENTO', 'DOSCIENTOS', 'TRESCIENTOS', 'CUATROCIENTOS', 'QUINIENTOS', 'SEISCIENTOS', 'SETECIENTOS', 'OCHOCIENTOS', 'NOVECIENTOS'];
+
+        if (n === 100) return 'CIEN';
+        const rest = n % 100;
+        const restWords = rest < 30
+            ? units[rest]
+            : `${tens[Math.floor(rest / 10)]}${rest % 10 ? ` Y ${units[rest % 10]}` : ''}`;
+        return [hundreds[Math.floor(n / 100)], restWords].filter(Boolean).join(' ');
+    }
+
+    // $4,728.50 → CUATRO MIL SETECIENTOS VEINTIOCHO PESOS 50/100 M.N.
+    amountInWords(value) {
+        const cents = Math.round(value * 100);
+        const pesos = Math.floor(cents / 100);
+        const millions = Math.floor(pesos / 1000000);
+        const thousands = Math.floor(pesos / 1000) % 1000;
+        const rest = pesos % 1000;
+
+        const parts = [];
+        if (millions) parts.push(millions === 1 ? 'UN MILLÓN' : `${this.wordsBelowThousand(millions)} MILLONES`);
+        if (thousands) parts.push(thousands === 1 ? 'MIL' : `${this.wordsBelowThousand(thousands)} MIL`);
+        if (rest) parts.push(this.wordsBelowThousand(rest));
+
+        const words = parts.length > 0 ? parts.join(' ') : 'CERO';
+        const of = millions && !thousands && !rest ? ' DE' : '';
+        return `${words}${of} ${pesos === 1 ? 'PESO' : 'PESOS'} ${String(cents % 100).padStart(2, '0')}/100 M.N.`;
+    }
+
+    // =============================================
+    // DOCUMENTO
+    // =============================================
+
+    // Condiciones congeladas y fecha de aprobación; Cobranza cuenta el calendario desde el depósito
+    getSchedule(request) {
+        return this.loanEngine.buildSchedule({
+            amount: request.amount,
+            term: request.term,
+            product: this.loanEngine.getRequestProduct(request),
+            startDate: request.reviewedAt || request.timestamp
+        });
+    }
+
+    buildVariables(request, schedule, date) {
+        const product = this.loanEngine.getRequestProduct(request);
+        const last = schedule.installments[schedule.installments.length - 1];
+        return {
+            acreedor: this.lender.name,
+            domicilioAcreedor: this.lender.address,
+            lugar: this.lender.city,
+            fecha: this.formatDate(date),
+            nombre: request.clientName,
+            curp: request.curp || (request.application && request.application.curp) || 'No proporcionada',
+            domicilio: request.address || 'No proporcionado',
+            credito: String(request.id),
+            producto: schedule.productName,
+            monto: this.money(schedule.amount),
+            montoLetra: this.amountInWords(schedule.amount),
+            comision: this.money(schedule.openingCommission + schedule.openingCommissionIVA),
+            montoNeto: this.money(schedule.netDisbursement),
+            pagos: String(schedule.periods),
+            frecuencia: schedule.frequencyLabel.toLowerCase(),
+            pago: this.money(schedule.payment),
+            primerPago: this.formatDate(schedule.installments[0].dueDate),
+            ultimoPago: this.formatDate(last.dueDate),
+            tasa: this.percent(schedule.annualRate),
+            tipoTasa: schedule.rateType === 'flat' ? 'fija sobre el monto original' : 'sobre saldos insolutos',
+            tasaMoratoria: this.percent(product.moratoryRate !== undefined ? product.moratoryRate : product.annualRate * 1.5),
+            cat: this.catCalculator.formatCAT(this.catCalculator.calculate(schedule)),
+            total: this.money(schedule.totalPayment),
+            totalLetra: this.amountInWords(schedule.totalPayment)
+        };
+    }
+
+    // Contrato, tabla de amortización, CAT y pagaré con los datos de la solicitud. text es
+    // el contenido en texto plano del que sale la huella del documento.
+    build(request) {
+        const templates = this.getTemplates();
+        const date = (request.contract && request.contract.generatedAt) || new Date().toISOString();
+        const schedule = this.getSchedule(request);
+        const variables = this.buildVariables(request, schedule, date);
+        const paragraphs = id => this.render(templates[id].body, variables).split(/\n\n+/);
+
+        const sections = [
+            { id: 'contract', title: templates.contract.title, paragraphs: paragraphs('contract') },
+            {
+                id: 'amortization',
+                title: 'Anexo: Tabla de amortización',
+                table: {
+                    head: ['No.', 'Fecha', 'Capital', 'Interés', 'IVA', 'Pago', 'Saldo'],
+                    rows: schedule.installments.map(installment => [
+                        String(installment.number),
+                        installment.dueDate,
+                        this.money(installment.principal),
+                        this.money(installment.interest),
+                        this.money(installment.iva),
+                        this.money(installment.payment),
+                        this.money(installment.balance)
+                    ])
+                }
+            },
+            { id: 'disclosure', title: templates.disclosure.title, paragraphs: paragraphs('disclosure') },
+            { id: 'pagare', title: templates.pagare.title, paragraphs: paragraphs('pagare') }
+        ];
+
+        const text = sections.map(section => [
+            section.title,
+            ...(section.paragraphs || []),
+            ...(section.table ? [section.table.head, ...section.table.rows].map(row => row.join(' | ')) : [])
+        ].join('\n')).join('\n\n');
+
+        return {
+            requestId: request.id,
+            generatedAt: date,
+            templateVersions: Object.fromEntries(Object.entries(templates).map(([id, template]) => [id, template.version || 1])),
+            sections,
+            text
+        };
+    }
+
+    escape(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // Vista para revisar en la App antes de firmar
+    toHtml(draft) {
+        return draft.sections.map(section => `
+            <h4>${this.escape(section.title)}</h4>
+            ${(section.paragraphs || []).map(paragraph => `<p>${this.escape(paragraph)}</p>`).join('')}
+            ${section.table ? `
+                <table>
+                    <thead><tr>${section.table.head.map(cell => `<th>${this.escape(cell)}</th>`).join('')}</tr></thead>
+                    <tbody>${section.table.rows.map(row => `<tr>${row.map(cell => `<td>${this.escape(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+                </table>
+            ` : ''}
+        `).join('');
+    }
+
+    // =============================================
+    // HUELLAS
+    // =============================================
+
+    toHex(buffer) {
+        return Array.from(new Uint8Array(buffer))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // SHA-256 de un texto o de bytes
+    async sha256(data) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        return this.toHex(await crypto.subtle.digest('SHA-256', bytes));
+    }
+
+    // Al aprobar: el contrato queda por firmar con la fecha y la huella de su contenido
+    async prepare(request) {
+        const draft = this.build({ ...request, contract: null });
+        return {
+            status: 'pending',
+            generatedAt: draft.generatedAt,
+            templateVersions: draft.templateVersions,
+            documentHash: await this.sha256(draft.text)
+        };
+    }
+
+    needsSignature(request) {
+        return request.status === 'approved' && Boolean(request.contract) && request.contract.status !== 'signed';
+    }
+
+    // =============================================
+    // CÓDIGO DE CONFIRMACIÓN
+    // =============================================
+
+    maskPhone(phone) {
+        const digits = (phone || '').replace(/\D/g, '');
+        return digits.length >= 4 ? `******${digits.slice(-4)}` : '';
+    }
+
+    // Código de 6 dígitos al teléfono del cliente (o a su correo si no tiene); solo se
+    // guarda su hash en la solicitud, que el llamador debe guardar
+    async sendCode(request) {
+        const code = String(crypto.getRandomValues(new Uint32Array(1))[0] % 1000000).padStart(6, '0');
+        const channel = request.clientPhone ? 'sms' : 'email';
+        const to = request.clientPhone || request.clientEmail;
+
+        request.contract = {
+            ...request.contract,
+            otp: {
+                codeHash: await this.sha256(`${request.id}:${code}`),
+                expiresAt: new Date(Date.now() + this.codeTtl).toISOString(),
+                attempts: 0,
+                channel,
+                sentTo: channel === 'sms' ? this.maskPhone(to) : to
+            }
+        };
+
+        await this.codeSender.send({
+            to,
+            channel,
+            subject: 'Código para firmar tu contrato',
+            body: `Tu código para firmar el contrato del crédito #${request.id} en CreditXpress es ${code}. Vence en ${Math.round(this.codeTtl / 60000)} minutos.`
+        });
+        return request.contract.otp;
+    }
+
+    // Los intentos fallidos quedan en la solicitud; el llamador la guarda aunque falle
+    async verifyCode(request, code) {
+        const otp = request.contract && request.contract.otp;
+        if (!otp || Date.parse(otp.expiresAt) <= Date.now()) {
+            throw new Error('El código expiró o no es válido. Solicita uno nuevo.');
+        }
+        if (otp.attempts >= this.maxCodeAttempts) {
+            delete request.contract.otp;
+            throw new Error('Demasiados intentos. Solicita un código nuevo.');
+        }
+        if (await this.sha256(`${request.id}:${(code || '').trim()}`) !== otp.codeHash) {
+            otp.attempts++;
+            throw new Error('Código incorrecto.');
+        }
+        return otp;
+    }
+
+    // =============================================
+    // FIRMA
+    // =============================================
+
+    // draft = build(request) tal como lo revisó el cliente; signature = { dataUrl, width,
+    // height } de un JPEG trazado en la App. Regresa el PDF como File y deja request.contract firmado.
+    async sign(request, draft, signature, code) {
+        if (!this.needsSignature(request)) {
+            throw new Error('El contrato de este crédito no está pendiente de firma.');
+        }
+        if (!signature || !signature.dataUrl) {
+            throw new Error('Traza tu firma antes de continuar.');
+        }
+        const otp = await this.verifyCode(request, code);
+
+        const signedAt = new Date().toISOString();
+        const documentHash = await this.sha256(draft.text);
+        const signatureHash = await this.sha256(signature.dataUrl);
+        const bytes = this.buildPdf(request, draft, signature, { signedAt, documentHash, otp }).output();
+        const fileName = `contrato-${request.id}.pdf`;
+
+        request.contract = {
+            status: 'signed',
+            generatedAt: draft.generatedAt,
+            templateVersions: draft.templateVersions,
+            documentHash,
+            signatureHash,
+            pdfHash: await this.sha256(bytes),
+            signedAt,
+            signedBy: { name: request.clientName, email: request.clientEmail },
+            otpChannel: otp.channel,
+            otpSentTo: otp.sentTo,
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null
+        };
+
+        return new File([bytes], fileName, { type: 'application/pdf' });
+    }
+
+    buildPdf(request, draft, signature, { signedAt, documentHash, otp }) {
+        const pdf = new PdfWriter();
+        const margin = 56;
+        const contentWidth = pdf.width - margin * 2;
+        const bottom = pdf.height - margin - 24;
+        const primary = [0.102, 0.322, 0.463];
+        let y = 0;
+
+        pdf.setInfo({ title: `Contrato de crédito #${request.id}`, author: this.lender.name, subject: `SHA-256 ${documentHash}` });
+
+        const newPage = () => {
+            pdf.addPage();
+            pdf.text(margin, margin, 'CreditXpress', { size: 14, bold: true, color: primary });
+            pdf.text(pdf.width - margin, margin, `Crédito #${request.id}`, { size: 9, align: 'right' });
+            pdf.line(margin, margin + 8, pdf.width - margin, margin + 8);
+            y = margin + 30;
+        };
+        const ensure = height => {
+            if (y + height > bottom) newPage();
+        };
+        const paragraph = (text, { size = 9.5, bold = false, leading = 13 } = {}) => {
+            pdf.wrap(text, contentWidth, size, bold).forEach(line => {
+                ensure(leading);
+                pdf.text(margin, y, line, { size, bold });
+                y += leading;
+            });
+            y += 5;
+        };
+
+        newPage();
+        draft.sections.forEach(section => {
+            ensure(48);
+            y += 6;
+            pdf.text(margin, y, section.title, { size: 12, bold: true, color: primary });
+            y += 18;
+            (section.paragraphs || []).forEach(text => paragraph(text));
+
+            if (section.table) {
+                // Número y fecha desde la izquierda; los montos, alineados a su borde derecho
+                const positions = [0, 28, 195, 265, 335, 410, contentWidth].map(x => margin + x);
+                const row = (cells, bold) => {
+                    ensure(12);
+                    cells.forEach((cell, index) => {
+                        pdf.text(positions[index], y, cell, { size: 8, bold, align: index >= 2 ? 'right' : 'left' });
+                    });
+                    y += 12;
+                };
+                row(section.table.head, true);
+                pdf.line(margin, y - 8, pdf.width - margin, y - 8);
+                section.table.rows.forEach(cells => row(cells, false));
+                y += 6;
+            }
+        });
+
+        // Bloque de firma
+        const drawWidth = 180;
+        const drawHeight = Math.min(90, drawWidth * signature.height / signature.width);
+        ensure(drawHeight + 110);
+        y += 10;
+        pdf.text(margin, y, 'Firma del acreditado', { size: 10, bold: true });
+        y += 8;
+        const image = pdf.addImage(pdf.dataUrlToBytes(signature.dataUrl), signature.width, signature.height);
+        pdf.drawImage(image, margin, y, drawHeight * signature.width / signature.height, drawHeight);
+        y += drawHeight + 4;
+        pdf.line(margin, y, margin + 240, y);
+        y += 14;
+        pdf.text(margin, y, request.clientName, { size: 10 });
+        y += 14;
+        paragraph(`Firmado electrónicamente el ${new Date(signedAt).toLocaleString('es-MX')} (${signedAt}). Firma confirmada con el código de un solo uso enviado por ${otp.channel === 'sms' ? 'SMS' : 'correo'} a ${otp.sentTo}.`, { size: 8.5, leading: 11 });
+        paragraph(`Huella SHA-256 del contenido firmado: ${documentHash}`, { size: 8, leading: 11 });
+
+        pdf.pages.forEach((page, index) => {
+            pdf.page = page;
+            pdf.text(margin, pdf.height - margin + 10,
+                `Crédito #${request.id} · SHA-256 ${documentHash.slice(0, 16)}… · Página ${index + 1} de ${pdf.pages.length}`,
+                { size: 7, color: [0.4, 0.4, 0.4] });
+        });
+        return pdf;
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.LoanContract = LoanContract;
+}
@@ -0,0 +1,240 @@
+// loan-engine.js - Productos de crédito y tabla de amortización compartidos por App, CRM y Cobranza
+class LoanEngine {
+    constructor(dataStore = new DataStore()) {
+        this.dataStore = dataStore;
+        this.storageKey = 'creditxpress_products';
+
+        this.frequencies = {
+            weekly: { label: 'Semanal', periodsPerYear: 52, paymentsPerMonth: 52 / 12, days: 7, paymentLabel: 'Pago semanal' },
+            biweekly: { label: 'Quincenal', periodsPerYear: 24, paymentsPerMonth: 2, days: 15, paymentLabel: 'Pago quincenal' },
+            monthly: { label: 'Mensual', periodsPerYear: 12, paymentsPerMonth: 1, days: null, paymentLabel: 'Cuota mensual' }
+        };
+
+        // Tasas anuales nominales; el plazo siempre se expresa en meses
+        this.defaultProducts = [
+            {
+                id: 'express',
+                name: 'Crédito Express',
+                annualRate: 1.20,
+                rateType: 'flat',
+                openingCommission: 0,
+                ivaRate: 0.16,
+                moratoryRate: 1.80,
+                minAmount: 1000,
+                maxAmount: 5000,
+                amountStep: 500,
+                minTerm: 3,
+                maxTerm: 12,
+                frequency: 'monthly'
+            },
+            {
+                id: 'quincenal',
+                name: 'Crédito Quincenal',
+                annualRate: 0.96,
+                rateType: 'declining',
+                openingCommission: 0.03,
+                ivaRate: 0.16,
+                moratoryRate: 1.44,
+                minAmount: 2000,
+                maxAmount: 10000,
+                amountStep: 500,
+                minTerm: 3,
+                maxTerm: 12,
+                frequency: 'biweekly'
+            }
+        ];
+    }
+
+    // =============================================
+    // PRODUCTOS
+    // =============================================
+
+    getProducts() {
+        const saved = this.dataStore.getPreference(this.storageKey);
+        return Array.isArray(saved) && saved.length > 0 ? saved : this.defaultProducts;
+    }
+
+    saveProducts(products) {
+        products.forEach(product => this.validateProduct(product));
+        this.dataStore.setPreference(this.storageKey, products);
+    }
+
+    resetProducts() {
+        this.dataStore.removePreference(this.storageKey);
+    }
+
+    getProduct(productId) {
+        const products = this.getProducts();
+        return products.find(p => p.id === productId) || products[0];
+    }
+
+    validateProduct(product) {
+        if (!product.id || !product.name) {
+            throw new Error('El producto necesita identificador y nombre');
+        }
+        if (!(product.annualRate >= 0)) {
+            throw new Error(`Tasa inválida en ${product.name}`);
+        }
+        if (!['flat', 'declining'].includes(product.rateType)) {
+            throw new Error(`Tipo de tasa inválido en ${product.name}`);
+        }
+        if (!this.frequencies[product.frequency]) {
+            throw new Error(`Periodicidad inválida en ${product.name}`);
+        }
+        if (product.minAmount > product.maxAmount || product.minTerm > product.maxTerm) {
+            throw new Error(`Rangos de monto o plazo inválidos en ${product.name}`);
+        }
+    }
+
+    // Ajustar monto y plazo a los límites del producto
+    clamp(product, amount, term) {
+        return {
+            amount: Math.min(product.maxAmount, Math.max(product.minAmount, amount)),
+            term: Math.min(product.maxTerm, Math.max(product.minTerm, term))
+        };
+    }
+
+    // =============================================
+    // CÁLCULOS
+    // =============================================
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    getPeriodCount(product, term) {
+        return Math.max(1, Math.round(term * this.frequencies[product.frequency].paymentsPerMonth));
+    }
+
+    // Parte de fecha (AAAA-MM-DD) de un Date, una fecha o un timestamp ISO
+    toDateOnly(value) {
+        return new Date(value).toISOString().split('T')[0];
+    }
+
+    // Fecha de vencimiento del pago número n a partir del desembolso, en UTC para no depender
+    // de la zona horaria; en mensual el día se ajusta al último del mes (31 ene → 28 feb → 31 mar)
+    getDueDate(startDate, product, number) {
+        const date = new Date(`${this.toDateOnly(startDate)}T00:00:00Z`);
+        const frequency = this.frequencies[product.frequency];
+        if (frequency.days) {
+            date.setUTCDate(date.getUTCDate() + frequency.days * number);
+        } else {
+            const day = date.getUTCDate();
+            date.setUTCDate(1);
+            date.setUTCMonth(date.getUTCMonth() + number);
+            const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+            date.setUTCDate(Math.min(day, lastDay));
+        }
+        return date.toISOString().split('T')[0];
+    }
+
+    // Tabla de amortización: tasa fija sobre el monto original (flat) o sobre saldos (francés)
+    buildSchedule({ amount, term, product, startDate = new Date() }) {
+        const frequency = this.frequencies[product.frequency];
+        const periods = this.getPeriodCount(product, term);
+        const periodRate = product.annualRate / frequency.periodsPerYear;
+        const ivaRate = product.ivaRate || 0;
+
+        const openingCommission = this.round(amount * (product.openingCommission || 0));
+        const openingCommissionIVA = this.round(openingCommission * ivaRate);
+
+        const installments = [];
+        let balance = amount;
+
+        if (product.rateType === 'flat') {
+            const interest = this.round(amount * periodRate);
+            const iva = this.round(interest * ivaRate);
+            const principal = this.round(amount / periods);
+
+            for (let number = 1; number <= periods; number++) {
+                const principalPart = number === periods ? this.round(balance) : principal;
+                balance = this.round(balance - principalPart);
+                installments.push({
+                    number,
+                    dueDate: this.getDueDate(startDate, product, number),
+                    principal: principalPart,
+                    interest,
+                    iva,
+                    payment: this.round(principalPart + interest + iva),
+                    balance
+                });
+            }
+        } else {
+            // Pago fijo con IVA incluido: se amortiza con la tasa efectiva r(1 + IVA)
+            const effectiveRate = periodRate * (1 + ivaRate);
+            const payment = effectiveRate > 0
+                ? this.round(amount * effectiveRate / (1 - Math.pow(1 + effectiveRate, -periods)))
+                : this.round(amount / periods);
+
+            for (let number = 1; number <= periods; number++) {
+                const interest = this.round(balance * periodRate);
+                const iva = this.round(interest * ivaRate);
+                const principal = number === periods
+                    ? this.round(balance)
+                    : this.round(payment - interest - iva);
+                balance = this.round(balance - principal);
+                installments.push({
+                    number,
+                    dueDate: this.getDueDate(startDate, product, number),
+                    principal,
+                    interest,
+                    iva,
+                    payment: this.round(principal + interest + iva),
+                    balance
+                });
+            }
+        }
+
+        const totalInterest = this.round(installments.reduce((sum, i) => sum + i.interest, 0));
+        const totalIVA = this.round(installments.reduce((sum, i) => sum + i.iva, 0));
+        const totalPayment = this.round(installments.reduce((sum, i) => sum + i.payment, 0));
+
+        return {
+            productId: product.id,
+            productName: product.name,
+            amount,
+            term,
+            frequency: product.frequency,
+            frequencyLabel: frequency.label,
+            paymentLabel: frequency.paymentLabel,
+            startDate: this.toDateOnly(startDate),
+            periods,
+            periodsPerYear: frequency.periodsPerYear,
+            periodRate,
+            annualRate: product.annualRate,
+            rateType: product.rateType,
+            payment: installments[0] ? installments[0].payment : 0,
+            openingCommission,
+            openingCommissionIVA,
+            netDisbursement: this.round(amount - openingCommission - openingCommissionIVA),
+            totalInterest,
+            totalIVA,
+            totalPayment,
+            installments
+        };
+    }
+
+    // Condiciones del producto congeladas al aprobar, para que no cambien créditos vigentes
+    snapshotTerms(product) {
+        return { ...product, snapshotAt: new Date().toISOString() };
+    }
+
+    // Producto de una solicitud: condiciones congeladas si existen, si no el catálogo vigente
+    getRequestProduct(request) {
+        return request.loanTerms || this.getProduct(request.productId);
+    }
+
+    // Pago llevado a su equivalente mensual, para compararlo con el ingreso
+    monthlyEquivalent(schedule) {
+        return schedule.payment * this.frequencies[schedule.frequency].paymentsPerMonth;
+    }
+
+    formatMoney(value) {
+        return `$${Math.round(value).toLocaleString()}`;
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.LoanEngine = LoanEngine;
+}
@@ -0,0 +1,355 @@
+// loan-restructuring.js - Reestructuras y convenios de liquidación de créditos con atraso
+//
+// La cotización parte de la liquidación anticipada a la fecha. En una reestructura ese saldo
+// se vuelve el capital de un crédito nuevo con otro plazo, periodos de gracia (su interés se
+// capitaliza) y los moratorios capitalizados o condonados; en un convenio de liquidación se
+// descuenta un porcentaje y se paga en una sola exhibición. Al aceptarse, el calendario
+// anterior se cierra con un pago de tipo 'restructure' y el crédito nuevo guarda
+// restructuredFrom, así que los dos historiales siguen a la vista.
+class LoanRestructuring {
+    constructor(dataStore = new DataStore(), loanEngine = new LoanEngine(), loanServicing = new LoanServicing()) {
+        this.dataStore = dataStore;
+        this.loanEngine = loanEngine;
+        this.loanServicing = loanServicing;
+        this.rulesKey = 'creditxpress_restructuring_rules';
+
+        // Arriba de estos límites la propuesta necesita autorización del supervisor
+        this.defaultRules = {
+            maxExtensionMonths: 3,   // meses de plazo además de los que le quedaban
+            maxGracePeriods: 1,      // pagos sin cobro al inicio de la reestructura
+            maxForgiven: 1000,       // moratorios condonados más descuento, en pesos
+            maxDiscountRate: 0.15,   // descuento de un convenio de liquidación
+            maxTermMonths: 24,       // plazo máximo de la reestructura (no se autoriza más)
+            offerDays: 7             // días que el cliente tiene para aceptar la oferta
+        };
+
+        this.typeLabels = {
+            restructure: 'Reestructura',
+            settlement: 'Convenio de liquidación'
+        };
+
+        this.statusLabels = {
+            pending_approval: 'Por autorizar',
+            offered: 'Ofrecida',
+            rejected: 'No autorizada',
+            accepted: 'Aceptada',
+            cancelled: 'Cancelada',
+            expired: 'Vencida'
+        };
+    }
+
+    // =============================================
+    // REGLAS
+    // =============================================
+
+    getRules() {
+        return { ...this.defaultRules, ...(this.dataStore.getPreference(this.rulesKey) || {}) };
+    }
+
+    addDays(date, days) {
+        const result = new Date(`${date}T00:00:00Z`);
+        result.setUTCDate(result.getUTCDate() + days);
+        return result.toISOString().split('T')[0];
+    }
+
+    // Producto del crédito: condiciones congeladas de la solicitud o el catálogo vigente
+    getProduct(collection, request) {
+        return request ? this.loanEngine.getRequestProduct(request) : this.loanEngine.getProduct(collection.productId);
+    }
+
+    // =============================================
+    // COTIZACIÓN
+    // =============================================
+
+    // options: { type: 'restructure' | 'settlement', moratory: 'capitalize' | 'forgive',
+    //            term (meses), gracePeriods, discountRate (0 a 1), settlementDate }
+    quote(collection, product, options, asOf = this.loanServicing.today()) {
+        if (collection.restructuredInto) {
+            throw new Error('Este crédito ya se reestructuró.');
+        }
+        const summary = this.loanServicing.summarize(collection, asOf);
+        if (summary.status !== 'overdue') {
+            throw new Error('Solo se pueden reestructurar créditos con pagos vencidos.');
+        }
+        if (!this.typeLabels[options.type]) {
+            throw new Error('Elige reestructura o convenio de liquidación.');
+        }
+
+        const round = value => this.loanServicing.round(value);
+        const rules = this.getRules();
+        const payoff = this.loanServicing.payoffQuote(collection, asOf);
+        const moratory = options.moratory === 'forgive' ? 'forgive' : 'capitalize';
+        const capitalized = moratory === 'capitalize' ? payoff.fees : 0;
+        const forgivenFees = moratory === 'forgive' ? payoff.fees : 0;
+        // Saldo que se lleva al crédito nuevo antes de gracia o descuento
+        const balance = round(payoff.total - forgivenFees);
+        const exceeded = [];
+
+        const result = {
+            type: options.type,
+            asOf,
+            moratory,
+            overdueDays: summary.overdueDays,
+            payoff: {
+                principal: payoff.principal,
+                interest: payoff.interest,
+                iva: payoff.iva,
+                fees: payoff.fees,
+                credit: payoff.credit,
+                total: payoff.total
+            },
+            capitalized,
+            forgivenFees,
+            discountRate: 0,
+            discount: 0,
+            graceInterest: 0,
+            term: 0,
+            gracePeriods: 0,
+            extension: 0
+        };
+
+        if (options.type === 'settlement') {
+            const discountRate = Number(options.discountRate) || 0;
+            if (discountRate < 0 || discountRate >= 1) {
+                throw new Error('El descuento debe estar entre 0% y 99%.');
+            }
+            const date = options.settlementDate;
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || date < asOf) {
+                throw new Error('Indica la fecha del pago único (de hoy en adelante).');
+            }
+            result.discountRate = discountRate;
+            result.discount = round(balance * discountRate);
+            result.newPrincipal = round(balance - result.discount);
+            result.term = 1;
+            result.schedule = {
+                productId: product.id,
+                frequency: product.frequency,
+                startDate: asOf,
+                payment: result.newPrincipal,
+                totalPayment: result.newPrincipal,
+                installments: [{ number: 1, dueDate: date, principal: result.newPrincipal, interest: 0, iva: 0, payment: result.newPrincipal }]
+            };
+            if (discountRate > rules.maxDiscountRate) {
+                exceeded.push(`Descuento de ${Math.round(discountRate * 100)}% (límite ${Math.round(rules.maxDiscountRate * 100)}%)`);
+            }
+        } else {
+            const term = parseInt(options.term, 10);
+            const gracePeriods = parseInt(options.gracePeriods, 10) || 0;
+            if (!(term >= 1) || term > rules.maxTermMonths) {
+                throw new Error(`El plazo debe ser de 1 a ${rules.maxTermMonths} meses.`);
+            }
+            if (gracePeriods < 0) {
+                throw new Error('Los periodos de gracia no pueden ser negativos.');
+            }
+
+            // Interés con IVA de los periodos de gracia, sumado al capital
+            const frequency = this.loanEngine.frequencies[product.frequency];
+            const periodRate = product.annualRate / frequency.periodsPerYear;
+            const graceInterest = round(balance * periodRate * gracePeriods * (1 + (product.ivaRate || 0)));
+            const remaining = summary.installments.filter(i => i.status !== 'paid').length;
+
+            result.term = term;
+            result.gracePeriods = gracePeriods;
+            result.graceInterest = graceInterest;
+            result.remainingMonths = Math.ceil(remaining / frequency.paymentsPerMonth);
+            result.extension = Math.max(0, term - result.remainingMonths);
+            result.newPrincipal = round(balance + graceInterest);
+            // Los pagos se recorren los periodos de gracia, pero el crédito arranca hoy
+            result.schedule = {
+                ...this.loanEngine.buildSchedule({
+                    amount: result.newPrincipal,
+                    term,
+                    product: { ...product, openingCommission: 0 },
+                    startDate: gracePeriods > 0 ? this.loanEngine.getDueDate(asOf, product, gracePeriods) : asOf
+                }),
+                startDate: asOf
+            };
+
+            if (result.extension > rules.maxExtensionMonths) {
+                exceeded.push(`${result.extension} meses más de plazo (límite ${rules.maxExtensionMonths})`);
+            }
+            if (gracePeriods > rules.maxGracePeriods) {
+                exceeded.push(`${gracePeriods} periodos de gracia (límite ${rules.maxGracePeriods})`);
+            }
+        }
+
+        result.forgiven = round(forgivenFees + result.discount);
+        if (result.forgiven > rules.maxForgiven) {
+            exceeded.push(`${this.loanEngine.formatMoney(result.forgiven)} condonados (límite ${this.loanEngine.formatMoney(rules.maxForgiven)})`);
+        }
+        result.exceeded = exceeded;
+        result.requiresApproval = exceeded.length > 0;
+        return result;
+    }
+
+    // =============================================
+    // PROPUESTAS
+    // =============================================
+
+    // Una oferta no aceptada a tiempo se muestra como vencida
+    getStatus(proposal, asOf = this.loanServicing.today()) {
+        return proposal.status === 'offered' && proposal.validUntil < asOf ? 'expired' : proposal.status;
+    }
+
+    getStatusLabel(status) {
+        return this.statusLabels[status] || status;
+    }
+
+    getOpenProposal(collection, asOf = this.loanServicing.today()) {
+        return (collection.restructures || []).find(proposal =>
+            ['pending_approval', 'offered'].includes(this.getStatus(proposal, asOf))) || null;
+    }
+
+    findProposal(collection, proposalId) {
+        const proposal = (collection.restructures || []).find(p => p.id === proposalId);
+        if (!proposal) {
+            throw new Error('No se encontró la propuesta.');
+        }
+        return proposal;
+    }
+
+    // Cotizar y guardar la propuesta; si rebasa algún límite queda por autorizar
+    propose(collection, product, options, actor, asOf = this.loanServicing.today()) {
+        if (this.getOpenProposal(collection, asOf)) {
+            throw new Error('Ya hay una propuesta abierta; cancélala antes de cotizar otra.');
+        }
+        const quote = this.quote(collection, product, options, asOf);
+        const proposal = {
+            id: `rs_${Date.now()}`,
+            type: quote.type,
+            options: {
+                type: quote.type,
+                moratory: quote.moratory,
+                term: quote.term,
+                gracePeriods: quote.gracePeriods,
+                discountRate: quote.discountRate,
+                settlementDate: options.settlementDate || null
+            },
+            quote,
+            status: quote.requiresApproval ? 'pending_approval' : 'offered',
+            proposedBy: actor,
+            proposedAt: new Date().toISOString(),
+            validUntil: this.addDays(asOf, this.getRules().offerDays)
+        };
+        collection.restructures = [...(collection.restructures || []), proposal];
+        return proposal;
+    }
+
+    approve(collection, proposalId, actor) {
+        const proposal = this.findProposal(collection, proposalId);
+        if (proposal.status !== 'pending_approval') {
+            throw new Error('La propuesta no está por autorizar.');
+        }
+        if (proposal.proposedBy && actor && proposal.proposedBy.id === actor.id) {
+            throw new Error('La propuesta la debe autorizar alguien distinto de quien la cotizó.');
+        }
+        Object.assign(proposal, { status: 'offered', approvedBy: actor, approvedAt: new Date().toISOString() });
+        return proposal;
+    }
+
+    reject(collection, proposalId, reason, actor) {
+        const proposal = this.findProposal(collection, proposalId);
+        if (proposal.status !== 'pending_approval') {
+            throw new Error('La propuesta no está por autorizar.');
+        }
+        if (!String(reason || '').trim()) {
+            throw new Error('Indica el motivo.');
+        }
+        Object.assign(proposal, { status: 'rejected', reason: reason.trim(), resolvedBy: actor, resolvedAt: new Date().toISOString() });
+        return proposal;
+    }
+
+    cancel(collection, proposalId, reason, actor) {
+        const proposal = this.findProposal(collection, proposalId);
+        if (!['pending_approval', 'offered'].includes(proposal.status)) {
+            throw new Error('La propuesta ya está cerrada.');
+        }
+        Object.assign(proposal, { status: 'cancelled', reason: String(reason || '').trim(), resolvedBy: actor, resolvedAt: new Date().toISOString() });
+        return proposal;
+    }
+
+    // =============================================
+    // ACEPTACIÓN
+    // =============================================
+
+    // Se vuelve a cotizar a la fecha con las mismas condiciones, se cierra el calendario
+    // anterior y se arma el crédito reestructurado. collections sirve para darle un id libre.
+    accept(collection, proposalId, product, actor, collections, asOf = this.loanServicing.today()) {
+        const proposal = this.findProposal(collection, proposalId);
+        const status = this.getStatus(proposal, asOf);
+        if (status === 'expired') {
+            throw new Error(`La oferta venció el ${proposal.validUntil}; cotiza de nuevo.`);
+        }
+        if (status !== 'offered') {
+            throw new Error('Solo se puede aceptar una propuesta ofrecida al cliente.');
+        }
+
+        const quote = this.quote(collection, product, proposal.options, asOf);
+        if (quote.requiresApproval && !proposal.approvedBy) {
+            throw new Error('Con el saldo de hoy la propuesta necesita autorización; cotiza de nuevo.');
+        }
+
+        const acceptedAt = new Date().toISOString();
+        const closing = this.loanServicing.applyPayoff(collection, { amount: quote.payoff.total, date: asOf, method: 'restructure' });
+        closing.restructureId = proposal.id;
+        closing.recordedBy = actor;
+        closing.recordedAt = acceptedAt;
+        collection.payments.push(closing);
+
+        const number = (collection.restructureNumber || 0) + 1;
+        const schedule = quote.schedule;
+        const restructured = {
+            id: Math.max(Date.now(), ...collections.map(c => c.id + 1)),
+            clientId: collection.clientId,
+            clientName: collection.clientName,
+            clientEmail: collection.clientEmail,
+            clientPhone: collection.clientPhone,
+            creditId: collection.creditId,
+            accountNumber: `${collection.creditId}-R${number}`,
+            creditAmount: quote.newPrincipal,
+            creditTerm: quote.term,
+            creditStatus: collection.creditStatus,
+            productId: collection.productId,
+            paymentFrequency: schedule.frequency,
+            monthlyPayment: schedule.payment,
+            totalPayable: schedule.totalPayment,
+            nextPaymentDate: schedule.installments[0].dueDate,
+            approvalDate: collection.approvalDate,
+            disbursementDate: collection.disbursementDate,
+            ...this.loanServicing.createLedger(schedule, { ivaRate: collection.ivaRate, moratoryRate: collection.moratoryRate }),
+            payments: [],
+            status: 'pending',
+            overdueDays: 0,
+            // Los depósitos con las referencias del crédito se aplican al reestructurado
+            referenceNumber: collection.referenceNumber,
+            paymentReference: collection.paymentReference,
+            clabe: collection.clabe,
+            storeReference: collection.storeReference,
+            assignedTo: collection.assignedTo || null,
+            restructuredFrom: collection.id,
+            restructureNumber: number,
+            restructure: {
+                proposalId: proposal.id,
+                type: quote.type,
+                previousBalance: quote.payoff.total,
+                capitalized: quote.capitalized,
+                forgiven: quote.forgiven,
+                graceInterest: quote.graceInterest,
+                overdueDays: quote.overdueDays,
+                approvedBy: proposal.approvedBy || null,
+                acceptedBy: actor,
+                acceptedAt
+            }
+        };
+
+        collection.restructuredInto = restructured.id;
+        collection.restructuredAt = asOf;
+        Object.assign(proposal, { status: 'accepted', quote, acceptedBy: actor, acceptedAt, restructuredId: restructured.id });
+        return { proposal, closing, restructured };
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.LoanRestructuring = LoanRestructuring;
+}
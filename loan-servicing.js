@@ -0,0 +1,327 @@
+// loan-servicing.js - Calendario de pagos por crédito, aplicación de pagos, moratorios y liquidación
+class LoanServicing {
+    constructor(options = {}) {
+        // Año comercial para intereses moratorios
+        this.daysPerYear = options.daysPerYear || 360;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    today() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    // Días naturales entre dos fechas AAAA-MM-DD
+    daysBetween(from, to) {
+        const start = Date.parse(`${from}T00:00:00Z`);
+        const end = Date.parse(`${to}T00:00:00Z`);
+        return Math.round((end - start) / (1000 * 60 * 60 * 24));
+    }
+
+    clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    // =============================================
+    // CALENDARIO
+    // =============================================
+
+    // Calendario de cobranza a partir de la tabla de LoanEngine.buildSchedule
+    createLedger(schedule, product) {
+        return {
+            ivaRate: product.ivaRate || 0,
+            moratoryRate: product.moratoryRate !== undefined ? product.moratoryRate : product.annualRate * 1.5,
+            startDate: schedule.startDate,
+            installments: schedule.installments.map(installment => ({
+                number: installment.number,
+                dueDate: installment.dueDate,
+                principal: installment.principal,
+                interest: installment.interest,
+                iva: installment.iva,
+                payment: installment.payment,
+                moratory: 0,
+                moratoryIVA: 0,
+                moratoryAccruedTo: installment.dueDate,
+                paid: { fees: 0, interest: 0, iva: 0, principal: 0 },
+                status: 'pending'
+            }))
+        };
+    }
+
+    // Saldo pendiente de cada concepto de un pago
+    outstanding(installment) {
+        const fees = this.round(installment.moratory + installment.moratoryIVA - installment.paid.fees);
+        const interest = this.round(installment.interest - installment.paid.interest);
+        const iva = this.round(installment.iva - installment.paid.iva);
+        const principal = this.round(installment.principal - installment.paid.principal);
+        return {
+            fees,
+            interest,
+            iva,
+            principal,
+            total: this.round(fees + interest + iva + principal)
+        };
+    }
+
+    // =============================================
+    // MORATORIOS
+    // =============================================
+
+    // Interés moratorio diario sobre el capital vencido no pagado, más IVA
+    accrueMoratory(ledger, asOf) {
+        ledger.installments.forEach(installment => {
+            const from = installment.moratoryAccruedTo > installment.dueDate
+                ? installment.moratoryAccruedTo
+                : installment.dueDate;
+            const days = this.daysBetween(from, asOf);
+            if (days <= 0) return;
+
+            const unpaidPrincipal = this.round(installment.principal - installment.paid.principal);
+            if (unpaidPrincipal > 0) {
+                const moratory = this.round(unpaidPrincipal * ledger.moratoryRate / this.daysPerYear * days);
+                installment.moratory = this.round(installment.moratory + moratory);
+                installment.moratoryIVA = this.round(installment.moratoryIVA + moratory * ledger.ivaRate);
+            }
+            installment.moratoryAccruedTo = asOf;
+        });
+    }
+
+    // =============================================
+    // APLICACIÓN DE PAGOS
+    // =============================================
+
+    // Prelación: moratorios → interés → IVA → capital, del pago más antiguo al más reciente.
+    // Lo que sobra cubre los pagos siguientes (pago adelantado).
+    applyPayment(ledger, { amount, date, method }) {
+        this.accrueMoratory(ledger, date);
+
+        let available = this.round(amount);
+        const allocations = [];
+
+        for (const installment of ledger.installments) {
+            if (available <= 0) break;
+            const due = this.outstanding(installment);
+            if (due.total <= 0) continue;
+
+            const allocation = { number: installment.number, fees: 0, interest: 0, iva: 0, principal: 0 };
+            ['fees', 'interest', 'iva', 'principal'].forEach(concept => {
+                const applied = this.round(Math.min(available, due[concept]));
+                if (applied > 0) {
+                    allocation[concept] = applied;
+                    installment.paid[concept] = this.round(installment.paid[concept] + applied);
+                    available = this.round(available - applied);
+                }
+            });
+            allocations.push(allocation);
+        }
+
+        this.updateStatuses(ledger, date);
+
+        return {
+            // Único aunque se apliquen varios pagos en el mismo milisegundo (reaplicación de historial)
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            date,
+            amount: this.round(amount),
+            method,
+            status: 'paid',
+            allocations,
+            unapplied: available
+        };
+    }
+
+    // =============================================
+    // LIQUIDACIÓN ANTICIPADA
+    // =============================================
+
+    // Vencidos completos, interés del periodo en curso proporcional a los días y
+    // solo capital de los pagos futuros. El interés futuro ya pagado por adelantado
+    // se reconoce como saldo a favor.
+    payoffQuote(ledger, asOf) {
+        const working = this.clone(ledger);
+        this.accrueMoratory(working, asOf);
+
+        const quote = { asOf, fees: 0, interest: 0, iva: 0, principal: 0, credit: 0, total: 0, waived: 0, adjustments: [] };
+        let currentFound = false;
+
+        working.installments.forEach((installment, index) => {
+            const due = this.outstanding(installment);
+
+            if (installment.dueDate <= asOf) {
+                if (due.total <= 0) return;
+                quote.fees = this.round(quote.fees + due.fees);
+                quote.interest = this.round(quote.interest + due.interest);
+                quote.iva = this.round(quote.iva + due.iva);
+                quote.principal = this.round(quote.principal + due.principal);
+                return;
+            }
+
+            let fraction = 0;
+            if (!currentFound) {
+                currentFound = true;
+                const start = index > 0 ? working.installments[index - 1].dueDate : working.startDate;
+                const periodDays = Math.max(1, this.daysBetween(start, installment.dueDate));
+                fraction = Math.min(periodDays, Math.max(0, this.daysBetween(start, asOf))) / periodDays;
+            }
+
+            const earnedInterest = this.round(installment.interest * fraction);
+            const earnedIVA = this.round(installment.iva * fraction);
+
+            quote.fees = this.round(quote.fees + due.fees);
+            quote.interest = this.round(quote.interest + Math.max(0, earnedInterest - installment.paid.interest));
+            quote.iva = this.round(quote.iva + Math.max(0, earnedIVA - installment.paid.iva));
+            quote.principal = this.round(quote.principal + due.principal);
+            quote.credit = this.round(quote.credit +
+                Math.max(0, installment.paid.interest - earnedInterest) +
+                Math.max(0, installment.paid.iva - earnedIVA));
+            quote.waived = this.round(quote.waived + (installment.interest - earnedInterest) + (installment.iva - earnedIVA));
+
+            if (earnedInterest !== installment.interest || earnedIVA !== installment.iva) {
+                quote.adjustments.push({ number: installment.number, interest: earnedInterest, iva: earnedIVA });
+            }
+        });
+
+        quote.total = this.round(Math.max(0, quote.fees + quote.interest + quote.iva + quote.principal - quote.credit));
+        return quote;
+    }
+
+    // Reducir el interés futuro según la cotización, pasar a capital el interés
+    // pagado por adelantado y aplicar el pago de liquidación
+    applyPayoff(ledger, { amount, date, method }) {
+        const quote = this.payoffQuote(ledger, date);
+        if (this.round(amount) < quote.total) {
+            throw new Error(`El monto no cubre la liquidación ($${quote.total.toFixed(2)})`);
+        }
+
+        this.accrueMoratory(ledger, date);
+
+        let credit = 0;
+        quote.adjustments.forEach(adjustment => {
+            const installment = ledger.installments.find(i => i.number === adjustment.number);
+            credit += Math.max(0, installment.paid.interest - adjustment.interest) +
+                Math.max(0, installment.paid.iva - adjustment.iva);
+            installment.paid.interest = Math.min(installment.paid.interest, adjustment.interest);
+            installment.paid.iva = Math.min(installment.paid.iva, adjustment.iva);
+            installment.waived = {
+                interest: this.round(installment.interest - adjustment.interest),
+                iva: this.round(installment.iva - adjustment.iva)
+            };
+            installment.interest = adjustment.interest;
+            installment.iva = adjustment.iva;
+        });
+
+        credit = this.round(credit);
+        ledger.installments.forEach(installment => {
+            if (credit <= 0) return;
+            const applied = this.round(Math.min(credit, installment.principal - installment.paid.principal));
+            if (applied > 0) {
+                installment.paid.principal = this.round(installment.paid.principal + applied);
+                credit = this.round(credit - applied);
+            }
+        });
+
+        const payment = this.applyPayment(ledger, { amount, date, method });
+        payment.payoff = true;
+        payment.waived = quote.waived;
+        payment.credit = quote.credit;
+        return payment;
+    }
+
+    // =============================================
+    // REAPLICACIÓN
+    // =============================================
+
+    // Regresar el calendario a su estado original: sin pagos, moratorios ni descuentos de liquidación
+    resetLedger(ledger) {
+        ledger.installments.forEach(installment => {
+            if (installment.waived) {
+                installment.interest = this.round(installment.interest + installment.waived.interest);
+                installment.iva = this.round(installment.iva + installment.waived.iva);
+                delete installment.waived;
+            }
+            installment.moratory = 0;
+            installment.moratoryIVA = 0;
+            installment.moratoryAccruedTo = installment.dueDate;
+            installment.paid = { fees: 0, interest: 0, iva: 0, principal: 0 };
+        });
+    }
+
+    // Volver a aplicar en orden los pagos vigentes (hasta asOf si se indica); los revertidos
+    // se omiten. Cada pago conserva su id y se actualiza con su nueva distribución.
+    replayPayments(ledger, payments, asOf = null) {
+        this.resetLedger(ledger);
+
+        payments
+            .filter(payment => payment.status !== 'reversed' && (!asOf || payment.date <= asOf))
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .forEach(payment => {
+                let applied;
+                try {
+                    applied = payment.payoff
+                        ? this.applyPayoff(ledger, payment)
+                        : this.applyPayment(ledger, payment);
+                } catch (error) {
+                    // Una liquidación que ya no alcanza queda como pago normal
+                    applied = this.applyPayment(ledger, payment);
+                }
+                payment.allocations = applied.allocations;
+                payment.unapplied = applied.unapplied;
+            });
+
+        this.updateStatuses(ledger, asOf || this.today());
+        return ledger;
+    }
+
+    // =============================================
+    // ESTADO
+    // =============================================
+
+    updateStatuses(ledger, asOf) {
+        ledger.installments.forEach(installment => {
+            const due = this.outstanding(installment);
+            const paidSomething = Object.values(installment.paid).some(value => value > 0);
+
+            if (due.total <= 0) {
+                installment.status = 'paid';
+            } else if (installment.dueDate < asOf) {
+                installment.status = 'overdue';
+            } else if (paidSomething) {
+                installment.status = 'partial';
+            } else {
+                installment.status = 'pending';
+            }
+        });
+    }
+
+    // Resumen a una fecha sin modificar el calendario guardado
+    summarize(ledger, asOf = this.today()) {
+        const working = this.clone(ledger);
+        this.accrueMoratory(working, asOf);
+        this.updateStatuses(working, asOf);
+
+        const unpaid = working.installments.filter(i => i.status !== 'paid');
+        const overdue = unpaid.filter(i => i.status === 'overdue');
+        const next = unpaid[0] || null;
+
+        const totalPaid = working.installments.reduce((sum, i) =>
+            sum + i.paid.fees + i.paid.interest + i.paid.iva + i.paid.principal, 0);
+
+        return {
+            installments: working.installments,
+            totalOutstanding: this.round(unpaid.reduce((sum, i) => sum + this.outstanding(i).total, 0)),
+            overdueAmount: this.round(overdue.reduce((sum, i) => sum + this.outstanding(i).total, 0)),
+            principalOutstanding: this.round(unpaid.reduce((sum, i) => sum + this.outstanding(i).principal, 0)),
+            totalPaid: this.round(totalPaid),
+            nextInstallment: next,
+            nextAmount: next ? this.outstanding(next).total : 0,
+            overdueDays: overdue.length > 0 ? this.daysBetween(overdue[0].dueDate, asOf) : 0,
+            status: unpaid.length === 0 ? 'paid' : (overdue.length > 0 ? 'overdue' : 'pending')
+        };
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.LoanServicing = LoanServicing;
+}
@@ -0,0 +1,142 @@
+// message-channels.js - Envío de recordatorios por email, SMS y WhatsApp
+//
+// Cada canal es un adaptador con send(message) que regresa una promesa con
+// { status, providerId, detail }. Con 'creditxpress_message_endpoint' configurado los
+// mensajes se envían por HTTP (un proveedor real o tools/mock-message-server.js);
+// sin él se simulan y quedan registrados como 'simulated'.
+//
+// Estados: queued (aceptado por el proveedor), sent, delivered, failed, simulated,
+// logged (llamada registrada por el gestor).
+
+// POST {endpoint}/{canal} con el mensaje en JSON; GET {endpoint}/{canal}/{id} para el estado
+class HttpChannelAdapter {
+    constructor(channel, endpoint) {
+        this.channel = channel;
+        this.endpoint = endpoint.replace(/\/$/, '');
+    }
+
+    async send(message) {
+        const response = await fetch(`${this.endpoint}/${this.channel}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Idempotency-Key': message.id },
+            body: JSON.stringify(message)
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `El proveedor respondió ${response.status}`);
+        }
+        return { status: result.status || 'sent', providerId: result.id || null, detail: result.detail || '' };
+    }
+
+    async getStatus(providerId) {
+        const response = await fetch(`${this.endpoint}/${this.channel}/${encodeURIComponent(providerId)}`);
+        if (!response.ok) {
+            throw new Error(`El proveedor respondió ${response.status}`);
+        }
+        const result = await response.json();
+        return { status: result.status, detail: result.detail || '' };
+    }
+}
+
+// Sin proveedor: el mensaje no sale del navegador, solo se registra
+class SimulatedChannelAdapter {
+    constructor(channel) {
+        this.channel = channel;
+    }
+
+    async send(message) {
+        console.log(`✉️ [${this.channel} simulado] a ${message.to}:\n${message.subject ? `${message.subject}\n` : ''}${message.body}`);
+        return { status: 'simulated', providerId: null, detail: 'Sin proveedor configurado' };
+    }
+}
+
+// La llamada la hace el gestor; el guion solo queda en el historial
+class ManualCallAdapter {
+    async send() {
+        return { status: 'logged', providerId: null, detail: 'Llamada registrada por el gestor' };
+    }
+}
+
+class MessageChannels {
+    constructor(options = {}) {
+        this.dataStore = options.dataStore || new DataStore();
+        this.endpointKey = 'creditxpress_message_endpoint';
+        this.endpoint = options.endpoint || this.dataStore.getPreference(this.endpointKey);
+
+        this.adapters = {};
+        ['email', 'sms', 'whatsapp'].forEach(channel => {
+            this.adapters[channel] = this.endpoint
+                ? new HttpChannelAdapter(channel, this.endpoint)
+                : new SimulatedChannelAdapter(channel);
+        });
+        this.adapters.call = new ManualCallAdapter();
+        Object.assign(this.adapters, options.adapters || {});
+    }
+
+    // Reemplazar el adaptador de un canal (otro proveedor, pruebas)
+    register(channel, adapter) {
+        this.adapters[channel] = adapter;
+    }
+
+    // Teléfonos a 10 dígitos con lada de México para SMS y WhatsApp
+    getAddress(collection, channel) {
+        if (channel === 'email') return collection.clientEmail || '';
+        const digits = (collection.clientPhone || '').replace(/\D/g, '').slice(-10);
+        return digits.length === 10 ? `+52${digits}` : '';
+    }
+
+    // composed = MessageTemplates.compose(...); regresa el registro de entrega para contactHistory
+    async deliver(collection, composed) {
+        const adapter = this.adapters[composed.channel];
+        const message = {
+            id: `${collection.id}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            channel: composed.channel,
+            to: this.getAddress(collection, composed.channel),
+            subject: composed.subject,
+            body: composed.body,
+            creditId: collection.creditId,
+            stage: composed.stage
+        };
+        const delivery = { messageId: message.id, to: message.to, attemptedAt: new Date().toISOString() };
+
+        if (!adapter) {
+            return { ...delivery, status: 'failed', providerId: null, detail: `Canal no disponible: ${composed.channel}` };
+        }
+        if (!message.to && composed.channel !== 'call') {
+            return { ...delivery, status: 'failed', providerId: null, detail: 'El cliente no tiene dato de contacto para este canal' };
+        }
+
+        try {
+            return { ...delivery, ...(await adapter.send(message)) };
+        } catch (error) {
+            return { ...delivery, status: 'failed', providerId: null, detail: error.message };
+        }
+    }
+
+    // Consultar al proveedor el estado de un envío en curso (queued o sent)
+    async refreshStatus(entry) {
+        const adapter = this.adapters[entry.type];
+        if (!adapter || !adapter.getStatus || !entry.providerId) return entry;
+        try {
+            const result = await adapter.getStatus(entry.providerId);
+            entry.status = result.status;
+            entry.detail = result.detail;
+        } catch (error) {
+            entry.detail = error.message;
+        }
+        entry.statusCheckedAt = new Date().toISOString();
+        return entry;
+    }
+
+    canRefresh(entry) {
+        const adapter = this.adapters[entry.type];
+        return Boolean(adapter && adapter.getStatus && entry.providerId && ['queued', 'sent'].includes(entry.status));
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.MessageChannels = MessageChannels;
+    window.HttpChannelAdapter = HttpChannelAdapter;
+    window.SimulatedChannelAdapter = SimulatedChannelAdapter;
+}
@@ -0,0 +1,199 @@
+// message-templates.js - Plantillas de recordatorios de cobranza por etapa y canal
+//
+// El texto usa variables entre llaves dobles, p. ej. "Hola {{nombre}}". Cada etapa de
+// atraso tiene su versión del mensaje para cada canal; al editar una plantilla sube su
+// número de versión y el historial de contactos guarda qué versión se envió.
+class MessageTemplates {
+    constructor(dataStore = new DataStore()) {
+        this.dataStore = dataStore;
+        this.storageKey = 'creditxpress_message_templates';
+
+        this.variables = {
+            nombre: 'Nombre del cliente',
+            monto: 'Monto a pagar (vencido o próximo pago)',
+            fecha: 'Fecha de vencimiento',
+            dias: 'Días de atraso',
+            referencia: 'Referencia de pago',
+            credito: 'Número de crédito',
+            saldo: 'Saldo total pendiente'
+        };
+
+        this.channels = {
+            email: 'Email',
+            sms: 'SMS',
+            whatsapp: 'WhatsApp',
+            call: 'Guion de llamada'
+        };
+
+        // Mismos cortes que la antigüedad de saldos de PortfolioAnalytics
+        this.stages = [
+            { id: 'preventive', label: 'Preventivo (al corriente)', minDays: 0, maxDays: 0 },
+            { id: 'early', label: 'Atraso temprano (1-30 días)', minDays: 1, maxDays: 30 },
+            { id: 'late', label: 'Atraso (31-90 días)', minDays: 31, maxDays: 90 },
+            { id: 'severe', label: 'Atraso grave (más de 90 días)', minDays: 91, maxDays: Infinity }
+        ];
+
+        this.defaultTemplates = {
+            preventive: {
+                email: {
+                    subject: 'Tu próximo pago de CreditXpress',
+                    body: 'Hola {{nombre}}:\n\nTe recordamos que tu pago de {{monto}} del crédito #{{credito}} vence el {{fecha}}.\n\nPuedes pagar con la referencia {{referencia}}.\n\nGracias por tu puntualidad.\nCreditXpress'
+                },
+                sms: { body: 'CreditXpress: {{nombre}}, tu pago de {{monto}} vence el {{fecha}}. Ref. {{referencia}}' },
+                whatsapp: { body: 'Hola {{nombre}} 👋 Te recordamos que tu pago de *{{monto}}* vence el *{{fecha}}*. Referencia de pago: {{referencia}}' },
+                call: { body: 'Saludar a {{nombre}}, confirmar identidad y recordar el pago de {{monto}} que vence el {{fecha}} (ref. {{referencia}}).' }
+            },
+            early: {
+                email: {
+                    subject: 'Tu pago está vencido',
+                    body: 'Hola {{nombre}}:\n\nTu crédito #{{credito}} tiene {{dias}} día(s) de atraso y un adeudo vencido de {{monto}}.\n\nPonte al corriente con la referencia {{referencia}} para evitar más intereses moratorios.\n\nCreditXpress'
+                },
+                sms: { body: 'CreditXpress: {{nombre}}, tu pago tiene {{dias}} dias de atraso. Vencido: {{monto}}. Ref. {{referencia}}' },
+                whatsapp: { body: 'Hola {{nombre}}, tu crédito #{{credito}} tiene *{{dias}} día(s) de atraso*. Adeudo vencido: *{{monto}}*. Paga con la referencia {{referencia}} para evitar más moratorios.' },
+                call: { body: 'Confirmar identidad de {{nombre}}. Informar {{dias}} días de atraso y adeudo de {{monto}}. Preguntar motivo y fecha de pago; ofrecer la referencia {{referencia}}.' }
+            },
+            late: {
+                email: {
+                    subject: 'Aviso importante sobre tu crédito #{{credito}}',
+                    body: 'Hola {{nombre}}:\n\nTu crédito tiene {{dias}} días de atraso. El adeudo vencido es de {{monto}} y el saldo total de {{saldo}}.\n\nComunícate con nosotros para acordar una fecha de pago. Referencia: {{referencia}}.\n\nCreditXpress - Cobranza'
+                },
+                sms: { body: 'CreditXpress: {{nombre}}, tu credito tiene {{dias}} dias de atraso ({{monto}}). Llamanos para acordar tu pago. Ref. {{referencia}}' },
+                whatsapp: { body: '{{nombre}}, tu crédito #{{credito}} tiene {{dias}} días de atraso y un adeudo de *{{monto}}*. Responde este mensaje para acordar una fecha de pago.' },
+                call: { body: 'Confirmar identidad de {{nombre}}. Atraso de {{dias}} días, vencido {{monto}}, saldo {{saldo}}. Negociar promesa de pago con fecha y monto.' }
+            },
+            severe: {
+                email: {
+                    subject: 'Último aviso antes de acciones de cobranza - crédito #{{credito}}',
+                    body: 'Hola {{nombre}}:\n\nTu crédito tiene {{dias}} días de atraso con un saldo total de {{saldo}}. Es necesario que te comuniques con nosotros a la brevedad para evitar acciones adicionales de cobranza y el reporte a las sociedades de información crediticia.\n\nReferencia: {{referencia}}.\n\nCreditXpress - Cobranza'
+                },
+                sms: { body: 'CreditXpress: {{nombre}}, ultimo aviso. Tu credito tiene {{dias}} dias de atraso, saldo {{saldo}}. Comunicate hoy.' },
+                whatsapp: { body: '{{nombre}}, último aviso: tu crédito #{{credito}} tiene {{dias}} días de atraso y un saldo de *{{saldo}}*. Comunícate hoy para evitar acciones adicionales de cobranza.' },
+                call: { body: 'Confirmar identidad de {{nombre}}. Último aviso: {{dias}} días de atraso, saldo {{saldo}}. Ofrecer liquidación o reestructura y registrar la respuesta.' }
+            }
+        };
+    }
+
+    // =============================================
+    // PLANTILLAS
+    // =============================================
+
+    // Las guardadas reemplazan a las predeterminadas plantilla por plantilla
+    getTemplates() {
+        const saved = this.dataStore.getPreference(this.storageKey) || {};
+        const templates = {};
+        this.stages.forEach(stage => {
+            templates[stage.id] = {};
+            Object.keys(this.channels).forEach(channel => {
+                const savedTemplate = saved[stage.id] && saved[stage.id][channel];
+                templates[stage.id][channel] = savedTemplate || { ...this.defaultTemplates[stage.id][channel], version: 1 };
+            });
+        });
+        return templates;
+    }
+
+    getTemplate(stageId, channel) {
+        const templates = this.getTemplates();
+        if (!templates[stageId] || !templates[stageId][channel]) {
+            throw new Error(`No hay plantilla para ${stageId}/${channel}`);
+        }
+        return templates[stageId][channel];
+    }
+
+    // actor = { id, name } de quien la edita
+    saveTemplate(stageId, channel, { subject = '', body }, actor = null) {
+        const current = this.getTemplate(stageId, channel);
+        this.validateTemplate(channel, { subject, body });
+
+        if (current.body === body && (current.subject || '') === subject) return current;
+
+        const template = {
+            ...(channel === 'email' ? { subject } : {}),
+            body,
+            version: (current.version || 1) + 1,
+            updatedAt: new Date().toISOString(),
+            updatedBy: actor ? { id: actor.id, name: actor.name } : null
+        };
+        const saved = this.dataStore.getPreference(this.storageKey) || {};
+        saved[stageId] = { ...(saved[stageId] || {}), [channel]: template };
+        this.dataStore.setPreference(this.storageKey, saved);
+        return template;
+    }
+
+    resetTemplates() {
+        this.dataStore.removePreference(this.storageKey);
+    }
+
+    getUsedVariables(text) {
+        return [...(text || '').matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]);
+    }
+
+    validateTemplate(channel, { subject = '', body }) {
+        if (!body || !body.trim()) {
+            throw new Error('El mensaje no puede estar vacío');
+        }
+        if (channel === 'email' && !subject.trim()) {
+            throw new Error('El email necesita asunto');
+        }
+        const unknown = [...this.getUsedVariables(subject), ...this.getUsedVariables(body)]
+            .filter(name => !this.variables[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Variables desconocidas: ${[...new Set(unknown)].map(name => `{{${name}}}`).join(', ')}`);
+        }
+    }
+
+    // =============================================
+    // MENSAJES
+    // =============================================
+
+    getStage(overdueDays) {
+        return this.stages.find(stage => overdueDays >= stage.minDays && overdueDays <= stage.maxDays);
+    }
+
+    render(text, variables) {
+        return (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+            variables[name] !== undefined ? variables[name] : match);
+    }
+
+    money(value) {
+        return `$${value.toLocaleString('es-MX', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    // summary = LoanServicing.summarize(collection): con atraso se cobra lo vencido, si no el próximo pago
+    buildVariables(collection, summary) {
+        const overdue = summary.status === 'overdue';
+        const installment = overdue
+            ? summary.installments.find(i => i.status === 'overdue')
+            : summary.nextInstallment;
+        return {
+            nombre: (collection.clientName || '').split(' ')[0],
+            monto: this.money(overdue ? summary.overdueAmount : summary.nextAmount),
+            fecha: installment
+                ? new Date(`${installment.dueDate}T00:00:00`).toLocaleDateString('es-MX', { day: 'numeric', month: 'long', year: 'numeric' })
+                : '—',
+            dias: String(summary.overdueDays),
+            referencia: collection.paymentReference || `CX${collection.creditId}`,
+            credito: String(collection.creditId),
+            saldo: this.money(summary.totalOutstanding)
+        };
+    }
+
+    // Mensaje listo para enviar por channel según la etapa de atraso del crédito
+    compose(collection, channel, summary) {
+        const stage = this.getStage(summary.overdueDays);
+        const template = this.getTemplate(stage.id, channel);
+        const variables = this.buildVariables(collection, summary);
+        return {
+            channel,
+            stage: stage.id,
+            stageLabel: stage.label,
+            templateVersion: template.version || 1,
+            subject: channel === 'email' ? this.render(template.subject, variables) : null,
+            body: this.render(template.body, variables)
+        };
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.MessageTemplates = MessageTemplates;
+}
@@ -0,0 +1,111 @@
+// mrz-parser.js - Lectura de la zona MRZ (TD1, ISO/IEC 7501) del reverso de la INE
+class MRZParser {
+    constructor() {
+        this.lineLength = 30;
+        this.weights = [7, 3, 1];
+    }
+
+    // Valor de cada carácter: dígitos 0-9, letras A=10..Z=35, relleno "<" = 0
+    charValue(char) {
+        if (char === '<') return 0;
+        if (/\d/.test(char)) return parseInt(char, 10);
+        if (/[A-Z]/.test(char)) return char.charCodeAt(0) - 55;
+        return -1;
+    }
+
+    // Dígito verificador ISO 7501 (pesos 7-3-1 módulo 10)
+    checkDigit(value) {
+        let sum = 0;
+        for (let i = 0; i < value.length; i++) {
+            const charValue = this.charValue(value[i]);
+            if (charValue < 0) return null;
+            sum += charValue * this.weights[i % 3];
+        }
+        return String(sum % 10);
+    }
+
+    // Limpiar el texto del OCR y localizar las tres líneas que empiezan con "ID"
+    findLines(text) {
+        const lines = (text || '')
+            .toUpperCase()
+            .replace(/[«‹]/g, '<')
+            .split('\n')
+            .map(line => line.replace(/\s/g, '').replace(/[^A-Z0-9<]/g, ''))
+            .filter(line => line.length >= 25);
+
+        const start = lines.findIndex(line => line.startsWith('ID'));
+        if (start < 0 || lines.length < start + 3) return null;
+
+        return lines.slice(start, start + 3).map(line =>
+            line.substr(0, this.lineLength).padEnd(this.lineLength, '<')
+        );
+    }
+
+    // Fecha AAMMDD; las fechas de nacimiento futuras pertenecen al siglo anterior
+    parseDate(value, isBirthDate) {
+        if (!/^\d{6}$/.test(value)) return null;
+        const yy = parseInt(value.substr(0, 2), 10);
+        const month = parseInt(value.substr(2, 2), 10);
+        const day = parseInt(value.substr(4, 2), 10);
+        const currentYY = new Date().getFullYear() % 100;
+
+        let year = 2000 + yy;
+        if (isBirthDate && yy > currentYY) year = 1900 + yy;
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+        return date.toISOString().split('T')[0];
+    }
+
+    // Interpretar un documento TD1 y verificar cada dígito de control
+    parseTD1(lines) {
+        const [line1, line2, line3] = lines;
+
+        const documentNumber = line1.substr(5, 9);
+        const birthDate = line2.substr(0, 6);
+        const expiryDate = line2.substr(8, 6);
+        const composite = line1.substr(5, 25) + line2.substr(0, 7) + line2.substr(8, 7) + line2.substr(18, 11);
+
+        const checks = [
+            { id: 'mrz_document_number', name: 'Dígito de número de documento', data: documentNumber, digit: line1.charAt(14) },
+            { id: 'mrz_birth_date', name: 'Dígito de fecha de nacimiento', data: birthDate, digit: line2.charAt(6) },
+            { id: 'mrz_expiry_date', name: 'Dígito de fecha de expiración', data: expiryDate, digit: line2.charAt(14) },
+            { id: 'mrz_composite', name: 'Dígito compuesto', data: composite, digit: line2.charAt(29) }
+        ].map(check => {
+            const expected = this.checkDigit(check.data);
+            return { ...check, expected, passed: expected !== null && expected === check.digit };
+        });
+
+        // Línea 3: APELLIDO<APELLIDO<<NOMBRE<NOMBRE
+        const [surnames, givenNames] = line3.split('<<');
+        const sexCode = line2.charAt(7);
+
+        return {
+            documentCode: line1.substr(0, 2),
+            issuingCountry: line1.substr(2, 3),
+            documentNumber: documentNumber.replace(/</g, ''),
+            optionalData1: line1.substr(15, 15).replace(/</g, ''),
+            birthDate: this.parseDate(birthDate, true),
+            sex: sexCode === 'M' || sexCode === 'F' ? sexCode : null,
+            expiryDate: this.parseDate(expiryDate, false),
+            nationality: line2.substr(15, 3),
+            optionalData2: line2.substr(18, 11).replace(/</g, ''),
+            surnames: (surnames || '').split('<').filter(Boolean).join(' '),
+            givenNames: (givenNames || '').split('<').filter(Boolean).join(' '),
+            checks,
+            valid: checks.every(check => check.passed),
+            lines
+        };
+    }
+
+    parse(text) {
+        const lines = this.findLines(text);
+        if (!lines) return null;
+        return this.parseTD1(lines);
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.MRZParser = MRZParser;
+}
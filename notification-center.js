@@ -0,0 +1,222 @@
+// notification-center.js - Bandeja de avisos del cliente con estado leído / no leído
+//
+// El CRM, Cobranza y la propia App agregan avisos a la bandeja del cliente (por correo);
+// la App los muestra en el panel de la campana. Cada aviso lleva una llave para que el
+// mismo evento no se agregue dos veces aunque se produzca desde dos pestañas.
+class NotificationCenter {
+    constructor(dataStore = new DataStore()) {
+        this.dataStore = dataStore;
+
+        // page: pantalla de la App que se abre al tocar el aviso
+        this.types = {
+            'request.received': { title: 'Recibimos tu solicitud', icon: 'fa-file-alt', page: 'requestsPage' },
+            'request.documents_missing': { title: 'Necesitamos documentos', icon: 'fa-file-upload', page: 'requestsPage' },
+            'request.approved': { title: '¡Tu crédito fue aprobado!', icon: 'fa-check-circle', page: 'requestsPage' },
+            'request.rejected': { title: 'Tu solicitud no fue aprobada', icon: 'fa-times-circle', page: 'requestsPage' },
+            'credit.disbursed': { title: 'Depositamos tu crédito', icon: 'fa-money-bill-wave', page: 'homePage' },
+            'credit.disbursement_failed': { title: 'No pudimos depositar tu crédito', icon: 'fa-university', page: 'contractPage' },
+            'payment.received': { title: 'Recibimos tu pago', icon: 'fa-receipt', page: 'paymentsPage' },
+            'payment.due': { title: 'Tu pago está por vencer', icon: 'fa-calendar-day', page: 'paymentsPage' },
+            'payment.overdue': { title: 'Tienes un pago vencido', icon: 'fa-exclamation-triangle', page: 'paymentsPage' },
+            'credit.restructured': { title: 'Tu crédito se reestructuró', icon: 'fa-handshake', page: 'paymentsPage' }
+        };
+    }
+
+    normalize(email) {
+        return (email || '').trim().toLowerCase();
+    }
+
+    money(value) {
+        return `$${Number(value).toLocaleString('es-MX', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    getType(type) {
+        return this.types[type] || { title: 'Aviso', icon: 'fa-bell', page: 'homePage' };
+    }
+
+    // =============================================
+    // BANDEJA
+    // =============================================
+
+    // key identifica el evento (p. ej. 'request:123:approved'); sin key siempre se agrega
+    async notify({ recipient, type, message, title = null, key = null, entityType = null, entityId = null }) {
+        if (!this.types[type]) {
+            throw new Error(`Tipo de aviso desconocido: ${type}`);
+        }
+        const email = this.normalize(recipient);
+        if (!email) return null;
+
+        const notification = {
+            id: `${email}|${key || `${type}:${Date.now()}-${Math.random().toString(36).slice(2, 8)}`}`,
+            recipient: email,
+            type,
+            title: title || this.types[type].title,
+            message,
+            entityType,
+            entityId,
+            createdAt: new Date().toISOString(),
+            readAt: null
+        };
+        const added = await this.dataStore.addNotification(notification);
+        return added ? notification : null;
+    }
+
+    // Más recientes primero
+    async getInbox(email) {
+        const notifications = await this.dataStore.getNotifications(this.normalize(email));
+        return notifications.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async getUnreadCount(email) {
+        const notifications = await this.dataStore.getNotifications(this.normalize(email));
+        return notifications.filter(notification => !notification.readAt).length;
+    }
+
+    async markRead(email, id) {
+        const notifications = await this.dataStore.getNotifications(this.normalize(email));
+        const notification = notifications.find(n => n.id === id);
+        if (!notification || notification.readAt) return;
+        notification.readAt = new Date().toISOString();
+        await this.dataStore.saveNotifications([notification]);
+    }
+
+    async markAllRead(email) {
+        const readAt = new Date().toISOString();
+        const unread = (await this.dataStore.getNotifications(this.normalize(email)))
+            .filter(notification => !notification.readAt);
+        if (unread.length === 0) return;
+        unread.forEach(notification => {
+            notification.readAt = readAt;
+        });
+        await this.dataStore.saveNotifications(unread);
+    }
+
+    // =============================================
+    // AVISOS DE SOLICITUDES
+    // =============================================
+
+    requestReceived(request) {
+        return this.notify({
+            recipient: request.clientEmail,
+            type: 'request.received',
+            message: `Tu solicitud #${request.id} por ${this.money(request.amount)} está en revisión. Te avisaremos cuando tengamos una respuesta.`,
+            key: `request:${request.id}:received`,
+            entityType: 'request',
+            entityId: request.id
+        });
+    }
+
+    // documents: nombres de los documentos que faltan o que hay que volver a enviar
+    documentsMissing(request, documents, note = '') {
+        return this.notify({
+            recipient: request.clientEmail,
+            type: 'request.documents_missing',
+            message: `Para continuar con tu solicitud #${request.id} necesitamos: ${documents.join(', ')}.${note ? ` ${note}` : ''}`,
+            entityType: 'request',
+            entityId: request.id
+        });
+    }
+
+    // clientMessage: el texto para el cliente asociado al código de rechazo
+    requestDecided(request, clientMessage = '') {
+        const approved = request.status === 'approved';
+        return this.notify({
+            recipient: request.clientEmail,
+            type: approved ? 'request.approved' : 'request.rejected',
+            message: approved
+                ? `Tu solicitud #${request.id} por ${this.money(request.amount)} fue aprobada. Revisa y firma tu contrato en la App para recibir tu dinero.`
+                : `Tu solicitud #${request.id} no fue aprobada. Motivo: ${clientMessage}`,
+            key: `request:${request.id}:${request.status}:${request.reviewedAt}`,
+            entityType: 'request',
+            entityId: request.id
+        });
+    }
+
+    // =============================================
+    // AVISOS DE DISPERSIÓN
+    // =============================================
+
+    disbursementSent(request) {
+        const { amount, disbursedAt } = request.disbursement;
+        const { bankName, clabe } = request.disbursementAccount;
+        return this.notify({
+            recipient: request.clientEmail,
+            type: 'credit.disbursed',
+            message: `Depositamos ${this.money(amount)} de tu crédito #${request.id} el ${disbursedAt} a tu cuenta ${bankName} terminación ${clabe.slice(-4)}. Tus pagos se cuentan a partir de esa fecha.`,
+            key: `request:${request.id}:disbursed`,
+            entityType: 'request',
+            entityId: request.id
+        });
+    }
+
+    disbursementFailed(request) {
+        return this.notify({
+            recipient: request.clientEmail,
+            type: 'credit.disbursement_failed',
+            message: `La transferencia de tu crédito #${request.id} fue rechazada: ${request.disbursement.reason}. Revisa tu cuenta CLABE en la App para que podamos enviarla de nuevo.`,
+            key: `request:${request.id}:disbursement_failed:${request.disbursement.failedAt}`,
+            entityType: 'request',
+            entityId: request.id
+        });
+    }
+
+    // =============================================
+    // AVISOS DE PAGOS
+    // =============================================
+
+    paymentReceived(collection, payment) {
+        return this.notify({
+            recipient: collection.clientEmail,
+            type: 'payment.received',
+            message: `Registramos tu pago de ${this.money(payment.amount)} del ${payment.date} a tu crédito #${collection.creditId}. Descarga tu comprobante en Mis Pagos.`,
+            key: `payment:${collection.id}:${payment.id}`,
+            entityType: 'collection',
+            entityId: collection.id
+        });
+    }
+
+    // Nuevo calendario del crédito reestructurado (o del pago único del convenio)
+    creditRestructured(restructured) {
+        const first = restructured.installments[0];
+        const plan = restructured.restructure.type === 'settlement'
+            ? `un pago único de ${this.money(first.payment)} el ${first.dueDate}`
+            : `${restructured.installments.length} pagos de ${this.money(restructured.monthlyPayment)}; el primero vence el ${first.dueDate}`;
+        return this.notify({
+            recipient: restructured.clientEmail,
+            type: 'credit.restructured',
+            message: `Acordamos una nueva forma de pago para tu crédito #${restructured.creditId}: ${plan}. Consulta el calendario en Mis Pagos.`,
+            key: `collection:${restructured.id}:restructured`,
+            entityType: 'collection',
+            entityId: restructured.id
+        });
+    }
+
+    // Recordatorio calculado por PaymentReminders (uno por pago y tipo)
+    paymentReminder(email, reminder) {
+        return this.notify({
+            recipient: email,
+            type: reminder.type === 'overdue' ? 'payment.overdue' : 'payment.due',
+            title: reminder.title,
+            message: reminder.message,
+            key: `reminder:${reminder.id}`,
+            entityType: 'collection',
+            entityId: reminder.collectionId
+        });
+    }
+
+    // Recordatorio que envía el personal de Cobranza
+    collectionReminder(collection, message) {
+        return this.notify({
+            recipient: collection.clientEmail,
+            type: collection.status === 'overdue' ? 'payment.overdue' : 'payment.due',
+            message,
+            entityType: 'collection',
+            entityId: collection.id
+        });
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.NotificationCenter = NotificationCenter;
+}
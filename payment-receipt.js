@@ -0,0 +1,107 @@
+// payment-receipt.js - Comprobante descargable de cada pago registrado por Cobranza
+class PaymentReceipt {
+    constructor(loanServicing = new LoanServicing()) {
+        this.loanServicing = loanServicing;
+        this.methods = {
+            transfer: 'Transferencia',
+            cash: 'Efectivo',
+            card: 'Tarjeta',
+            other: 'Otro',
+            restructure: 'Reestructura'
+        };
+    }
+
+    money(value) {
+        return `$${(value || 0).toLocaleString('es-MX', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    formatDate(date) {
+        return new Date(`${date}T00:00:00`).toLocaleDateString('es-MX', { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    escape(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    getFolio(collection, payment) {
+        return `${collection.creditId}-${payment.id}`;
+    }
+
+    // Saldo que quedó justo después del pago: se reaplican los pagos vigentes hasta ese
+    // pago inclusive sobre una copia del calendario
+    balanceAfter(collection, payment) {
+        const working = this.loanServicing.clone(collection);
+        const payments = working.payments
+            .filter(p => p.status !== 'reversed')
+            .sort((a, b) => a.date.localeCompare(b.date));
+        const index = payments.findIndex(p => p.id === payment.id);
+        this.loanServicing.replayPayments(working, payments.slice(0, index + 1), payment.date);
+        return this.loanServicing.summarize(working, payment.date);
+    }
+
+    // Documento HTML independiente (se abre e imprime en cualquier navegador)
+    build(collection, payment) {
+        if (payment.status === 'reversed') {
+            throw new Error('El pago fue revertido y no tiene comprobante');
+        }
+
+        const folio = this.getFolio(collection, payment);
+        const after = this.balanceAfter(collection, payment);
+        const concepts = { fees: 'Moratorios', interest: 'Interés', iva: 'IVA', principal: 'Capital' };
+
+        const rows = (payment.allocations || []).map(allocation => Object.keys(concepts)
+            .filter(concept => allocation[concept] > 0)
+            .map(concept => `
+                <tr><td>Pago ${allocation.number}</td><td>${concepts[concept]}</td><td class="num">${this.money(allocation[concept])}</td></tr>`)
+            .join('')).join('');
+
+        const html = `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="UTF-8">
+<title>Comprobante de pago ${this.escape(folio)}</title>
+<style>
+    body { font-family: 'Segoe UI', Arial, sans-serif; color: #333; max-width: 640px; margin: 2rem auto; padding: 0 1rem; }
+    h1 { color: #1a5276; font-size: 1.4rem; margin-bottom: 0; }
+    .subtitle { color: #6c757d; margin-top: 0.25rem; }
+    table { width: 100%; border-collapse: collapse; margin: 1rem 0; }
+    td, th { padding: 6px 8px; border-bottom: 1px solid #dee2e6; text-align: left; }
+    .num { text-align: right; }
+    .total td { font-weight: bold; border-top: 2px solid #1a5276; }
+    .note { font-size: 0.8rem; color: #6c757d; }
+</style>
+</head>
+<body>
+    <h1>💳 CreditXpress</h1>
+    <p class="subtitle">Comprobante de pago · Folio ${this.escape(folio)}</p>
+    <table>
+        <tr><th>Cliente</th><td>${this.escape(collection.clientName)}</td></tr>
+        <tr><th>Crédito</th><td>#${this.escape(collection.creditId)}</td></tr>
+        <tr><th>Fecha de pago</th><td>${this.formatDate(payment.date)}</td></tr>
+        <tr><th>Forma de pago</th><td>${this.escape(this.methods[payment.method] || payment.method)}</td></tr>
+        ${payment.payoff ? '<tr><th>Tipo</th><td>Liquidación anticipada</td></tr>' : ''}
+    </table>
+    <table>
+        <thead><tr><th>Aplicado a</th><th>Concepto</th><th class="num">Importe</th></tr></thead>
+        <tbody>${rows}
+            ${payment.unapplied > 0 ? `<tr><td colspan="2">Saldo a favor sin aplicar</td><td class="num">${this.money(payment.unapplied)}</td></tr>` : ''}
+            <tr class="total"><td colspan="2">Total pagado</td><td class="num">${this.money(payment.amount)}</td></tr>
+        </tbody>
+    </table>
+    <table>
+        <tr><th>Saldo pendiente después del pago</th><td class="num">${this.money(after.totalOutstanding)}</td></tr>
+        <tr><th>Capital pendiente</th><td class="num">${this.money(after.principalOutstanding)}</td></tr>
+    </table>
+    <p class="note">Emitido el ${new Date().toLocaleString('es-MX')}. Este comprobante se genera con los pagos registrados en tu crédito; conserva el folio para cualquier aclaración.</p>
+</body>
+</html>`;
+
+        return { folio, fileName: `comprobante-${folio}.html`, html };
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.PaymentReceipt = PaymentReceipt;
+}
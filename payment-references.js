@@ -0,0 +1,140 @@
+// payment-references.js - Referencias de pago por crédito: referencia alfanumérica, CLABE
+// referenciada y referencia para pago en tiendas de conveniencia (con código de barras)
+//
+// Todas salen del mismo número consecutivo del crédito, así que cualquiera de las tres
+// identifica al crédito al conciliar el estado de cuenta.
+class PaymentReferences {
+    constructor(dataStore = new DataStore()) {
+        this.dataStore = dataStore;
+        this.accountKey = 'creditxpress_collection_account';
+
+        // Cuenta concentradora: banco (3) + plaza (3) + prefijo (4) + número del crédito (7) + dígito
+        this.defaultAccount = {
+            bankName: 'STP',
+            bankCode: '646',
+            plaza: '180',
+            prefix: '5200',
+            beneficiary: 'CreditXpress SA de CV',
+            // Emisor asignado por la cadena de tiendas para las referencias de pago en efectivo
+            storeIssuer: '7420'
+        };
+    }
+
+    getAccount() {
+        return { ...this.defaultAccount, ...(this.dataStore.getPreference(this.accountKey) || {}) };
+    }
+
+    // =============================================
+    // DÍGITOS VERIFICADORES
+    // =============================================
+
+    // Luhn (módulo 10) para las referencias propias
+    luhnDigit(digits) {
+        const sum = digits.split('').reverse().reduce((total, char, index) => {
+            let value = Number(char);
+            if (index % 2 === 0) {
+                value *= 2;
+                if (value > 9) value -= 9;
+            }
+            return total + value;
+        }, 0);
+        return String((10 - sum % 10) % 10);
+    }
+
+    // Dígito de control de la CLABE: pesos 3, 7, 1 sobre los primeros 17 dígitos
+    clabeDigit(first17) {
+        const weights = [3, 7, 1];
+        const sum = first17.split('').reduce((total, char, index) =>
+            total + (Number(char) * weights[index % 3]) % 10, 0);
+        return String((10 - sum % 10) % 10);
+    }
+
+    isValidClabe(clabe) {
+        const digits = String(clabe || '').replace(/\s/g, '');
+        return /^\d{18}$/.test(digits) && this.clabeDigit(digits.slice(0, 17)) === digits[17];
+    }
+
+    // =============================================
+    // REFERENCIAS
+    // =============================================
+
+    build(number) {
+        const account = this.getAccount();
+        const short = String(number).padStart(7, '0');
+        const clabe = `${account.bankCode}${account.plaza}${account.prefix}${short}`;
+        const store = `${account.storeIssuer}${String(number).padStart(11, '0')}`;
+        return {
+            referenceNumber: number,
+            paymentReference: `CX${short}${this.luhnDigit(short)}`,
+            clabe: clabe + this.clabeDigit(clabe),
+            storeReference: store + this.luhnDigit(store)
+        };
+    }
+
+    // Asignar referencias al crédito que no las tiene con el siguiente número libre
+    assign(collection, collections) {
+        if (collection.paymentReference && collection.referenceNumber) return false;
+        const used = collections.map(c => c.referenceNumber || 0);
+        Object.assign(collection, this.build(Math.max(0, ...used) + 1));
+        return true;
+    }
+
+    normalize(text) {
+        return String(text || '').toUpperCase().replace(/[\s-]/g, '');
+    }
+
+    // Créditos cuya referencia, CLABE o referencia de tienda aparece en el texto o la cuenta.
+    // Un crédito reestructurado le pasa sus referencias al nuevo, así que ya no se busca.
+    findByReference(collections, { text = '', account = '' }) {
+        const normalizedText = this.normalize(text);
+        const normalizedAccount = this.normalize(account);
+        return collections.filter(collection => !collection.restructuredInto && (
+            (collection.clabe && normalizedAccount === collection.clabe) ||
+            (collection.paymentReference && normalizedText.includes(collection.paymentReference)) ||
+            (collection.storeReference && normalizedText.includes(collection.storeReference))));
+    }
+
+    formatClabe(clabe) {
+        return String(clabe || '').replace(/^(\d{3})(\d{3})(\d{11})(\d)$/, '$1 $2 $3 $4');
+    }
+
+    // =============================================
+    // CÓDIGO DE BARRAS (INTERCALADO 2 DE 5)
+    // =============================================
+
+    // Cada dígito son cinco elementos, dos anchos; en cada par el primer dígito va en las
+    // barras y el segundo en los espacios
+    barcodeSvg(value, { height = 60, narrow = 2 } = {}) {
+        const digits = String(value);
+        if (!/^\d+$/.test(digits) || digits.length % 2 !== 0) {
+            throw new Error('El código de barras necesita un número de dígitos par');
+        }
+        const patterns = ['nnwwn', 'wnnnw', 'nwnnw', 'wwnnn', 'nnwnw', 'wnwnn', 'nwwnn', 'nnnww', 'wnnwn', 'nwnwn'];
+        const widths = ['n', 'n', 'n', 'n'];
+        for (let i = 0; i < digits.length; i += 2) {
+            const bars = patterns[digits[i]];
+            const spaces = patterns[digits[i + 1]];
+            for (let j = 0; j < 5; j++) {
+                widths.push(bars[j], spaces[j]);
+            }
+        }
+        widths.push('w', 'n', 'n');
+
+        let x = narrow * 10;
+        const rects = [];
+        widths.forEach((width, index) => {
+            const size = width === 'w' ? narrow * 3 : narrow;
+            if (index % 2 === 0) {
+                rects.push(`<rect x="${x}" y="0" width="${size}" height="${height}"/>`);
+            }
+            x += size;
+        });
+        const total = x + narrow * 10;
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${height}" width="${total}" height="${height}" role="img" aria-label="${digits}"><rect width="${total}" height="${height}" fill="white"/><g fill="black">${rects.join('')}</g></svg>`;
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.PaymentReferences = PaymentReferences;
+}
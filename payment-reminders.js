@@ -0,0 +1,187 @@
+// payment-reminders.js - Recordatorios de pago del cliente: próximos vencimientos y atrasos
+//
+// Los recordatorios se calculan en la app a partir del calendario que registra Cobranza.
+// Se muestran dentro de la app y, si el cliente lo permite, como notificaciones del sistema
+// (una sola vez por pago y tipo de aviso).
+class PaymentReminders {
+    constructor(dataStore = new DataStore(), loanServicing = new LoanServicing()) {
+        this.dataStore = dataStore;
+        this.loanServicing = loanServicing;
+        this.settingsKey = 'creditxpress_reminder_days';
+        this.sentKeyPrefix = 'creditxpress_reminders_sent_';
+        // Lo escribe Cobranza con los créditos vencidos
+        this.overdueKey = 'creditxpress_overdue_notifications';
+        this.defaultDaysBefore = 3;
+        this.dayOptions = [1, 3, 5, 7];
+    }
+
+    // =============================================
+    // CONFIGURACIÓN
+    // =============================================
+
+    getDaysBefore() {
+        const saved = this.dataStore.getPreference(this.settingsKey);
+        return this.dayOptions.includes(saved) ? saved : this.defaultDaysBefore;
+    }
+
+    setDaysBefore(days) {
+        if (!this.dayOptions.includes(days)) {
+            throw new Error('Días de anticipación no válidos');
+        }
+        this.dataStore.setPreference(this.settingsKey, days);
+    }
+
+    // =============================================
+    // RECORDATORIOS
+    // =============================================
+
+    money(value) {
+        return `$${value.toLocaleString('es-MX', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    formatDate(date) {
+        return new Date(`${date}T00:00:00`).toLocaleDateString('es-MX', { day: 'numeric', month: 'long' });
+    }
+
+    // Avisos de atraso que dejó Cobranza para este cliente
+    getOverdueNotices(email) {
+        const notices = this.dataStore.getPreference(this.overdueKey);
+        const normalized = (email || '').trim().toLowerCase();
+        return (Array.isArray(notices) ? notices : [])
+            .filter(notice => (notice.clientEmail || '').toLowerCase() === normalized);
+    }
+
+    // Un aviso por crédito vencido y uno por el próximo pago si vence dentro de daysBefore días
+    build(collections, { email, asOf = this.loanServicing.today(), daysBefore = this.getDaysBefore() } = {}) {
+        const reminders = [];
+        const overdueIds = new Set();
+
+        collections.forEach(collection => {
+            const summary = this.loanServicing.summarize(collection, asOf);
+            if (summary.status === 'paid') return;
+
+            if (summary.status === 'overdue') {
+                const oldest = summary.installments.find(i => i.status === 'overdue');
+                overdueIds.add(collection.id);
+                reminders.push({
+                    id: `overdue:${collection.id}:${oldest.number}`,
+                    type: 'overdue',
+                    collectionId: collection.id,
+                    number: oldest.number,
+                    dueDate: oldest.dueDate,
+                    amount: summary.overdueAmount,
+                    days: summary.overdueDays,
+                    title: 'Tienes un pago vencido',
+                    message: `Tu pago ${oldest.number} venció hace ${summary.overdueDays} día(s). ` +
+                        `Adeudo vencido: ${this.money(summary.overdueAmount)} (incluye moratorios).`
+                });
+                return;
+            }
+
+            const next = summary.nextInstallment;
+            const days = next ? this.loanServicing.daysBetween(asOf, next.dueDate) : null;
+            if (next && days >= 0 && days <= daysBefore) {
+                reminders.push({
+                    id: `due:${collection.id}:${next.number}`,
+                    type: 'due',
+                    collectionId: collection.id,
+                    number: next.number,
+                    dueDate: next.dueDate,
+                    amount: summary.nextAmount,
+                    days,
+                    title: days === 0 ? 'Tu pago vence hoy' : 'Tu pago está por vencer',
+                    message: `Pago ${next.number} por ${this.money(summary.nextAmount)} ` +
+                        (days === 0 ? 'vence hoy.' : `vence en ${days} día(s), el ${this.formatDate(next.dueDate)}.`)
+                });
+            }
+        });
+
+        // Atrasos marcados por Cobranza que el calendario local todavía no refleja
+        this.getOverdueNotices(email).forEach(notice => {
+            if (overdueIds.has(notice.id) || notice.status !== 'overdue') return;
+            if (!collections.some(collection => collection.id === notice.id)) return;
+            reminders.push({
+                id: `overdue:${notice.id}:notice`,
+                type: 'overdue',
+                collectionId: notice.id,
+                number: null,
+                dueDate: notice.nextPaymentDate || null,
+                amount: null,
+                days: notice.overdueDays || 0,
+                title: 'Tienes un pago vencido',
+                message: `Tu crédito tiene ${notice.overdueDays || 0} día(s) de atraso. Ponte al corriente para evitar más moratorios.`
+            });
+        });
+
+        return reminders.sort((a, b) => (a.type === b.type ? 0 : a.type === 'overdue' ? -1 : 1));
+    }
+
+    // =============================================
+    // NOTIFICACIONES DEL SISTEMA
+    // =============================================
+
+    isSupported() {
+        return typeof window !== 'undefined' && 'Notification' in window;
+    }
+
+    getPermission() {
+        return this.isSupported() ? Notification.permission : 'unsupported';
+    }
+
+    // Debe llamarse desde un clic del cliente; los navegadores ignoran la petición si no
+    async requestPermission() {
+        if (!this.isSupported()) return 'unsupported';
+        return Notification.requestPermission();
+    }
+
+    getSentKey(email) {
+        return this.sentKeyPrefix + (email || '').trim().toLowerCase();
+    }
+
+    // Mostrar como notificación del sistema los avisos que no se han mostrado antes
+    async notify(email, reminders) {
+        if (this.getPermission() !== 'granted') return [];
+
+        const sent = this.dataStore.getPreference(this.getSentKey(email)) || [];
+        const pending = reminders.filter(reminder => !sent.includes(reminder.id));
+
+        // Se registra cada aviso ya mostrado; uno que falla se intenta otra vez en la siguiente revisión
+        const shown = [];
+        for (const reminder of pending) {
+            const options = {
+                body: reminder.message,
+                tag: reminder.id,
+                icon: 'icon-192.png',
+                data: { url: 'index.html' }
+            };
+            try {
+                // En móviles solo se puede notificar a través del service worker
+                const registration = 'serviceWorker' in navigator
+                    ? await navigator.serviceWorker.getRegistration()
+                    : null;
+                if (registration) {
+                    await registration.showNotification(reminder.title, options);
+                } else {
+                    new Notification(reminder.title, options);
+                }
+                shown.push(reminder);
+            } catch (error) {
+                console.warn('⚠️ No se pudo mostrar la notificación:', error);
+            }
+        }
+
+        if (shown.length > 0) {
+            // Solo se conservan los avisos vigentes para que la lista no crezca sin límite
+            const current = reminders.map(reminder => reminder.id);
+            this.dataStore.setPreference(this.getSentKey(email),
+                [...sent.filter(id => current.includes(id)), ...shown.map(reminder => reminder.id)]);
+            console.log(`🔔 ${shown.length} recordatorio(s) de pago notificados`);
+        }
+        return shown;
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.PaymentReminders = PaymentReminders;
+}
@@ -0,0 +1,211 @@
+// pdf-writer.js - Generador de PDF mínimo (1.4) sin dependencias
+//
+// Texto con Helvetica y Helvetica-Bold (WinAnsiEncoding, así que los acentos y la Ñ se
+// escriben como octales), líneas y fotos JPEG incrustadas tal cual (DCTDecode). Las
+// coordenadas se dan en puntos desde la esquina superior izquierda de la página.
+class PdfWriter {
+    constructor({ width = 612, height = 792 } = {}) {
+        this.width = width;
+        this.height = height;
+        this.pages = [];
+        this.images = [];
+        this.info = {};
+
+        // Anchos de Helvetica (milésimas de em) del espacio (32) a la tilde (126)
+        this.widths = [
+            278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+            1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+            333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+            556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+        ];
+
+        // Caracteres fuera de Latin-1 que sí existen en WinAnsiEncoding
+        this.winAnsi = { '€': 0x80, '…': 0x85, '•': 0x95, '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94 };
+    }
+
+    setInfo({ title, author, subject }) {
+        this.info = { title, author, subject };
+    }
+
+    addPage() {
+        const page = { operations: [] };
+        this.pages.push(page);
+        this.page = page;
+        return page;
+    }
+
+    // =============================================
+    // TEXTO
+    // =============================================
+
+    // Ancho aproximado: las letras acentuadas miden lo que su letra base; la negrita ~6% más
+    textWidth(text, size = 10, bold = false) {
+        const units = String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').split('')
+            .reduce((sum, char) => {
+                const code = char.charCodeAt(0);
+                return sum + (code >= 32 && code <= 126 ? this.widths[code - 32] : 556);
+            }, 0);
+        return units / 1000 * size * (bold ? 1.06 : 1);
+    }
+
+    // Partir un párrafo en renglones que quepan en maxWidth
+    wrap(text, maxWidth, size = 10, bold = false) {
+        const lines = [];
+        String(text).split('\n').forEach(paragraph => {
+            let line = '';
+            paragraph.split(' ').forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && this.textWidth(candidate, size, bold) > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    // Cadena literal de PDF: solo ASCII, lo demás como octal en WinAnsiEncoding
+    encode(text) {
+        return String(text).split('').map(char => {
+            let code = this.winAnsi[char] || char.charCodeAt(0);
+            if (code > 255) code = 63;
+            if (char === '(' || char === ')' || char === '\\') return `\\${char}`;
+            return code >= 32 && code <= 126 ? char : `\\${code.toString(8).padStart(3, '0')}`;
+        }).join('');
+    }
+
+    // align 'right' toma x como el borde derecho del texto; color en RGB de 0 a 1
+    text(x, y, text, { size = 10, bold = false, align = 'left', color = null } = {}) {
+        const left = align === 'right' ? x - this.textWidth(text, size, bold) : x;
+        const fill = (color || [0, 0, 0]).map(c => c.toFixed(3)).join(' ');
+        this.page.operations.push(
+            `BT ${fill} rg /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${(this.height - y).toFixed(2)} Td (${this.encode(text)}) Tj ET`
+        );
+    }
+
+    // =============================================
+    // FIGURAS E IMÁGENES
+    // =============================================
+
+    line(x1, y1, x2, y2, lineWidth = 0.5) {
+        this.page.operations.push(
+            `${lineWidth} w ${x1.toFixed(2)} ${(this.height - y1).toFixed(2)} m ${x2.toFixed(2)} ${(this.height - y2).toFixed(2)} l S`
+        );
+    }
+
+    // bytes: Uint8Array de un JPEG; width y height en píxeles
+    addImage(bytes, width, height) {
+        const name = `Im${this.images.length + 1}`;
+        this.images.push({ name, bytes, width, height });
+        return name;
+    }
+
+    drawImage(name, x, y, drawWidth, drawHeight) {
+        this.page.operations.push(
+            `q ${drawWidth.toFixed(2)} 0 0 ${drawHeight.toFixed(2)} ${x.toFixed(2)} ${(this.height - y - drawHeight).toFixed(2)} cm /${name} Do Q`
+        );
+    }
+
+    // Bytes de un JPEG en data URL (canvas.toDataURL('image/jpeg'))
+    dataUrlToBytes(dataUrl) {
+        const binary = atob(dataUrl.split(',')[1]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    // =============================================
+    // ARCHIVO
+    // =============================================
+
+    // Fecha PDF: D:AAAAMMDDHHmmSSZ
+    pdfDate(date = new Date()) {
+        return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+    }
+
+    // Objetos: 1 catálogo, 2 páginas, 3 y 4 fuentes, 5 información, luego imágenes y
+    // por cada página su objeto y su contenido
+    output() {
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+        const push = chunk => {
+            const bytes = typeof chunk === 'string' ? this.asciiBytes(chunk) : chunk;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const object = (number, body, stream = null) => {
+            offsets[number] = length;
+            push(`${number} 0 obj\n${body}\n`);
+            if (stream) {
+                push('stream\n');
+                push(stream);
+                push('\nendstream\n');
+            }
+            push('endobj\n');
+        };
+
+        const firstImage = 6;
+        const firstPage = firstImage + this.images.length;
+        const pageRefs = this.pages.map((page, index) => `${firstPage + index * 2} 0 R`);
+        const xObjects = this.images.map((image, index) => `/${image.name} ${firstImage + index} 0 R`).join(' ');
+
+        push('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+        object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+        object(2, `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${this.pages.length} >>`);
+        object(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        object(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        object(5, `<< /Title (${this.encode(this.info.title || '')}) /Author (${this.encode(this.info.author || '')}) /Subject (${this.encode(this.info.subject || '')}) /Producer (CreditXpress) /CreationDate (${this.pdfDate()}) >>`);
+
+        this.images.forEach((image, index) => {
+            object(firstImage + index,
+                `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>`,
+                image.bytes);
+        });
+
+        this.pages.forEach((page, index) => {
+            const pageNumber = firstPage + index * 2;
+            const content = page.operations.join('\n');
+            object(pageNumber,
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.width} ${this.height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> /Contents ${pageNumber + 1} 0 R >>`);
+            object(pageNumber + 1, `<< /Length ${content.length} >>`, content);
+        });
+
+        const objectCount = firstPage + this.pages.length * 2;
+        const xrefOffset = length;
+        push(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+        for (let number = 1; number < objectCount; number++) {
+            push(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`);
+        }
+        push(`trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        const result = new Uint8Array(length);
+        let position = 0;
+        chunks.forEach(bytes => {
+            result.set(bytes, position);
+            position += bytes.length;
+        });
+        return result;
+    }
+
+    // Cada carácter (< 256) a un byte; el contenido ya viene codificado en ASCII
+    asciiBytes(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xFF;
+        return bytes;
+    }
+
+    toBlob() {
+        return new Blob([this.output()], { type: 'application/pdf' });
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.PdfWriter = PdfWriter;
+}
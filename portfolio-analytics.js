@@ -0,0 +1,260 @@
+// portfolio-analytics.js - Antigüedad de saldos, PAR, roll rates y flujo de cobranza
+class PortfolioAnalytics {
+    constructor(servicing = new LoanServicing()) {
+        this.servicing = servicing;
+
+        this.buckets = [
+            { id: 'current', label: 'Al corriente', min: 0, max: 0 },
+            { id: '1-30', label: '1-30 días', min: 1, max: 30 },
+            { id: '31-60', label: '31-60 días', min: 31, max: 60 },
+            { id: '61-90', label: '61-90 días', min: 61, max: 90 },
+            { id: '90+', label: 'Más de 90 días', min: 91, max: Infinity }
+        ];
+
+        this.methodLabels = {
+            transfer: 'Transferencia',
+            cash: 'Efectivo',
+            card: 'Tarjeta',
+            other: 'Otro'
+        };
+    }
+
+    getBucket(days) {
+        return this.buckets.find(bucket => days >= bucket.min && days <= bucket.max);
+    }
+
+    toDate(date) {
+        return date.toISOString().split('T')[0];
+    }
+
+    // Pagos que cuentan para los indicadores (sin los revertidos ni el cierre por reestructura,
+    // que no es dinero recibido)
+    activePayments(collection) {
+        return (collection.payments || []).filter(payment =>
+            payment.status !== 'reversed' && payment.method !== 'restructure');
+    }
+
+    // =============================================
+    // RECONSTRUCCIÓN HISTÓRICA
+    // =============================================
+
+    // Calendario de un crédito como estaba en una fecha: se parte del calendario
+    // original y se vuelven a aplicar solo los pagos registrados hasta ese día
+    ledgerAsOf(collection, asOf) {
+        if (!collection.installments || collection.startDate > asOf) return null;
+
+        const ledger = this.servicing.clone(collection);
+        this.servicing.replayPayments(ledger, ledger.payments || [], asOf);
+        return ledger;
+    }
+
+    // Días de atraso y capital vivo de un crédito en una fecha
+    positionAsOf(collection, asOf) {
+        const ledger = this.ledgerAsOf(collection, asOf);
+        if (!ledger) return null;
+
+        const summary = this.servicing.summarize(ledger, asOf);
+        if (summary.status === 'paid') return null;
+
+        return {
+            days: summary.overdueDays,
+            bucket: this.getBucket(summary.overdueDays),
+            principal: summary.principalOutstanding
+        };
+    }
+
+    // =============================================
+    // INDICADORES
+    // =============================================
+
+    // Créditos vivos y capital por rango de atraso; los reestructurados se cuentan también aparte
+    aging(collections, asOf) {
+        const rows = this.buckets.map(bucket => ({ ...bucket, count: 0, principal: 0, restructuredCount: 0, restructuredPrincipal: 0 }));
+
+        collections.forEach(collection => {
+            const position = this.positionAsOf(collection, asOf);
+            if (!position) return;
+            const row = rows.find(r => r.id === position.bucket.id);
+            row.count++;
+            row.principal = this.servicing.round(row.principal + position.principal);
+            if (collection.restructuredFrom) {
+                row.restructuredCount++;
+                row.restructuredPrincipal = this.servicing.round(row.restructuredPrincipal + position.principal);
+            }
+        });
+
+        const totalPrincipal = this.servicing.round(rows.reduce((sum, row) => sum + row.principal, 0));
+        rows.forEach(row => {
+            row.share = totalPrincipal > 0 ? row.principal / totalPrincipal : 0;
+        });
+
+        return { asOf, rows, totalPrincipal, totalCount: rows.reduce((sum, row) => sum + row.count, 0) };
+    }
+
+    // Cartera en riesgo: capital de créditos con más de N días de atraso / capital vivo
+    par(aging) {
+        const above = minDays => aging.rows
+            .filter(row => row.min > minDays)
+            .reduce((sum, row) => sum + row.principal, 0);
+
+        return {
+            par30: aging.totalPrincipal > 0 ? above(30) / aging.totalPrincipal : 0,
+            par90: aging.totalPrincipal > 0 ? above(90) / aging.totalPrincipal : 0
+        };
+    }
+
+    // Cartera reestructurada: su peso en el capital vivo y qué parte ya volvió a atrasarse
+    restructured(aging) {
+        const principal = this.servicing.round(aging.rows.reduce((sum, row) => sum + row.restructuredPrincipal, 0));
+        const above30 = aging.rows
+            .filter(row => row.min > 30)
+            .reduce((sum, row) => sum + row.restructuredPrincipal, 0);
+
+        return {
+            count: aging.rows.reduce((sum, row) => sum + row.restructuredCount, 0),
+            principal,
+            share: aging.totalPrincipal > 0 ? principal / aging.totalPrincipal : 0,
+            par30: principal > 0 ? above30 / principal : 0
+        };
+    }
+
+    // Porcentaje de créditos que pasan a un rango peor de un cierre de mes al siguiente
+    rollRates(collections, months, asOf) {
+        const today = new Date(`${asOf}T00:00:00Z`);
+        const monthEnds = [];
+        for (let i = months; i >= 0; i--) {
+            const end = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - i + 1, 0));
+            monthEnds.push(i === 0 ? asOf : this.toDate(end));
+        }
+
+        const rolling = this.buckets.slice(0, -1);
+        const result = [];
+
+        for (let m = 1; m < monthEnds.length; m++) {
+            const from = monthEnds[m - 1];
+            const to = monthEnds[m];
+            const counts = {};
+            rolling.forEach(bucket => {
+                counts[bucket.id] = { total: 0, rolled: 0 };
+            });
+
+            collections.forEach(collection => {
+                const before = this.positionAsOf(collection, from);
+                if (!before || !counts[before.bucket.id]) return;
+
+                const after = this.positionAsOf(collection, to);
+                counts[before.bucket.id].total++;
+                if (after && this.buckets.indexOf(after.bucket) > this.buckets.indexOf(before.bucket)) {
+                    counts[before.bucket.id].rolled++;
+                }
+            });
+
+            result.push({
+                month: to.substr(0, 7),
+                rates: rolling.map(bucket => ({
+                    from: bucket.id,
+                    to: this.buckets[this.buckets.indexOf(bucket) + 1].id,
+                    total: counts[bucket.id].total,
+                    rate: counts[bucket.id].total > 0 ? counts[bucket.id].rolled / counts[bucket.id].total : null
+                }))
+            });
+        }
+
+        return result;
+    }
+
+    // Pagos programados contra pagos recibidos por semana (lunes a domingo)
+    cashFlowByWeek(collections, weeks, asOf) {
+        const today = new Date(`${asOf}T00:00:00Z`);
+        const monday = new Date(today);
+        monday.setUTCDate(today.getUTCDate() - ((today.getUTCDay() + 6) % 7));
+
+        const rows = [];
+        for (let i = weeks - 1; i >= 0; i--) {
+            const start = new Date(monday);
+            start.setUTCDate(monday.getUTCDate() - i * 7);
+            const end = new Date(start);
+            end.setUTCDate(start.getUTCDate() + 6);
+            rows.push({ start: this.toDate(start), end: this.toDate(end), expected: 0, collected: 0 });
+        }
+
+        collections.forEach(collection => {
+            (collection.installments || []).forEach(installment => {
+                // Lo que vencía después de reestructurar ya se espera en el crédito nuevo
+                if (collection.restructuredAt && installment.dueDate > collection.restructuredAt) return;
+                const row = rows.find(r => installment.dueDate >= r.start && installment.dueDate <= r.end);
+                if (row) row.expected = this.servicing.round(row.expected + installment.payment);
+            });
+            this.activePayments(collection).forEach(payment => {
+                const row = rows.find(r => payment.date >= r.start && payment.date <= r.end);
+                if (row) row.collected = this.servicing.round(row.collected + payment.amount);
+            });
+        });
+
+        rows.forEach(row => {
+            row.ratio = row.expected > 0 ? row.collected / row.expected : null;
+        });
+        return rows;
+    }
+
+    // Por método: monto cobrado y qué parte se aplicó a pagos no vencidos
+    methodEffectiveness(collections) {
+        const methods = {};
+        let totalAmount = 0;
+
+        collections.forEach(collection => {
+            const dueDates = {};
+            (collection.installments || []).forEach(installment => {
+                dueDates[installment.number] = installment.dueDate;
+            });
+
+            this.activePayments(collection).forEach(payment => {
+                const method = payment.method || 'other';
+                if (!methods[method]) {
+                    methods[method] = { method, label: this.methodLabels[method] || method, count: 0, amount: 0, onTime: 0, late: 0 };
+                }
+                const row = methods[method];
+                row.count++;
+                row.amount = this.servicing.round(row.amount + payment.amount);
+                totalAmount += payment.amount;
+
+                (payment.allocations || []).forEach(allocation => {
+                    const applied = allocation.fees + allocation.interest + allocation.iva + allocation.principal;
+                    if (payment.date <= dueDates[allocation.number]) {
+                        row.onTime = this.servicing.round(row.onTime + applied);
+                    } else {
+                        row.late = this.servicing.round(row.late + applied);
+                    }
+                });
+            });
+        });
+
+        return Object.values(methods)
+            .map(row => ({
+                ...row,
+                share: totalAmount > 0 ? row.amount / totalAmount : 0,
+                averageTicket: row.count > 0 ? row.amount / row.count : 0,
+                onTimeRate: row.onTime + row.late > 0 ? row.onTime / (row.onTime + row.late) : null
+            }))
+            .sort((a, b) => b.amount - a.amount);
+    }
+
+    // Todos los indicadores del tablero
+    build(collections, asOf = this.servicing.today(), options = {}) {
+        const aging = this.aging(collections, asOf);
+        return {
+            asOf,
+            aging,
+            par: this.par(aging),
+            restructured: this.restructured(aging),
+            rollRates: this.rollRates(collections, options.months || 6, asOf),
+            cashFlow: this.cashFlowByWeek(collections, options.weeks || 8, asOf),
+            methods: this.methodEffectiveness(collections)
+        };
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.PortfolioAnalytics = PortfolioAnalytics;
+}
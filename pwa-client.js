@@ -0,0 +1,165 @@
+// pwa-client.js - Registro del service worker, aviso de nueva versión y estado de conexión
+class PwaClient {
+    constructor(options = {}) {
+        this.syncQueue = options.syncQueue || new SyncQueue();
+        this.dataStore = this.syncQueue.dataStore;
+        this.swUrl = options.swUrl || 'sw.js';
+        this.container = null;
+        this.registration = null;
+        this.waitingWorker = null;
+        this.reloading = false;
+        this.counts = { pending: 0, failed: 0 };
+    }
+
+    isSupported() {
+        return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+    }
+
+    // Mostrar avisos en container y empezar a escuchar conexión, cola y actualizaciones
+    async start(container) {
+        this.container = container;
+        if (this.container) {
+            this.container.addEventListener('click', (event) => {
+                const action = event.target.closest('[data-action]');
+                if (!action) return;
+                event.preventDefault();
+                if (action.dataset.action === 'update') this.applyUpdate();
+                if (action.dataset.action === 'retry') this.syncQueue.retryFailed().then(() => this.refresh());
+            });
+        }
+
+        window.addEventListener('online', () => this.sync());
+        window.addEventListener('offline', () => this.render());
+        this.dataStore.onChange(store => {
+            if (store === 'outbox') this.refresh();
+        });
+
+        if (this.isSupported()) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'FLUSH_OUTBOX') this.sync();
+            });
+            // El nuevo service worker tomó el control: recargar una sola vez con la versión nueva
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (!this.reloading) return;
+                this.reloading = false;
+                window.location.reload();
+            });
+            try {
+                this.registration = await navigator.serviceWorker.register(this.swUrl);
+                this.watchRegistration(this.registration);
+            } catch (error) {
+                console.error('❌ No se pudo registrar el service worker:', error);
+            }
+        }
+
+        await this.sync();
+    }
+
+    // =============================================
+    // ACTUALIZACIONES
+    // =============================================
+
+    watchRegistration(registration) {
+        // Ya había una versión esperando de una visita anterior
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.setWaitingWorker(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                // Sin controller es la primera instalación, no una actualización
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.setWaitingWorker(worker);
+                }
+            });
+        });
+        // Buscar una versión nueva cada vez que la página vuelve a estar a la vista
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                registration.update().catch(() => {});
+            }
+        });
+    }
+
+    setWaitingWorker(worker) {
+        this.waitingWorker = worker;
+        console.log('🆕 Nueva versión de CreditXpress disponible');
+        this.render();
+    }
+
+    applyUpdate() {
+        if (!this.waitingWorker) return;
+        this.reloading = true;
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    // =============================================
+    // CONEXIÓN Y COLA
+    // =============================================
+
+    async sync() {
+        try {
+            await this.syncQueue.flush();
+        } catch (error) {
+            console.error('❌ Error al sincronizar:', error);
+        }
+        await this.refresh();
+    }
+
+    async refresh() {
+        try {
+            this.counts = await this.syncQueue.getCounts();
+        } catch (error) {
+            console.error('❌ No se pudo leer la cola de sincronización:', error);
+        }
+        this.render();
+    }
+
+    renderStatus() {
+        const online = this.syncQueue.isOnline();
+        // Sin servidor configurado la cola solo se conserva, no hay nada que anunciar
+        const syncing = Boolean(this.syncQueue.transport);
+        const messages = [];
+
+        if (this.waitingWorker) {
+            messages.push(`
+                <div class="app-status-item app-status-update">
+                    🆕 Hay una nueva versión disponible.
+                    <a href="#" data-action="update">Actualizar</a>
+                </div>
+            `);
+        }
+        if (!online) {
+            messages.push(`
+                <div class="app-status-item app-status-offline">
+                    📴 Sin conexión. Puedes seguir trabajando; los datos se guardan en este dispositivo${syncing && this.counts.pending > 0 ? ` y ${this.counts.pending} operación(es) se enviarán al reconectar` : ''}.
+                </div>
+            `);
+        } else if (syncing && this.counts.pending > 0) {
+            messages.push(`
+                <div class="app-status-item app-status-offline">🔄 ${this.counts.pending} operación(es) pendiente(s) de enviar.</div>
+            `);
+        }
+        if (syncing && this.counts.failed > 0) {
+            messages.push(`
+                <div class="app-status-item app-status-failed">
+                    ⚠️ ${this.counts.failed} operación(es) no se pudieron enviar.
+                    <a href="#" data-action="retry">Reintentar</a>
+                </div>
+            `);
+        }
+        return messages.join('');
+    }
+
+    render() {
+        if (this.container) {
+            this.container.innerHTML = this.renderStatus();
+        }
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.PwaClient = PwaClient;
+}
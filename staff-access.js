@@ -0,0 +1,215 @@
+// staff-access.js - Cuentas del personal, roles y permisos para CRM y Cobranza
+class StaffAccess {
+    constructor(options = {}) {
+        this.dataStore = options.dataStore || new DataStore();
+
+        // Mismo manejo de contraseñas, bloqueo y expiración que los clientes, con sesión propia
+        this.auth = new AuthService({
+            dataStore: this.dataStore,
+            usersStore: 'staff',
+            sessionKey: 'creditxpress_staff_session',
+            codeSender: options.codeSender
+        });
+
+        this.permissionLabels = {
+            'requests.view': 'ver solicitudes',
+            'requests.validate': 'validar documentos',
+            'requests.decide': 'aprobar o rechazar créditos',
+            'collections.view': 'ver la cobranza',
+            'collections.payment': 'registrar pagos',
+            'collections.contact': 'contactar clientes',
+            'collections.restructure': 'proponer reestructuras y convenios',
+            'collections.approve_restructure': 'autorizar reestructuras fuera de política',
+            'products.manage': 'editar productos',
+            'scoring.manage': 'editar las reglas de evaluación',
+            'templates.manage': 'editar las plantillas de mensajes',
+            'reports.bureau': 'generar el reporte al Buró de Crédito',
+            'disbursements.manage': 'dispersar los créditos aprobados',
+            'staff.manage': 'administrar al personal'
+        };
+
+        this.roles = {
+            analyst: {
+                label: 'Analista',
+                permissions: ['requests.view', 'requests.validate']
+            },
+            approver: {
+                label: 'Aprobador de crédito',
+                permissions: ['requests.view', 'requests.validate', 'requests.decide']
+            },
+            treasury: {
+                label: 'Tesorería',
+                permissions: ['requests.view', 'disbursements.manage']
+            },
+            collector: {
+                label: 'Gestor de cobranza',
+                permissions: ['collections.view', 'collections.payment', 'collections.contact', 'collections.restructure']
+            },
+            collection_supervisor: {
+                label: 'Supervisor de cobranza',
+                permissions: ['collections.view', 'collections.payment', 'collections.contact', 'collections.restructure', 'collections.approve_restructure']
+            },
+            admin: {
+                label: 'Administrador',
+                permissions: Object.keys(this.permissionLabels)
+            }
+        };
+    }
+
+    // =============================================
+    // PERMISOS
+    // =============================================
+
+    getRoleLabel(role) {
+        return this.roles[role] ? this.roles[role].label : role;
+    }
+
+    can(user, permission) {
+        const role = user && this.roles[user.role];
+        return Boolean(role && user.active !== false && role.permissions.includes(permission));
+    }
+
+    // Lanza un error con el permiso faltante; las páginas lo muestran con alert
+    require(user, permission) {
+        if (!this.can(user, permission)) {
+            throw new Error(`Tu rol no tiene permiso para ${this.permissionLabels[permission] || permission}.`);
+        }
+    }
+
+    // null o vacío = sin límite
+    hasApprovalLimit(user) {
+        return typeof user.approvalLimit === 'number' && user.approvalLimit >= 0;
+    }
+
+    canApprove(user, amount) {
+        return this.can(user, 'requests.decide') &&
+            (!this.hasApprovalLimit(user) || amount <= user.approvalLimit);
+    }
+
+    requireApproval(user, request) {
+        this.require(user, 'requests.decide');
+        if (!this.canApprove(user, request.amount)) {
+            throw new Error(`El monto $${request.amount.toLocaleString('es-MX')} excede tu límite de aprobación ($${user.approvalLimit.toLocaleString('es-MX')}).`);
+        }
+    }
+
+    // Quién hizo la acción, para guardarlo junto al cambio
+    actor(user) {
+        return { id: user.id, name: user.name, email: user.email, role: user.role };
+    }
+
+    // =============================================
+    // SESIÓN
+    // =============================================
+
+    async hasStaff() {
+        return (await this.dataStore.getStaff()).length > 0;
+    }
+
+    async login(email, password) {
+        const active = await this.auth.login(email, password);
+        if (active.user.active === false) {
+            this.auth.logout();
+            throw new Error('Tu cuenta está desactivada. Contacta a un administrador.');
+        }
+        return active;
+    }
+
+    async getSession() {
+        const active = await this.auth.getSession();
+        if (active && active.user.active === false) {
+            this.auth.logout();
+            return null;
+        }
+        return active;
+    }
+
+    touch() {
+        this.auth.touch();
+    }
+
+    logout() {
+        this.auth.logout();
+    }
+
+    // =============================================
+    // ADMINISTRACIÓN DEL PERSONAL
+    // =============================================
+
+    async getStaff() {
+        const staff = await this.dataStore.getStaff();
+        return staff.map(member => this.auth.publicProfile(member));
+    }
+
+    validateMember({ name, email, role, approvalLimit }) {
+        if (!name || !name.trim()) throw new Error('El nombre es obligatorio.');
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email || '')) throw new Error('El email no es válido.');
+        if (!this.roles[role]) throw new Error('Selecciona un rol válido.');
+        if (approvalLimit !== null && approvalLimit !== undefined &&
+            (typeof approvalLimit !== 'number' || !isFinite(approvalLimit) || approvalLimit < 0)) {
+            throw new Error('El límite de aprobación debe ser un monto positivo.');
+        }
+    }
+
+    async createMember({ name, email, phone, role, approvalLimit = null, password }, createdBy) {
+        this.validateMember({ name, email, role, approvalLimit });
+        this.auth.validatePasswordStrength(password);
+
+        const staff = await this.dataStore.getStaff();
+        if (this.auth.findUser(staff, email)) {
+            throw new Error('Ya existe una cuenta del personal con este email.');
+        }
+
+        const member = {
+            id: Date.now(),
+            name: name.trim(),
+            email: email.trim(),
+            phone: phone || '',
+            role,
+            approvalLimit,
+            active: true,
+            passwordHash: await this.auth.hashPassword(password),
+            createdAt: new Date().toISOString(),
+            createdBy: createdBy ? this.actor(createdBy) : null
+        };
+        await this.dataStore.saveStaffMember(member);
+        return this.auth.publicProfile(member);
+    }
+
+    // Primera cuenta: solo se permite mientras no exista nadie del personal
+    async bootstrapAdmin({ name, email, password }) {
+        if (await this.hasStaff()) {
+            throw new Error('Ya existe personal registrado. Inicia sesión.');
+        }
+        await this.createMember({ name, email, role: 'admin', password });
+        return this.login(email, password);
+    }
+
+    async updateMember(memberId, { role, approvalLimit, active }, updatedBy) {
+        const staff = await this.dataStore.getStaff();
+        const member = staff.find(m => m.id === memberId);
+        if (!member) throw new Error('Cuenta no encontrada.');
+
+        this.validateMember({ ...member, role, approvalLimit });
+
+        // Que siempre quede al menos un administrador activo
+        const removesAdmin = member.role === 'admin' && member.active !== false &&
+            (role !== 'admin' || active === false);
+        if (removesAdmin && !staff.some(m => m.id !== memberId && m.role === 'admin' && m.active !== false)) {
+            throw new Error('Debe quedar al menos un administrador activo.');
+        }
+
+        member.role = role;
+        member.approvalLimit = approvalLimit;
+        member.active = active;
+        member.updatedAt = new Date().toISOString();
+        member.updatedBy = updatedBy ? this.actor(updatedBy) : null;
+        await this.dataStore.saveStaffMember(member);
+        return this.auth.publicProfile(member);
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.StaffAccess = StaffAccess;
+}
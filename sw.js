@@ -1,30 +1,191 @@
-const CACHE_NAME = 'creditxpress-v1.0';
+// Sube VERSION en cada despliegue: el service worker nuevo precarga todo con otro nombre,
+// las páginas ofrecen actualizar y activate borra las cachés anteriores.
+const VERSION = '2.9.1';
+const CACHE_PREFIX = 'creditxpress-';
+const PRECACHE = `${CACHE_PREFIX}precache-v${VERSION}`;
+const RUNTIME = `${CACHE_PREFIX}runtime-v${VERSION}`;
+const SYNC_TAG = 'creditxpress-outbox';
+
+// Sin estos archivos la app no arranca sin conexión: si uno falla, la instalación falla
 const urlsToCache = [
-  '/',
-  '/index.html',
-  '/manifest.json',
-  '/icon-192.png',
-  '/icon-512.png'
+  './',
+  'index.html',
+  'crm.html',
+  'collections.html',
+  'manifest.json',
+  'data-store.js',
+  'sync-queue.js',
+  'pwa-client.js',
+  'auth-service.js',
+  'staff-access.js',
+  'audit-log.js',
+  'notification-center.js',
+  'message-templates.js',
+  'message-channels.js',
+  'loan-engine.js',
+  'loan-servicing.js',
+  'payment-reminders.js',
+  'payment-receipt.js',
+  'portfolio-analytics.js',
+  'collection-strategy.js',
+  'payment-references.js',
+  'bank-reconciliation.js',
+  'credit-bureau-report.js',
+  'cat-calculator.js',
+  'pdf-writer.js',
+  'loan-contract.js',
+  'disbursements.js',
+  'loan-restructuring.js',
+  'credit-scoring.js',
+  'application-form.js',
+  'curp-validator.js',
+  'ine-ocr.js',
+  'mrz-parser.js',
+  'image-forensics.js',
+  'document-fingerprint.js',
+  'fraud-detector.js',
+  'ine-validator.js'
+];
+
+// Se guardan si existen: iconos, íconos de Font Awesome y el OCR copiado en vendor/
+const optionalUrls = [
+  'icon-192.png',
+  'icon-512.png',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+  'vendor/tesseract/tesseract.min.js',
+  'vendor/tesseract/worker.min.js',
+  'vendor/tesseract/core/tesseract-core-lstm.wasm.js',
+  'vendor/tesseract/core/tesseract-core-simd-lstm.wasm.js',
+  'vendor/tesseract/lang/spa.traineddata.gz'
 ];
 
 self.addEventListener('install', function(event) {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(function(cache) {
-        return cache.addAll(urlsToCache);
-      })
+    caches.open(PRECACHE).then(function(cache) {
+      // cache: 'reload' para no precargar copias viejas de la caché HTTP
+      return cache.addAll(urlsToCache.map(function(url) {
+        return new Request(url, { cache: 'reload' });
+      })).then(function() {
+        return Promise.all(optionalUrls.map(function(url) {
+          return cache.add(url).catch(function() {
+            console.warn('⚠️ No se precargó ' + url);
+          });
+        }));
+      });
+    })
   );
+  // No se llama skipWaiting aquí: la página pregunta antes de cambiar de versión
 });
 
-self.addEventListener('fetch', function(event) {
-  event.respondWith(
-    caches.match(event.request)
-      .then(function(response) {
-        if (response) {
-          return response;
-        }
-        return fetch(event.request);
+self.addEventListener('activate', function(event) {
+  event.waitUntil(
+    caches.keys().then(function(names) {
+      return Promise.all(names
+        .filter(function(name) {
+          return name.startsWith(CACHE_PREFIX) && name !== PRECACHE && name !== RUNTIME;
+        })
+        .map(function(name) {
+          console.log('🗑️ Caché anterior eliminada: ' + name);
+          return caches.delete(name);
+        }));
+    }).then(function() {
+      return self.clients.claim();
+    })
+  );
+});
+
+self.addEventListener('message', function(event) {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// La copia más reciente: la de runtime (revalidada) antes que la precargada
+function matchLatest(request, options) {
+  return caches.open(RUNTIME).then(function(cache) {
+    return cache.match(request, options);
+  }).then(function(response) {
+    return response || caches.match(request, options);
+  });
+}
+
+// Páginas: red primero para ver los datos y la versión más recientes; sin conexión, la copia guardada
+function networkFirst(request) {
+  return fetch(request).then(function(response) {
+    if (response.ok) {
+      const copy = response.clone();
+      caches.open(RUNTIME).then(function(cache) {
+        cache.put(request, copy);
+      });
+    }
+    return response;
+  }).catch(function() {
+    return matchLatest(request, { ignoreSearch: true }).then(function(cached) {
+      return cached || matchLatest('index.html');
+    });
+  });
+}
+
+// Scripts, estilos e imágenes: responder con la copia guardada y actualizarla en segundo plano
+function staleWhileRevalidate(event) {
+  const request = event.request;
+  return matchLatest(request).then(function(cached) {
+    const network = fetch(request).then(function(response) {
+      // Las respuestas opacas (CDN sin CORS) tienen status 0 pero sirven igual
+      if (response.ok || response.type === 'opaque') {
+        const copy = response.clone();
+        event.waitUntil(caches.open(RUNTIME).then(function(cache) {
+          return cache.put(request, copy);
+        }));
       }
-    )
+      return response;
+    });
+
+    if (cached) {
+      event.waitUntil(network.catch(function() {}));
+      return cached;
+    }
+    return network;
+  });
+}
+
+self.addEventListener('fetch', function(event) {
+  const request = event.request;
+  // Los envíos de la cola (POST) y las URL blob: o de extensiones van directo a la red
+  if (request.method !== 'GET' || !request.url.startsWith('http')) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
+
+// Background Sync: al volver la conexión se pide a las páginas abiertas que vacíen la cola
+// (el envío vive en sync-queue.js). Si no hay ninguna abierta, se envía al abrir la app.
+self.addEventListener('sync', function(event) {
+  if (event.tag !== SYNC_TAG) return;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then(function(clients) {
+      clients.forEach(function(client) {
+        client.postMessage({ type: 'FLUSH_OUTBOX' });
+      });
+    })
+  );
+});
+
+// Recordatorio de pago: llevar al cliente a la app abierta o abrirla
+self.addEventListener('notificationclick', function(event) {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || 'index.html';
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(function(clients) {
+      const client = clients.find(function(c) {
+        return new URL(c.url).pathname.endsWith('index.html') || new URL(c.url).pathname.endsWith('/');
+      });
+      return client ? client.focus() : self.clients.openWindow(url);
+    })
   );
-});
\ No newline at end of file
+});
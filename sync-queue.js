@@ -0,0 +1,176 @@
+// sync-queue.js - Cola de operaciones (solicitudes y pagos) para enviarlas al servidor al haber conexión
+//
+// Todo se guarda primero en IndexedDB, así que la App, el CRM y Cobranza funcionan sin
+// conexión. Cada solicitud o pago también se agrega a la cola 'outbox' y se reenvía en
+// orden cuando vuelve la conexión. Sin servidor configurado las operaciones se conservan.
+
+// Envío por HTTP: POST multipart con la operación en JSON y, para solicitudes, sus documentos.
+// Cualquier objeto con send(operation) que regrese una promesa puede reemplazarlo.
+class HttpSyncTransport {
+    constructor(endpoint, dataStore = new DataStore()) {
+        this.endpoint = endpoint;
+        this.dataStore = dataStore;
+    }
+
+    async send(operation) {
+        const body = new FormData();
+        body.append('operation', JSON.stringify(operation));
+        for (const documentId of operation.documentIds) {
+            const blob = await this.dataStore.getDocumentBlob(documentId);
+            if (blob) body.append('documents', blob, documentId);
+        }
+
+        // La llave permite al servidor ignorar un envío repetido (reintentos o dos pestañas)
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Idempotency-Key': operation.key },
+            body
+        });
+        if (!response.ok) {
+            const error = new Error(`El servidor respondió ${response.status}`);
+            // Errores 4xx no se arreglan reintentando, salvo 408 y 429
+            error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            throw error;
+        }
+        return response.json().catch(() => ({}));
+    }
+}
+
+class SyncQueue {
+    constructor(options = {}) {
+        this.dataStore = options.dataStore || new DataStore();
+        this.endpointKey = 'creditxpress_sync_endpoint';
+        this.syncTag = 'creditxpress-outbox';
+        this.maxAttempts = options.maxAttempts || 10;
+        this.flushing = null;
+
+        const endpoint = options.endpoint || this.dataStore.getPreference(this.endpointKey);
+        this.transport = options.transport || (endpoint ? new HttpSyncTransport(endpoint, this.dataStore) : null);
+    }
+
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    // =============================================
+    // COLA
+    // =============================================
+
+    // key identifica la operación para que el servidor no la aplique dos veces
+    async enqueue({ type, key, payload, documentIds = [] }) {
+        const entry = {
+            type,
+            key,
+            payload,
+            documentIds,
+            status: 'pending',
+            attempts: 0,
+            createdAt: new Date().toISOString()
+        };
+        entry.id = await this.dataStore.addOutboxEntry(entry);
+
+        this.requestBackgroundSync();
+        if (this.isOnline()) {
+            this.flush().catch(error => console.error('❌ Error al sincronizar:', error));
+        }
+        return entry;
+    }
+
+    getPending() {
+        return this.dataStore.getOutboxEntries('pending');
+    }
+
+    async getCounts() {
+        const entries = await this.dataStore.getOutboxEntries();
+        return {
+            pending: entries.filter(entry => entry.status === 'pending').length,
+            failed: entries.filter(entry => entry.status === 'failed').length
+        };
+    }
+
+    // Volver a intentar las operaciones que el servidor rechazó o agotaron sus intentos
+    async retryFailed() {
+        const failed = await this.dataStore.getOutboxEntries('failed');
+        for (const entry of failed) {
+            entry.status = 'pending';
+            entry.attempts = 0;
+            await this.dataStore.saveOutboxEntry(entry);
+        }
+        return this.flush();
+    }
+
+    // Background Sync: el service worker avisa a las páginas cuando vuelve la conexión,
+    // aunque la pestaña haya estado en segundo plano
+    async requestBackgroundSync() {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+        try {
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (registration && registration.sync) {
+                await registration.sync.register(this.syncTag);
+            }
+        } catch (error) {
+            console.warn('⚠️ Background Sync no disponible; se sincroniza al volver a abrir la página.', error);
+        }
+    }
+
+    // =============================================
+    // ENVÍO
+    // =============================================
+
+    // Un solo envío a la vez por página
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.runFlush().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    // Enviar en orden de llegada. Un error temporal detiene el envío para no alterar el
+    // orden (un pago no debe llegar antes que su crédito); un rechazo del servidor marca
+    // la operación como fallida y sigue con las demás.
+    async runFlush() {
+        const pending = await this.getPending();
+        const result = { sent: 0, failed: 0, pending: pending.length };
+        if (!this.transport || !this.isOnline()) return result;
+
+        for (const entry of pending) {
+            try {
+                entry.response = await this.transport.send({
+                    type: entry.type,
+                    key: entry.key,
+                    payload: entry.payload,
+                    documentIds: entry.documentIds,
+                    createdAt: entry.createdAt
+                });
+                entry.status = 'sent';
+                entry.sentAt = new Date().toISOString();
+                result.sent++;
+                result.pending--;
+            } catch (error) {
+                entry.attempts++;
+                entry.lastError = error.message;
+                entry.lastAttemptAt = new Date().toISOString();
+                if (error.retryable === false || entry.attempts >= this.maxAttempts) {
+                    entry.status = 'failed';
+                    result.failed++;
+                    result.pending--;
+                }
+            }
+            await this.dataStore.saveOutboxEntry(entry);
+            if (entry.status === 'pending') break;
+        }
+
+        if (result.sent > 0) {
+            console.log(`🔄 ${result.sent} operación(es) sincronizada(s)`);
+        }
+        return result;
+    }
+}
+
+// Hacer disponible globalmente
+if (typeof window !== 'undefined') {
+    window.SyncQueue = SyncQueue;
+    window.HttpSyncTransport = HttpSyncTransport;
+}
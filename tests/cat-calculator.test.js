@@ -0,0 +1,75 @@
+// tests/cat-calculator.test.js - CAT con los ejemplos de referencia de cat-calculator.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load-script');
+
+const { LoanEngine, CATCalculator } = loadScripts('loan-engine.js', 'cat-calculator.js');
+const loanEngine = new LoanEngine({});
+const calculator = new CATCalculator();
+const [express, quincenal] = loanEngine.defaultProducts;
+
+function monthlyPayments(count, amount) {
+    return Array.from({ length: count }, (_, i) => ({ time: (i + 1) / 12, amount }));
+}
+
+test('un pago de $1,100 al año por $1,000 recibidos da CAT 10.0%', () => {
+    const rate = calculator.solveRate({
+        disbursements: [{ time: 0, amount: 1000 }],
+        payments: [{ time: 1, amount: 1100 }]
+    });
+    assert.ok(Math.abs(rate - 0.1) < 1e-9);
+    assert.equal(calculator.toPercent(rate), 10);
+});
+
+test('12 pagos mensuales de $1,000 por $10,000 recibidos da CAT 41.3%', () => {
+    const rate = calculator.solveRate({
+        disbursements: [{ time: 0, amount: 10000 }],
+        payments: monthlyPayments(12, 1000)
+    });
+    assert.equal(calculator.toPercent(rate), 41.3);
+});
+
+test('la tasa encontrada iguala el valor presente de pagos y disposiciones', () => {
+    const flows = {
+        disbursements: [{ time: 0, amount: 10000 }],
+        payments: monthlyPayments(12, 1000)
+    };
+    const rate = calculator.solveRate(flows);
+    const difference = calculator.presentValue(flows.payments, rate) - calculator.presentValue(flows.disbursements, rate);
+    assert.ok(Math.abs(difference) < 1e-6);
+});
+
+test('Crédito Express: $3,000 a 6 meses, 120% fija con IVA, sin comisión → CAT 596.6%', () => {
+    const schedule = loanEngine.buildSchedule({ amount: 3000, term: 6, product: express, startDate: '2026-01-15T12:00:00Z' });
+    assert.equal(schedule.netDisbursement, 3000);
+    assert.ok(schedule.installments.every(installment => installment.payment === 848));
+    assert.equal(calculator.calculate(schedule), 596.6);
+});
+
+test('Crédito Quincenal: $3,000 a 6 meses, 96% sobre saldos, apertura 3% + IVA → CAT 242.8%', () => {
+    const schedule = loanEngine.buildSchedule({ amount: 3000, term: 6, product: quincenal, startDate: '2026-01-15T12:00:00Z' });
+    assert.equal(schedule.netDisbursement, 2895.6);
+    assert.equal(schedule.periods, 12);
+    assert.equal(schedule.payment, 331.64);
+
+    const flows = calculator.buildCashFlows(schedule);
+    assert.deepEqual(plain(flows.disbursements), [{ time: 0, amount: 2895.6 }]);
+    assert.equal(flows.payments[11].time, 0.5);
+    assert.equal(calculator.calculate(schedule), 242.8);
+});
+
+test('sin interés ni comisiones el CAT es 0.0%', () => {
+    const schedule = loanEngine.buildSchedule({
+        amount: 1200,
+        term: 12,
+        product: { ...express, annualRate: 0, rateType: 'declining' }
+    });
+    assert.equal(calculator.calculate(schedule), 0);
+    assert.equal(calculator.formatCAT(calculator.calculate(schedule)), '0.0%');
+});
+
+test('sin flujos no hay CAT', () => {
+    assert.equal(calculator.solveRate({ disbursements: [], payments: monthlyPayments(3, 100) }), null);
+    assert.equal(calculator.toPercent(null), null);
+    assert.equal(calculator.formatCAT(null), 'N/D');
+});
@@ -0,0 +1,22 @@
+// tests/load-script.js - Carga los módulos del navegador (clases globales en window) dentro de Node
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Ejecuta los scripts en orden dentro de un mismo contexto, como las etiquetas <script> de la página
+function loadScripts(...files) {
+    const context = vm.createContext({ console });
+    context.window = context;
+    files.forEach(file => {
+        const filename = path.join(__dirname, '..', file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+    return context;
+}
+
+// Los objetos del contexto tienen otros prototipos; se copian para compararlos con deepEqual
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, plain };
@@ -0,0 +1,120 @@
+// tests/loan-engine.test.js - Tablas de amortización con tasa fija (flat) y sobre saldos (francés)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load-script');
+
+const { LoanEngine } = loadScripts('loan-engine.js');
+const loanEngine = new LoanEngine({});
+const [express, quincenal] = loanEngine.defaultProducts;
+
+function sum(installments, field) {
+    return loanEngine.round(installments.reduce((total, installment) => total + installment[field], 0));
+}
+
+// =============================================
+// TASA FIJA (FLAT)
+// =============================================
+
+test('flat: interés fijo sobre el monto original y capital en partes iguales', () => {
+    const schedule = loanEngine.buildSchedule({ amount: 3000, term: 6, product: express, startDate: '2026-01-15T12:00:00Z' });
+
+    assert.equal(schedule.periods, 6);
+    assert.deepEqual(
+        plain(schedule.installments.map(({ principal, interest, iva, payment, balance }) => [principal, interest, iva, payment, balance])),
+        [
+            [500, 300, 48, 848, 2500],
+            [500, 300, 48, 848, 2000],
+            [500, 300, 48, 848, 1500],
+            [500, 300, 48, 848, 1000],
+            [500, 300, 48, 848, 500],
+            [500, 300, 48, 848, 0]
+        ]
+    );
+    assert.equal(schedule.totalInterest, 1800);
+    assert.equal(schedule.totalIVA, 288);
+    assert.equal(schedule.totalPayment, 5088);
+});
+
+test('flat: el último pago absorbe el redondeo del capital', () => {
+    const schedule = loanEngine.buildSchedule({ amount: 1000, term: 3, product: express });
+    const principals = schedule.installments.map(installment => installment.principal);
+
+    assert.deepEqual(plain(principals), [333.33, 333.33, 333.34]);
+    assert.equal(sum(schedule.installments, 'principal'), 1000);
+    assert.equal(schedule.installments[2].balance, 0);
+});
+
+test('flat: vencimientos mensuales desde el desembolso', () => {
+    const schedule = loanEngine.buildSchedule({ amount: 3000, term: 3, product: express, startDate: '2026-01-15T12:00:00Z' });
+    assert.equal(schedule.startDate, '2026-01-15');
+    assert.deepEqual(plain(schedule.installments.map(installment => installment.dueDate)), ['2026-02-15', '2026-03-15', '2026-04-15']);
+});
+
+test('mensual: un desembolso a fin de mes vence el último día de los meses más cortos', () => {
+    const dueDates = startDate => plain(loanEngine.buildSchedule({ amount: 3000, term: 6, product: express, startDate })
+        .installments.map(installment => installment.dueDate));
+
+    assert.deepEqual(dueDates('2026-01-31'), ['2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31', '2026-06-30', '2026-07-31']);
+    assert.deepEqual(dueDates('2026-03-31'), ['2026-04-30', '2026-05-31', '2026-06-30', '2026-07-31', '2026-08-31', '2026-09-30']);
+    assert.deepEqual(dueDates('2027-12-30').slice(0, 3), ['2028-01-30', '2028-02-29', '2028-03-30']);
+});
+
+// =============================================
+// SOBRE SALDOS (FRANCÉS)
+// =============================================
+
+test('francés: pago fijo con IVA incluido y saldo en cero al final', () => {
+    const schedule = loanEngine.buildSchedule({ amount: 3000, term: 6, product: quincenal, startDate: '2026-01-15T12:00:00Z' });
+    const { installments } = schedule;
+    const periodRate = 0.96 / 24;
+
+    assert.equal(schedule.periods, 12);
+    assert.equal(schedule.periodRate, periodRate);
+    // P = M · r' / (1 - (1 + r')^-n) con r' = r (1 + IVA)
+    const effectiveRate = periodRate * 1.16;
+    assert.equal(schedule.payment, loanEngine.round(3000 * effectiveRate / (1 - Math.pow(1 + effectiveRate, -12))));
+    assert.equal(schedule.payment, 331.64);
+
+    assert.deepEqual(plain(installments[0]), {
+        number: 1,
+        dueDate: '2026-01-30',
+        principal: 192.44,
+        interest: 120,
+        iva: 19.2,
+        payment: 331.64,
+        balance: 2807.56
+    });
+    installments.slice(0, -1).forEach(installment => assert.equal(installment.payment, 331.64));
+    assert.equal(installments[11].payment, 331.62);
+    assert.equal(installments[11].balance, 0);
+    assert.equal(installments[11].dueDate, '2026-07-14');
+});
+
+test('francés: el interés se calcula sobre el saldo y baja en cada pago', () => {
+    const { installments } = loanEngine.buildSchedule({ amount: 3000, term: 6, product: quincenal });
+    let balance = 3000;
+    installments.forEach((installment, index) => {
+        assert.equal(installment.interest, loanEngine.round(balance * 0.04));
+        assert.equal(installment.iva, loanEngine.round(installment.interest * 0.16));
+        if (index > 0) assert.ok(installment.interest < installments[index - 1].interest);
+        balance = installment.balance;
+    });
+    assert.equal(sum(installments, 'principal'), 3000);
+});
+
+test('francés: totales y comisión por apertura', () => {
+    const schedule = loanEngine.buildSchedule({ amount: 3000, term: 6, product: quincenal });
+    assert.equal(schedule.openingCommission, 90);
+    assert.equal(schedule.openingCommissionIVA, 14.4);
+    assert.equal(schedule.netDisbursement, 2895.6);
+    assert.equal(schedule.totalInterest, 844.53);
+    assert.equal(schedule.totalIVA, 135.13);
+    assert.equal(schedule.totalPayment, 3979.66);
+    assert.equal(schedule.totalPayment, sum(schedule.installments, 'payment'));
+});
+
+test('francés: sin tasa el capital se divide en partes iguales', () => {
+    const schedule = loanEngine.buildSchedule({ amount: 1200, term: 12, product: { ...express, annualRate: 0, rateType: 'declining' } });
+    assert.ok(schedule.installments.every(installment => installment.payment === 100 && installment.interest === 0));
+    assert.equal(schedule.installments[11].balance, 0);
+});
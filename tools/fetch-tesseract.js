@@ -0,0 +1,144 @@
+// tools/fetch-tesseract.js - Descarga el motor OCR y el idioma español a vendor/tesseract/
+//
+// Uso:   node tools/fetch-tesseract.js
+//
+// Baja del registro de npm las versiones fijas de tesseract.js, tesseract.js-core y
+// @tesseract.js-data/spa, comprueba el hash SHA-512 de cada paquete contra el que publica npm
+// y copia sólo los archivos que carga ine-ocr.js:
+//
+//   vendor/tesseract/tesseract.min.js
+//   vendor/tesseract/worker.min.js
+//   vendor/tesseract/core/tesseract-core-lstm.wasm.js        (navegadores sin SIMD)
+//   vendor/tesseract/core/tesseract-core-simd-lstm.wasm.js
+//   vendor/tesseract/lang/spa.traineddata.gz
+//
+// Si un hash no coincide no se escribe nada. Otro registro: NPM_CONFIG_REGISTRY=https://...
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+const zlib = require('zlib');
+
+const registry = (process.env.NPM_CONFIG_REGISTRY || 'https://registry.npmjs.org/').replace(/\/?$/, '/');
+const target = path.join(__dirname, '..', 'vendor', 'tesseract');
+
+// Para actualizar: cambiar la versión y copiar `dist.integrity` de `npm view <paquete>@<versión>`
+const packages = [
+    {
+        name: 'tesseract.js',
+        version: '5.1.1',
+        integrity: 'sha512-lzVl/Ar3P3zhpUT31NjqeCo1f+D5+YfpZ5J62eo2S14QNVOmHBTtbchHm/YAbOOOzCegFnKf4B3Qih9LuldcYQ==',
+        files: {
+            'package/dist/tesseract.min.js': 'tesseract.min.js',
+            'package/dist/worker.min.js': 'worker.min.js'
+        }
+    },
+    {
+        name: 'tesseract.js-core',
+        version: '5.1.1',
+        integrity: 'sha512-KX3bYSU5iGcO1XJa+QGPbi+Zjo2qq6eBhNjSGR5E5q0JtzkoipJKOUQD7ph8kFyteCEfEQ0maWLu8MCXtvX5uQ==',
+        // ine-ocr.js usa sólo el modelo LSTM (oem 1), así que basta con esas dos variantes
+        files: {
+            'package/tesseract-core-lstm.wasm.js': 'core/tesseract-core-lstm.wasm.js',
+            'package/tesseract-core-simd-lstm.wasm.js': 'core/tesseract-core-simd-lstm.wasm.js'
+        }
+    },
+    {
+        name: '@tesseract.js-data/spa',
+        version: '1.0.0',
+        integrity: 'sha512-9Ln+QKq/TNu4Hy4aOp5b4nXo9U0C6IqJMzNDpAJZe/fNtz6jXG9G/hQgR/Irxj+RGf0M7Xy1MNx1yl4wQUIfeg==',
+        files: {
+            'package/4.0.0_best_int/spa.traineddata.gz': 'lang/spa.traineddata.gz'
+        }
+    }
+];
+
+function tarballUrl({ name, version }) {
+    const baseName = name.split('/').pop();
+    return `${registry}${name}/-/${baseName}-${version}.tgz`;
+}
+
+function download(url, redirects = 5) {
+    return new Promise((resolve, reject) => {
+        https.get(url, res => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+                res.resume();
+                resolve(download(new URL(res.headers.location, url).href, redirects - 1));
+                return;
+            }
+            if (res.statusCode !== 200) {
+                res.resume();
+                reject(new Error(`${url} respondió ${res.statusCode}`));
+                return;
+            }
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve(Buffer.concat(chunks)));
+            res.on('error', reject);
+        }).on('error', reject);
+    });
+}
+
+// Mismo formato que `dist.integrity` de npm: algoritmo-base64
+function verifyIntegrity(pkg, buffer) {
+    const [algorithm, expected] = pkg.integrity.split('-');
+    const actual = crypto.createHash(algorithm).update(buffer).digest('base64');
+    if (actual !== expected) {
+        throw new Error(`${pkg.name}@${pkg.version}: el hash no coincide (${algorithm}-${actual})`);
+    }
+}
+
+// Lectura mínima de un tar (ustar): encabezados de 512 bytes seguidos del contenido
+function readTar(buffer) {
+    const entries = new Map();
+    let offset = 0;
+    while (offset + 512 <= buffer.length) {
+        const header = buffer.subarray(offset, offset + 512);
+        if (header.every(byte => byte === 0)) break;
+
+        const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+        const size = parseInt(field(124, 12).trim() || '0', 8);
+        const prefix = field(345, 155);
+        const name = prefix ? `${prefix}/${field(0, 100)}` : field(0, 100);
+        const type = field(156, 1);
+
+        offset += 512;
+        if (type === '0' || type === '') {
+            entries.set(name, buffer.subarray(offset, offset + size));
+        }
+        offset += Math.ceil(size / 512) * 512;
+    }
+    return entries;
+}
+
+async function main() {
+    const output = [];
+    for (const pkg of packages) {
+        const url = tarballUrl(pkg);
+        console.log(`Descargando ${pkg.name}@${pkg.version}...`);
+        const tarball = await download(url);
+        verifyIntegrity(pkg, tarball);
+
+        const entries = readTar(zlib.gunzipSync(tarball));
+        for (const [from, to] of Object.entries(pkg.files)) {
+            if (!entries.has(from)) {
+                throw new Error(`${pkg.name}@${pkg.version} no contiene ${from}`);
+            }
+            output.push({ to, content: entries.get(from) });
+        }
+    }
+
+    // Se escribe al final, cuando todos los paquetes pasaron la verificación
+    for (const { to, content } of output) {
+        const file = path.join(target, to);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+        console.log(`  ${path.relative(process.cwd(), file)} (${Math.round(content.length / 1024)} KB)`);
+    }
+    console.log('Motor OCR listo en vendor/tesseract/');
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
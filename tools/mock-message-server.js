@@ -0,0 +1,108 @@
+// tools/mock-message-server.js - Proveedor de mensajes falso para probar los recordatorios de Cobranza
+//
+// Uso:   node tools/mock-message-server.js            (puerto 8787)
+//        PORT=9000 node tools/mock-message-server.js
+// En Cobranza (consola): localStorage.setItem('creditxpress_message_endpoint', '"http://localhost:8787/messages"')
+//
+// POST /messages/{email|sms|whatsapp}  → { id, status: 'queued' }
+// GET  /messages/{canal}/{id}          → { id, status } (delivered después de unos segundos)
+// GET  /messages                       → todos los mensajes recibidos
+//
+// Para probar fallas: un destino que contenga "fail" (p. ej. fail@correo.com) o un teléfono
+// que termine en 0000 se rechaza con 422; uno que termine en 9999 se acepta pero termina 'failed'.
+const http = require('http');
+
+const port = Number(process.env.PORT) || 8787;
+const deliveryDelay = Number(process.env.DELIVERY_DELAY_MS) || 3000;
+const channels = ['email', 'sms', 'whatsapp'];
+const messages = new Map();
+const byIdempotencyKey = new Map();
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Idempotency-Key',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => {
+            data += chunk;
+        });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// El estado avanza solo: queued → delivered (o failed para los destinos de prueba)
+function currentStatus(message) {
+    if (message.status !== 'queued' || Date.now() - message.receivedAt < deliveryDelay) {
+        return message.status;
+    }
+    message.status = /9999$/.test(message.to) ? 'failed' : 'delivered';
+    message.detail = message.status === 'failed' ? 'Número no disponible' : '';
+    return message.status;
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204, {});
+
+    const parts = req.url.split('?')[0].split('/').filter(Boolean);
+    if (parts[0] !== 'messages') return send(res, 404, { error: 'Ruta no encontrada' });
+
+    if (req.method === 'GET' && parts.length === 1) {
+        return send(res, 200, [...messages.values()].map(message => ({ ...message, status: currentStatus(message) })));
+    }
+
+    const channel = parts[1];
+    if (!channels.includes(channel)) return send(res, 404, { error: `Canal desconocido: ${channel}` });
+
+    if (req.method === 'GET' && parts[2]) {
+        const message = messages.get(decodeURIComponent(parts[2]));
+        if (!message) return send(res, 404, { error: 'Mensaje no encontrado' });
+        return send(res, 200, { id: message.id, status: currentStatus(message), detail: message.detail });
+    }
+
+    if (req.method === 'POST' && parts.length === 2) {
+        let body;
+        try {
+            body = await readBody(req);
+        } catch (error) {
+            return send(res, 400, { error: 'JSON inválido' });
+        }
+        if (!body.to || !body.body) return send(res, 400, { error: 'Faltan destino o mensaje' });
+        if (/fail/i.test(body.to) || /0000$/.test(body.to)) {
+            return send(res, 422, { error: `Destino rechazado por el proveedor: ${body.to}` });
+        }
+
+        // Un reintento con la misma llave regresa el mismo mensaje
+        const key = req.headers['idempotency-key'];
+        if (key && byIdempotencyKey.has(key)) {
+            const existing = messages.get(byIdempotencyKey.get(key));
+            return send(res, 200, { id: existing.id, status: currentStatus(existing) });
+        }
+
+        const id = `msg_${messages.size + 1}_${Date.now().toString(36)}`;
+        messages.set(id, { id, channel, to: body.to, subject: body.subject, body: body.body, status: 'queued', receivedAt: Date.now() });
+        if (key) byIdempotencyKey.set(key, id);
+        console.log(`📨 [${channel}] ${body.to}: ${(body.subject || body.body).slice(0, 60)}`);
+        return send(res, 202, { id, status: 'queued' });
+    }
+
+    return send(res, 405, { error: 'Método no permitido' });
+});
+
+server.listen(port, () => {
+    console.log(`📮 Proveedor de mensajes de prueba en http://localhost:${port}/messages`);
+});